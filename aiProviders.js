@@ -0,0 +1,746 @@
+/**
+ * AURA - AI Universal Reading Assistant - AI Providers
+ * Common interface over the AI backends that power every AURA operation
+ *
+ * Every provider exposes the same methods:
+ *   availability()                      -> { available, provider, capabilities }
+ *   summarize(text, options)            -> string
+ *   rewrite(text, options)              -> string
+ *   prompt(input, options)              -> string
+ *   startChat(options)                  -> { prompt(input, options), destroy() }
+ *   translate(text, options)            -> string
+ *   translateAll(texts, options)        -> [string], one translation per text
+ *   detectLanguage(text)                -> [{ language, confidence }]
+ *
+ * Text-generating methods stream when options.onChunk is given: it is called
+ * with the full text generated so far, and the method still resolves to the
+ * final text. options.signal aborts generation.
+ *
+ * startChat opens a multi-turn conversation that remembers every answered
+ * prompt. options.systemPrompt sets it up and options.history replays
+ * earlier { role: 'user' | 'assistant', content } messages into it.
+ */
+
+const AI_PROVIDERS = {
+  CHROME_BUILTIN: 'chrome-builtin',
+  LOCAL_HTTP: 'local-http',
+  FAKE: 'fake'
+};
+
+const AI_CAPABILITIES = ['summarizer', 'rewriter', 'languageModel', 'translator', 'languageDetector'];
+
+const FAKE_STREAM_DELAY = 15; // Milliseconds between streamed words from the fake provider
+
+const LOCAL_AVAILABILITY_TIMEOUT = 3000; // Milliseconds a local endpoint gets to answer an availability check
+
+const AI_PROVIDER_DEFAULTS = {
+  provider: AI_PROVIDERS.CHROME_BUILTIN,
+  localEndpoint: {
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.2',
+    timeout: 60000
+  }
+};
+
+/**
+ * Normalize availability values from current and legacy Chrome AI APIs
+ */
+function normalizeAvailability(value) {
+  switch (value) {
+    case 'available':
+    case 'readily':
+      return 'available';
+    case 'downloadable':
+    case 'after-download':
+      return 'downloadable';
+    case 'downloading':
+      return 'downloading';
+    default:
+      return 'unavailable';
+  }
+}
+
+/**
+ * Build a summary of capability availability for a provider
+ */
+function buildAvailabilityReport(providerId, capabilities) {
+  const states = Object.values(capabilities);
+
+  return {
+    provider: providerId,
+    available: states.includes('available'),
+    downloadable: states.some(state => state === 'downloadable' || state === 'downloading'),
+    capabilities
+  };
+}
+
+// Chrome Built-in AI (Gemini Nano)
+
+/**
+ * Resolve a Chrome Built-in AI API, preferring the current globals over window.ai
+ */
+function getChromeAIApi(capability) {
+  const globalNames = {
+    summarizer: 'Summarizer',
+    rewriter: 'Rewriter',
+    languageModel: 'LanguageModel',
+    translator: 'Translator',
+    languageDetector: 'LanguageDetector'
+  };
+
+  const api = globalThis[globalNames[capability]];
+  if (api) {
+    return api;
+  }
+
+  return globalThis.ai?.[capability] || null;
+}
+
+/**
+ * A translation error for a language pair the translator cannot handle
+ *
+ * Callers check error.unsupportedLanguagePair to explain it in their own words.
+ */
+function unsupportedLanguagePairError({ sourceLanguage, targetLanguage }) {
+  const error = new Error(`Translation from ${sourceLanguage} to ${targetLanguage} is not supported`);
+  error.unsupportedLanguagePair = true;
+  error.sourceLanguage = sourceLanguage;
+  error.targetLanguage = targetLanguage;
+  return error;
+}
+
+/**
+ * Create a Chrome translator session for a language pair, or throw an
+ * unsupported-pair error when the device cannot translate it
+ */
+async function createChromeTranslator(languagePair, signal) {
+  const api = requireChromeAIApi('translator');
+
+  if (api.availability) {
+    const pairAvailability = normalizeAvailability(await api.availability(languagePair));
+    if (pairAvailability === 'unavailable') {
+      throw unsupportedLanguagePairError(languagePair);
+    }
+  }
+
+  try {
+    return await api.create({ ...languagePair, signal });
+  } catch (error) {
+    // Older Chrome versions have no availability() and refuse in create()
+    if (error.name === 'NotSupportedError') {
+      throw unsupportedLanguagePairError(languagePair);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a Chrome Built-in AI API or throw a user-readable error
+ */
+function requireChromeAIApi(capability) {
+  const api = getChromeAIApi(capability);
+
+  if (!api) {
+    throw new Error(`Chrome Built-in AI ${capability} API is not available in this browser`);
+  }
+
+  return api;
+}
+
+/**
+ * Call a Chrome AI session method, using its streaming variant when a chunk callback is given
+ */
+function callChromeAISession(session, method, input, callOptions, onChunk) {
+  const streamingMethod = session[`${method}Streaming`];
+
+  if (onChunk && streamingMethod) {
+    return readChromeAIStream(streamingMethod.call(session, input, callOptions), onChunk);
+  }
+
+  return session[method](input, callOptions);
+}
+
+/**
+ * Collect a Chrome AI stream, reporting the accumulated text after each chunk
+ */
+async function readChromeAIStream(stream, onChunk) {
+  let text = '';
+
+  for await (const chunk of stream) {
+    // Older Chrome versions stream the whole text so far, newer ones only the new part
+    text = text && chunk.startsWith(text) ? chunk : text + chunk;
+    onChunk(text);
+  }
+
+  return text;
+}
+
+/**
+ * Run a task against a Chrome AI session and always release the session afterwards
+ */
+async function withChromeAISession(createSession, task) {
+  const session = await createSession();
+
+  try {
+    return await task(session);
+  } finally {
+    session.destroy?.();
+  }
+}
+
+/**
+ * Create the provider backed by Chrome Built-in AI
+ */
+function createChromeAIProvider() {
+  return {
+    id: AI_PROVIDERS.CHROME_BUILTIN,
+    name: 'Chrome Built-in AI',
+
+    // options.languagePair is the translation pair to check the translator for
+    async availability(options = {}) {
+      const capabilities = {};
+
+      for (const capability of AI_CAPABILITIES) {
+        const api = getChromeAIApi(capability);
+        const checkOptions = capability === 'translator' ? options.languagePair : undefined;
+
+        try {
+          if (!api) {
+            capabilities[capability] = 'unavailable';
+          } else if (api.availability) {
+            capabilities[capability] = normalizeAvailability(await api.availability(checkOptions));
+          } else if (api.capabilities) {
+            // Legacy window.ai shape
+            const result = await api.capabilities();
+            capabilities[capability] = normalizeAvailability(result.available);
+          } else {
+            capabilities[capability] = 'unavailable';
+          }
+        } catch (error) {
+          console.warn(`Could not check ${capability} availability:`, error);
+          capabilities[capability] = 'unavailable';
+        }
+      }
+
+      return buildAvailabilityReport(AI_PROVIDERS.CHROME_BUILTIN, capabilities);
+    },
+
+    // Creating a session downloads the model behind a capability. options.onProgress
+    // receives the share downloaded, from 0 to 1; the translator needs options.languagePair.
+    async download(capability, options = {}) {
+      const api = requireChromeAIApi(capability);
+      const createOptions = {
+        signal: options.signal,
+        monitor(monitor) {
+          monitor.addEventListener('downloadprogress', event => {
+            options.onProgress?.(event.total ? event.loaded / event.total : event.loaded);
+          });
+        }
+      };
+
+      if (capability === 'translator') {
+        if (!options.languagePair) {
+          return;
+        }
+        Object.assign(createOptions, options.languagePair);
+      }
+
+      const session = await api.create(createOptions);
+      session.destroy?.();
+    },
+
+    async summarize(text, options = {}) {
+      const api = requireChromeAIApi('summarizer');
+
+      return withChromeAISession(
+        () => api.create({
+          type: options.type || 'key-points',
+          format: options.format || 'markdown',
+          length: options.length || 'short',
+          sharedContext: options.sharedContext,
+          signal: options.signal
+        }),
+        session => callChromeAISession(session, 'summarize', text, {
+          context: options.context,
+          signal: options.signal
+        }, options.onChunk)
+      );
+    },
+
+    async rewrite(text, options = {}) {
+      const api = requireChromeAIApi('rewriter');
+
+      return withChromeAISession(
+        () => api.create({
+          tone: options.tone || 'as-is',
+          format: options.format || 'plain-text',
+          length: options.length || 'as-is',
+          sharedContext: options.sharedContext,
+          signal: options.signal
+        }),
+        session => callChromeAISession(session, 'rewrite', text, {
+          context: options.context,
+          signal: options.signal
+        }, options.onChunk)
+      );
+    },
+
+    async prompt(input, options = {}) {
+      const api = requireChromeAIApi('languageModel');
+      const createOptions = { signal: options.signal };
+
+      if (options.systemPrompt) {
+        createOptions.initialPrompts = [{ role: 'system', content: options.systemPrompt }];
+      }
+
+      if (options.image) {
+        createOptions.expectedInputs = [{ type: 'image' }];
+      }
+
+      return withChromeAISession(
+        () => api.create(createOptions),
+        session => {
+          const message = options.image
+            ? [{
+              role: 'user',
+              content: [
+                { type: 'text', value: input },
+                { type: 'image', value: options.image }
+              ]
+            }]
+            : input;
+
+          return callChromeAISession(session, 'prompt', message, { signal: options.signal }, options.onChunk);
+        }
+      );
+    },
+
+    // The session stays open, and keeps the conversation, until destroy()
+    async startChat(options = {}) {
+      const api = requireChromeAIApi('languageModel');
+      const initialPrompts = [
+        ...(options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : []),
+        ...(options.history || [])
+      ];
+
+      const session = await api.create({ initialPrompts, signal: options.signal });
+
+      return {
+        prompt: (input, promptOptions = {}) =>
+          callChromeAISession(session, 'prompt', input, { signal: promptOptions.signal }, promptOptions.onChunk),
+        destroy: () => session.destroy?.()
+      };
+    },
+
+    async translate(text, options = {}) {
+      const { sourceLanguage, targetLanguage } = options;
+
+      return withChromeAISession(
+        () => createChromeTranslator({ sourceLanguage, targetLanguage }, options.signal),
+        session => callChromeAISession(session, 'translate', text, { signal: options.signal }, options.onChunk)
+      );
+    },
+
+    // One translator session translates every text in turn
+    async translateAll(texts, options = {}) {
+      const { sourceLanguage, targetLanguage } = options;
+
+      return withChromeAISession(
+        () => createChromeTranslator({ sourceLanguage, targetLanguage }, options.signal),
+        async session => {
+          const translations = [];
+          for (const text of texts) {
+            translations.push(await callChromeAISession(session, 'translate', text, { signal: options.signal }));
+          }
+          return translations;
+        }
+      );
+    },
+
+    async detectLanguage(text) {
+      const api = requireChromeAIApi('languageDetector');
+
+      return withChromeAISession(
+        () => api.create(),
+        async session => {
+          const results = await session.detect(text);
+
+          return results.map(result => ({
+            language: result.detectedLanguage,
+            confidence: result.confidence
+          }));
+        }
+      );
+    }
+  };
+}
+
+// Local OpenAI-compatible HTTP endpoint
+
+/**
+ * Encode a Blob as a data: URL (FileReader is not guaranteed in service workers)
+ */
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
+
+/**
+ * Make sure the local endpoint really points at this machine
+ */
+function validateLocalEndpoint(baseUrl) {
+  let url;
+
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    throw new Error(`Invalid local AI endpoint URL: ${baseUrl}`);
+  }
+
+  const localHosts = ['localhost', '127.0.0.1', '[::1]'];
+  if (!localHosts.includes(url.hostname)) {
+    throw new Error('The local AI endpoint must run on localhost so content never leaves your device');
+  }
+
+  return url.href.replace(/\/+$/, '');
+}
+
+/**
+ * Create the provider backed by a local OpenAI-compatible HTTP endpoint
+ */
+function createLocalHttpProvider(config = {}) {
+  const settings = { ...AI_PROVIDER_DEFAULTS.localEndpoint, ...config };
+
+  async function request(path, body, signal, timeout) {
+    const response = await send(path, body, signal, timeout);
+    return response.json();
+  }
+
+  async function send(path, body, signal, timeout = settings.timeout) {
+    const baseUrl = validateLocalEndpoint(settings.baseUrl);
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    const requestSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: requestSignal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Local AI endpoint returned ${response.status} ${response.statusText}`);
+    }
+
+    return response;
+  }
+
+  async function chat(messages, options = {}) {
+    if (options.onChunk) {
+      return streamChat(messages, options);
+    }
+
+    const result = await request('/chat/completions', {
+      model: settings.model,
+      messages,
+      temperature: options.temperature ?? 0.2
+    }, options.signal);
+
+    const content = result.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Local AI endpoint returned an unexpected response');
+    }
+
+    return content.trim();
+  }
+
+  // Read server-sent events from a streaming chat completion
+  async function streamChat(messages, options) {
+    const response = await send('/chat/completions', {
+      model: settings.model,
+      messages,
+      temperature: options.temperature ?? 0.2,
+      stream: true
+    }, options.signal);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          options.onChunk(text);
+        }
+      }
+    }
+
+    return text.trim();
+  }
+
+  return {
+    id: AI_PROVIDERS.LOCAL_HTTP,
+    name: 'Local HTTP endpoint',
+
+    // A stopped server should not hold up status checks for the full
+    // generation timeout, so the probe gets a short one of its own
+    async availability(options = {}) {
+      let state = 'unavailable';
+
+      try {
+        await request('/models', undefined, options.signal, LOCAL_AVAILABILITY_TIMEOUT);
+        state = 'available';
+      } catch (error) {
+        console.warn('Local AI endpoint not reachable:', error.message);
+      }
+
+      const capabilities = {};
+      AI_CAPABILITIES.forEach(capability => {
+        capabilities[capability] = state;
+      });
+
+      return buildAvailabilityReport(AI_PROVIDERS.LOCAL_HTTP, capabilities);
+    },
+
+    async summarize(text, options = {}) {
+      const instructions = [
+        'Summarize the text as exactly 3 markdown bullet points of at most 20 words each.',
+        options.context ? `Context: ${options.context}` : ''
+      ].filter(Boolean).join('\n');
+
+      return chat([
+        { role: 'system', content: instructions },
+        { role: 'user', content: text }
+      ], options);
+    },
+
+    async rewrite(text, options = {}) {
+      const instructions = [
+        'Rewrite the text. Reply with the rewritten text only.',
+        options.context || ''
+      ].filter(Boolean).join('\n');
+
+      return chat([
+        { role: 'system', content: instructions },
+        { role: 'user', content: text }
+      ], options);
+    },
+
+    async prompt(input, options = {}) {
+      const messages = [];
+
+      if (options.systemPrompt) {
+        messages.push({ role: 'system', content: options.systemPrompt });
+      }
+
+      if (options.image) {
+        messages.push({
+          role: 'user',
+          content: [
+            { type: 'text', text: input },
+            { type: 'image_url', image_url: { url: await blobToDataUrl(options.image) } }
+          ]
+        });
+      } else {
+        messages.push({ role: 'user', content: input });
+      }
+
+      return chat(messages, options);
+    },
+
+    // The endpoint is stateless, so the conversation is resent with every prompt
+    async startChat(options = {}) {
+      const messages = [
+        ...(options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : []),
+        ...(options.history || [])
+      ];
+
+      return {
+        async prompt(input, promptOptions = {}) {
+          const reply = await chat([...messages, { role: 'user', content: input }], promptOptions);
+          messages.push({ role: 'user', content: input }, { role: 'assistant', content: reply });
+          return reply;
+        },
+        destroy() {}
+      };
+    },
+
+    async translate(text, options = {}) {
+      const from = options.sourceLanguage ? ` from ${options.sourceLanguage}` : '';
+
+      return chat([
+        {
+          role: 'system',
+          content: `Translate the text${from} to the language with BCP 47 code "${options.targetLanguage}". Reply with the translation only.`
+        },
+        { role: 'user', content: text }
+      ], options);
+    },
+
+    async translateAll(texts, options = {}) {
+      const translations = [];
+      for (const text of texts) {
+        translations.push(await this.translate(text, { ...options, onChunk: undefined }));
+      }
+      return translations;
+    },
+
+    async detectLanguage(text) {
+      const reply = await chat([
+        {
+          role: 'system',
+          content: 'Identify the language of the text. Reply with its BCP 47 language code only.'
+        },
+        { role: 'user', content: text.substring(0, 1000) }
+      ]);
+
+      const language = reply.toLowerCase().match(/[a-z]{2,3}(-[a-z0-9]+)?/)?.[0];
+      return language ? [{ language, confidence: 0.5 }] : [];
+    }
+  };
+}
+
+// Deterministic fake backend for offline development and testing
+
+/**
+ * Emit a fake result word by word when streaming is requested
+ */
+async function emitFakeResult(result, options = {}) {
+  options.signal?.throwIfAborted();
+
+  if (!options.onChunk) {
+    return result;
+  }
+
+  const words = result.split(/(\s+)/);
+  let text = '';
+
+  for (const word of words) {
+    await new Promise(resolve => setTimeout(resolve, FAKE_STREAM_DELAY));
+    options.signal?.throwIfAborted();
+
+    text += word;
+    options.onChunk(text);
+  }
+
+  return result;
+}
+
+/**
+ * Create a provider that returns predictable results without any model
+ */
+function createFakeProvider() {
+  return {
+    id: AI_PROVIDERS.FAKE,
+    name: 'Fake provider (testing)',
+
+    async availability() {
+      const capabilities = {};
+      AI_CAPABILITIES.forEach(capability => {
+        capabilities[capability] = 'available';
+      });
+
+      return buildAvailabilityReport(AI_PROVIDERS.FAKE, capabilities);
+    },
+
+    async summarize(text, options = {}) {
+      const plainText = text.replace(/^\s*[-*•]\s+/gm, '');
+      const sentences = splitIntoSentences(plainText).slice(0, 3);
+      return emitFakeResult(sentences.map(sentence => `- ${limitWords(sentence, 20)}`).join('\n'), options);
+    },
+
+    async rewrite(text, options = {}) {
+      const rewritten = splitIntoSentences(text)
+        .map(sentence => limitWords(sentence, 12))
+        .join(' ');
+      return emitFakeResult(rewritten, options);
+    },
+
+    async prompt(input, options = {}) {
+      // Images are described in the JSON format the real models are asked for
+      if (options.image) {
+        return emitFakeResult(JSON.stringify({
+          alt_text: 'Fake description of an image.',
+          description: 'Fake detailed description of the image and any text in it.'
+        }), options);
+      }
+
+      return emitFakeResult(`Fake response describing ${input.split(/\s+/).length} words of input.`, options);
+    },
+
+    async startChat(options = {}) {
+      let answered = (options.history || []).filter(message => message.role === 'user').length;
+
+      return {
+        async prompt(input, promptOptions = {}) {
+          const result = await emitFakeResult(`Fake answer ${answered + 1} to ${input.split(/\s+/).length} words of input.\nSources: 1`, promptOptions);
+          answered++;
+          return result;
+        },
+        destroy() {}
+      };
+    },
+
+    async translate(text, options = {}) {
+      return emitFakeResult(`[${options.targetLanguage}] ${text}`, options);
+    },
+
+    async translateAll(texts, options = {}) {
+      options.signal?.throwIfAborted();
+      return texts.map(text => `[${options.targetLanguage}] ${text}`);
+    },
+
+    async detectLanguage(text) {
+      const scripts = [
+        { pattern: /[\u3040-\u30ff]/, language: 'ja' },
+        { pattern: /[\u4e00-\u9fff]/, language: 'zh' },
+        { pattern: /[\uac00-\ud7af]/, language: 'ko' },
+        { pattern: /[\u0400-\u04ff]/, language: 'ru' },
+        { pattern: /[\u0600-\u06ff]/, language: 'ar' },
+        { pattern: /[\u0900-\u097f]/, language: 'hi' }
+      ];
+
+      const match = scripts.find(script => script.pattern.test(text));
+      return [{ language: match ? match.language : 'en', confidence: 1 }];
+    }
+  };
+}
+
+/**
+ * Create the provider selected in user settings
+ */
+function createAIProvider(settings = {}) {
+  switch (settings.aiProvider || AI_PROVIDER_DEFAULTS.provider) {
+    case AI_PROVIDERS.LOCAL_HTTP:
+      return createLocalHttpProvider(settings.localEndpoint);
+
+    case AI_PROVIDERS.FAKE:
+      return createFakeProvider();
+
+    case AI_PROVIDERS.CHROME_BUILTIN:
+      return createChromeAIProvider();
+
+    default:
+      console.warn('Unknown AI provider, falling back to Chrome Built-in AI:', settings.aiProvider);
+      return createChromeAIProvider();
+  }
+}
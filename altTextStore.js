@@ -0,0 +1,108 @@
+/**
+ * AURA - AI Universal Reading Assistant - Alt Text Store
+ * Remember generated image descriptions by image URL so they come back on revisits
+ */
+
+const ALT_TEXT_STORE_CONFIG = {
+  STORAGE_KEY: 'altTextCache',
+  MAX_ENTRIES: 500,        // Oldest descriptions are forgotten first
+  MAX_URL_LENGTH: 2048     // Longer data: URLs are not worth keeping
+};
+
+// Writes to the cache, one at a time: each reads the whole cache and writes
+// it back, so overlapping writes would drop each other's descriptions
+let altTextWrites = Promise.resolve();
+
+/**
+ * Get the key an image URL is cached under, or null when it cannot be cached
+ *
+ * blob: URLs die with their page, so descriptions of them never come back.
+ */
+function getAltTextCacheKey(url) {
+  if (!url || url.length > ALT_TEXT_STORE_CONFIG.MAX_URL_LENGTH) {
+    return null;
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:', 'data:'].includes(parsed.protocol)) {
+      return null;
+    }
+
+    parsed.hash = '';
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Look up cached descriptions for image URLs
+ *
+ * Returns an object mapping each cached URL, as given, to
+ * { altText, description, injected, timestamp }.
+ */
+async function getCachedAltText(urls) {
+  const result = await chrome.storage.local.get(ALT_TEXT_STORE_CONFIG.STORAGE_KEY);
+  const cache = result[ALT_TEXT_STORE_CONFIG.STORAGE_KEY] || {};
+  const entries = {};
+
+  urls.forEach(url => {
+    const key = getAltTextCacheKey(url);
+    if (key && cache[key]) {
+      entries[url] = cache[key];
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Cache a description for an image URL
+ *
+ * altText is expected to be validated already, as describe results are.
+ * details.injected records that the user put this alt text into the page,
+ * so it is put back on the next visit. Once set it stays set.
+ */
+async function storeAltText(url, { altText, description = '', injected = false }) {
+  const key = getAltTextCacheKey(url);
+  if (!key || !altText) {
+    return null;
+  }
+
+  return queueAltTextWrite(async () => {
+    const result = await chrome.storage.local.get(ALT_TEXT_STORE_CONFIG.STORAGE_KEY);
+    const cache = result[ALT_TEXT_STORE_CONFIG.STORAGE_KEY] || {};
+    const previous = cache[key];
+
+    cache[key] = {
+      altText,
+      description: description || previous?.description || '',
+      injected: injected || Boolean(previous?.injected),
+      timestamp: Date.now()
+    };
+
+    // Forget the oldest descriptions once the cache is full
+    const keys = Object.keys(cache);
+    if (keys.length > ALT_TEXT_STORE_CONFIG.MAX_ENTRIES) {
+      keys
+        .sort((a, b) => cache[a].timestamp - cache[b].timestamp)
+        .slice(0, keys.length - ALT_TEXT_STORE_CONFIG.MAX_ENTRIES)
+        .forEach(oldKey => delete cache[oldKey]);
+    }
+
+    await chrome.storage.local.set({ [ALT_TEXT_STORE_CONFIG.STORAGE_KEY]: cache });
+    return cache[key];
+  });
+}
+
+/**
+ * Run a change to the cache after every earlier one has been written
+ *
+ * Resolves or rejects with the result of change().
+ */
+function queueAltTextWrite(change) {
+  const run = altTextWrites.then(change);
+  altTextWrites = run.catch(() => {});
+  return run;
+}
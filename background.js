@@ -3,13 +3,140 @@
  * Coordinates communication between content script and popup
  */
 
+importScripts('textHelpers.js', 'aiProviders.js', 'settingsSchema.js', 'summaryPipeline.js', 'imagePipeline.js', 'savedLibrary.js', 'altTextStore.js', 'resultCache.js', 'outputValidation.js', 'readability.js', 'vocabularyStore.js', 'groundedChat.js');
+
 // Global state
 let modelStatus = {
+  state: 'checking',
   available: false,
+  downloadable: false,
   downloading: false,
-  error: null
+  consent: false,
+  progress: null,
+  attempt: 0,
+  error: null,
+  downloadError: null
+};
+
+// Downloading the on-device models
+const MODEL_DOWNLOAD_CONFIG = {
+  CONSENT_KEY: 'modelDownloadConsent',
+  MAX_RETRIES: 3,
+  RETRY_DELAY: 15000,       // Milliseconds before the first retry, doubled after each
+  PROGRESS_THROTTLE: 500
+};
+
+// The model download in progress or waiting to retry
+let modelDownload = null;
+
+// Operations and the result types they produce
+const RESULT_TYPES = {
+  summarize: 'summary',
+  simplify: 'simplification',
+  describe: 'description',
+  translate: 'translation',
+  define: 'definition',
+  ask: 'answer',
+  'translate-texts': 'page-translation'
+};
+
+// Minimum milliseconds between streamed partial results
+const STREAM_THROTTLE = 100;
+
+// Results kept per tab for the side panel history
+const RESULT_HISTORY_LIMIT = 20;
+
+// Running inline card operations, by tab ID
+const overlayJobs = new Map();
+
+// AI operations run as jobs so they can be tracked, cancelled and picked up again
+const JOB_CONFIG = {
+  MAX_CONCURRENT: 2,     // Model sessions allowed to run at once
+  FINISHED_LIMIT: 20     // Finished jobs kept so a reopened popup can collect them
+};
+
+// Job events that end a job
+const JOB_FINISHED_EVENTS = ['COMPLETE', 'CANCELLED', 'ERROR'];
+
+// Jobs by ID, in the order they were started
+const jobs = new Map();
+
+// Jobs waiting for a free model session
+const jobQueue = [];
+let runningJobCount = 0;
+
+// Finished jobs are also kept in session storage so their results outlive a
+// restarted service worker; writes to them run one at a time
+let finishedJobWrites = Promise.resolve();
+
+// Page image audits and their abort controllers, by tab ID
+const imageAudits = new Map();
+
+// Follow-up conversations and their open model sessions, by conversation ID
+const conversations = new Map();
+
+// Translation language pairs offered again in the popup, newest first
+const RECENT_LANGUAGE_PAIRS_KEY = 'recentLanguagePairs';
+const RECENT_LANGUAGE_PAIRS_LIMIT = 5;
+
+// Whole-page actions offered from the page context menu
+const PAGE_ACTIONS = [
+  { id: 'page-summarize', title: 'Summarize this page', operation: 'summarize' },
+  { id: 'page-simplify', title: 'Simplify this page', operation: 'simplify' },
+  { id: 'page-translate', title: 'Translate this page', operation: 'translate-page' },
+  { id: 'page-bilingual', title: 'Open bilingual reader', operation: 'bilingual-reader' },
+  { id: 'page-read-aloud', title: 'Read this page aloud', operation: 'read-aloud' }
+];
+
+// Selection actions bound to keyboard shortcuts by the manifest's "commands"
+const SELECTION_COMMANDS = {
+  'summarize-selection': { operation: 'summarize', loadingMessage: 'Summarizing…' },
+  'simplify-selection': { operation: 'simplify', loadingMessage: 'Simplifying…' },
+  'translate-selection': { operation: 'translate', loadingMessage: 'Translating…' },
+  'describe-image': { operation: 'describe', loadingMessage: 'Describing image…' },
+  'read-aloud-selection': { operation: 'read-aloud' }
+};
+
+// Prompts used for operations without a dedicated API
+const PROMPTS = {
+  SIMPLIFY_LEVELS: {
+    'eli5': {
+      tone: 'more-casual',
+      context: 'Explain this like I am 5 years old. Use short sentences, everyday words and a helpful analogy when it makes the idea clearer.'
+    },
+    'middle-school': {
+      tone: 'more-casual',
+      context: 'Rewrite this for a middle school student of about 12. Use short sentences and common words, and explain any technical term the first time it appears.'
+    },
+    'plain-language': {
+      tone: 'as-is',
+      context: 'Rewrite this in plain language for a general adult reader: short sentences, active voice, common words, and the most important point first. Keep every fact.'
+    },
+    'expert-glossary': {
+      tone: 'as-is',
+      context: 'Rewrite this clearly and concisely for an expert reader, keeping the technical terms and precision. End with a line "Glossary:" followed by one line per technical term in the form "- term: short definition".'
+    }
+  },
+  DESCRIBE_SYSTEM: 'You are an accessibility assistant that creates clear, concise image descriptions.',
+  DESCRIBE_IMAGE: 'Describe this image in 2 sentences, focusing on the main subject and any text or chart elements. Provide:\n1. Alt-text (≤120 characters)\n2. Detailed description (1-2 sentences)\nFormat as JSON: {"alt_text": "...", "description": "..."}',
+  SUMMARY_REPAIR: 'Rewrite this summary as exactly 3 markdown bullet points of at most 20 words each. Keep its meaning and reply with the bullet points only.',
+  DESCRIBE_REPAIR: 'Your previous answer did not follow the format. Reply with JSON only: {"alt_text": "...", "description": "..."}, with alt text of at most 120 characters.',
+  DEFINE_SYSTEM: 'You are a dictionary for readers and language learners. You explain words as they are used in context, in the language of the text.',
+  DEFINE_TERM: (term, sentence) => `Define "${term}" as it is used in this sentence: "${sentence}"\nGive one plain sentence of at most 25 words, and a simpler, more common word with the same meaning here, or "" if there is none.\nFormat as JSON: {"definition": "...", "simpler_word": "..."}`,
+  DEFINE_REPAIR: 'Your previous answer did not follow the format. Reply with JSON only: {"definition": "...", "simpler_word": "..."}.',
+  CHAT_SYSTEM: (title, source) => [
+    `You answer follow-up questions about a text the user is reading${title ? `, "${title}"` : ''}. Answer only from the text, in a few plain sentences. If the text does not say, tell the user so.`,
+    'End every answer with a line "Sources:" followed by the numbers of the sentences your answer is based on, or "Sources: none".',
+    source
+      ? `The text, one numbered sentence per line:\n${source}`
+      : 'The text is long, so each question comes with its most relevant numbered sentences.'
+  ].join('\n\n'),
+  CHAT_QUESTION: (question, excerpt) => `Relevant sentences:\n${excerpt || '(none match this question)'}\n\nQuestion: ${question}`
 };
 
+// Longest selection, in words, that is looked up as a definition
+const MAX_DEFINITION_WORDS = 6;
+
 /**
  * Initialize background service worker
  */
@@ -19,11 +146,18 @@ chrome.runtime.onInstalled.addListener((details) => {
   // Set up context menus
   setupContextMenus();
   
-  // Initialize model status checking
-  initializeModelStatus();
+  // Check the models and resume a download the user already agreed to
+  manageModelAvailability();
   
-  // Set up storage defaults
-  initializeStorage();
+  // Set up storage defaults, or migrate settings after an update
+  initializeStorage(details);
+});
+
+/**
+ * Resume an interrupted model download when the browser starts
+ */
+chrome.runtime.onStartup.addListener(() => {
+  manageModelAvailability();
 });
 
 /**
@@ -40,6 +174,13 @@ function setupContextMenus() {
       documentUrlPatterns: ['http://*/*', 'https://*/*']
     });
     
+    chrome.contextMenus.create({
+      id: 'define-text',
+      title: 'Define with AURA',
+      contexts: ['selection'],
+      documentUrlPatterns: ['http://*/*', 'https://*/*']
+    });
+    
     // Create context menu for images
     chrome.contextMenus.create({
       id: 'describe-image',
@@ -51,7 +192,34 @@ function setupContextMenus() {
     // Create context menu for page-level actions
     chrome.contextMenus.create({
       id: 'open-assistant',
-      title: 'Open AURA',
+      title: 'AURA',
+      contexts: ['page'],
+      documentUrlPatterns: ['http://*/*', 'https://*/*']
+    });
+    
+    chrome.contextMenus.create({
+      id: 'open-side-panel',
+      parentId: 'open-assistant',
+      title: 'Open side panel',
+      contexts: ['page'],
+      documentUrlPatterns: ['http://*/*', 'https://*/*']
+    });
+    
+    // Whole-article actions, available even when nothing is selected
+    PAGE_ACTIONS.forEach(action => {
+      chrome.contextMenus.create({
+        id: action.id,
+        parentId: 'open-assistant',
+        title: action.title,
+        contexts: ['page'],
+        documentUrlPatterns: ['http://*/*', 'https://*/*']
+      });
+    });
+    
+    chrome.contextMenus.create({
+      id: 'audit-images',
+      parentId: 'open-assistant',
+      title: 'Audit images on this page',
       contexts: ['page'],
       documentUrlPatterns: ['http://*/*', 'https://*/*']
     });
@@ -70,12 +238,31 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         await handleSummarizeContext(info, tab);
         break;
         
+      case 'define-text':
+        await handleDefineContext(info, tab);
+        break;
+        
       case 'describe-image':
         await handleDescribeImageContext(info, tab);
         break;
         
       case 'open-assistant':
+      case 'open-side-panel':
+        await handleOpenAssistant(tab);
+        break;
+        
+      case 'audit-images':
+        // The report is shown in the side panel
         await handleOpenAssistant(tab);
+        await startImageAudit(tab.id);
+        break;
+        
+      case 'page-summarize':
+      case 'page-simplify':
+      case 'page-translate':
+      case 'page-bilingual':
+      case 'page-read-aloud':
+        await handlePageAction(info.menuItemId, tab);
         break;
         
       default:
@@ -86,6 +273,31 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   }
 });
 
+/**
+ * Handle keyboard shortcuts from the manifest's "commands"
+ *
+ * Opening AURA is Chrome's own _execute_action command and never gets here.
+ * Users change the keys on the browser's extension shortcuts page.
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  console.log('Keyboard command:', command);
+  
+  const selectionCommand = SELECTION_COMMANDS[command];
+  if (!selectionCommand) {
+    console.warn('Unknown keyboard command:', command);
+    return;
+  }
+  
+  try {
+    const [activeTab] = tab ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+    if (activeTab) {
+      await handleSelectionCommand(selectionCommand, activeTab);
+    }
+  } catch (error) {
+    console.error('Error handling keyboard command:', error);
+  }
+});
+
 /**
  * Handle message passing between components
  */
@@ -98,20 +310,56 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
       
+    case 'ADD_RESULT_HISTORY':
+      handleAddResultHistory(message.data, sendResponse);
+      break;
+      
+    case 'GET_RESULT_HISTORY':
+      handleGetResultHistory(message.data, sendResponse);
+      break;
+      
     case 'GET_SELECTED_CONTENT':
       handleGetSelectedContent(sender, sendResponse);
       break;
       
     case 'OPEN_POPUP_WITH_CONTENT':
-      handleOpenPopupWithContent(message.data, sender);
-      sendResponse({ success: true });
+      handleOpenPopupWithContent(message.data, sender, sendResponse);
+      break;
+      
+    case 'SAVE_RESULT':
+      handleSaveResult(message.data, sender, sendResponse);
+      break;
+      
+    case 'GET_SAVED_ITEMS':
+      handleGetSavedItems(sendResponse);
+      break;
+      
+    case 'DELETE_SAVED_ITEMS':
+      handleDeleteSavedItems(message.data, sendResponse);
+      break;
+      
+    case 'UPDATE_SAVED_ITEM':
+      handleUpdateSavedItem(message.data, sendResponse);
+      break;
+      
+    case 'IMPORT_SAVED_ITEMS':
+      handleImportSavedItems(message.data, sendResponse);
       break;
       
     case 'CHECK_MODEL_STATUS':
-      sendResponse({
-        success: true,
-        status: modelStatus
-      });
+      handleCheckModelStatus(sendResponse);
+      break;
+      
+    case 'START_MODEL_DOWNLOAD':
+      handleStartModelDownload(message.data, sendResponse);
+      break;
+      
+    case 'GET_SETTINGS':
+      handleGetSettings(sendResponse);
+      break;
+      
+    case 'UPDATE_SETTINGS':
+      handleUpdateSettings(message.data, sendResponse);
       break;
       
     case 'GET_STORAGE':
@@ -126,6 +374,95 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleProcessContent(message.data, sendResponse);
       break;
       
+    case 'GET_JOBS':
+      handleGetJobs(message.data, sendResponse);
+      break;
+      
+    case 'CANCEL_JOB':
+      cancelJob(message.data?.jobId);
+      sendResponse({ success: true });
+      break;
+      
+    case 'CLEAR_RESULT_CACHE':
+      handleClearResultCache(sendResponse);
+      break;
+      
+    case 'GET_TRANSLATION_OPTIONS':
+      handleGetTranslationOptions(sendResponse);
+      break;
+      
+    case 'TRANSLATE_PAGE_TEXT':
+      handleTranslatePageText(message.data, sender, sendResponse);
+      break;
+      
+    case 'CANCEL_PAGE_TRANSLATION':
+      cancelPageTranslationJobs(sender.tab?.id);
+      sendResponse({ success: true });
+      break;
+      
+    case 'START_IMAGE_AUDIT':
+      handleStartImageAudit(message.data, sendResponse);
+      break;
+      
+    case 'CANCEL_IMAGE_AUDIT':
+      imageAudits.get(message.data?.tabId)?.controller.abort();
+      sendResponse({ success: true });
+      break;
+      
+    case 'GET_IMAGE_AUDIT':
+      sendResponse({
+        success: true,
+        audit: imageAudits.get(message.data?.tabId)?.audit || null
+      });
+      break;
+      
+    case 'APPLY_ALT_TEXT':
+      handleApplyAltText(message.data, sender, sendResponse);
+      break;
+      
+    case 'DESCRIBE_PAGE_IMAGE':
+      handleDescribePageImage(message.data, sender, sendResponse);
+      break;
+      
+    case 'GET_AUTO_ALT_TEXT':
+      handleGetAutoAltText(message.data, sendResponse);
+      break;
+      
+    case 'SET_AUTO_ALT_TEXT':
+      handleSetAutoAltText(message.data, sendResponse);
+      break;
+      
+    case 'STOP_OVERLAY_JOB':
+      handleStopOverlayJob(sender);
+      sendResponse({ success: true });
+      break;
+      
+    case 'DEFINE_TERM':
+      handleDefineTerm(message.data, sender, sendResponse);
+      break;
+      
+    case 'GET_VOCABULARY':
+      handleGetVocabulary(sendResponse);
+      break;
+      
+    case 'DELETE_VOCABULARY_ENTRIES':
+      handleDeleteVocabularyEntries(message.data, sendResponse);
+      break;
+      
+    case 'OPEN_VOCABULARY':
+      chrome.tabs.create({ url: chrome.runtime.getURL('vocabulary.html') });
+      sendResponse({ success: true });
+      break;
+      
+    case 'GET_CONVERSATION':
+      handleGetConversation(message.data, sendResponse);
+      break;
+      
+    case 'RESET_CONVERSATION':
+      closeConversation(message.data?.conversationId);
+      sendResponse({ success: true });
+      break;
+      
     default:
       console.warn('Unknown message type:', message.type);
       sendResponse({
@@ -137,61 +474,273 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // Keep message channel open for async responses
 });
 
+/**
+ * Handle long-lived connections used for streaming results
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === 'aura-stream') {
+    handleStreamPort(port);
+  }
+});
+
 /**
  * Initialize AI model status checking
  */
 async function initializeModelStatus() {
   try {
-    // This will be expanded in later tasks when we implement AI integration
-    modelStatus = {
-      available: false,
-      downloading: false,
-      error: 'Model status checking will be implemented in task 4'
-    };
+    const settings = await getUserSettings();
+    const provider = createAIProvider(settings);
+    const report = await provider.availability({ languagePair: await getModelLanguagePair(settings) });
+    const downloading = Boolean(modelDownload) || Object.values(report.capabilities).includes('downloading');
+    
+    setModelStatus({
+      state: getModelState(report, downloading),
+      available: report.available,
+      downloadable: report.downloadable,
+      downloading,
+      consent: await hasModelDownloadConsent(),
+      provider: provider.id,
+      providerName: provider.name,
+      capabilities: report.capabilities,
+      progress: downloading ? modelStatus.progress : null,
+      error: report.available || report.downloadable ? null : `${provider.name} is not available`
+    });
     
     console.log('Model status initialized:', modelStatus);
     
   } catch (error) {
     console.error('Error initializing model status:', error);
-    modelStatus = {
+    setModelStatus({
+      state: 'unavailable',
       available: false,
-      downloading: false,
+      downloadable: false,
+      downloading: Boolean(modelDownload),
       error: error.message
-    };
+    });
+  }
+}
+
+/**
+ * Sum up availability as one state for the popup
+ *
+ * downloadable means some model still needs the user's consent to download.
+ */
+function getModelState(report, downloading) {
+  if (modelDownload?.retryTimer) {
+    return 'retrying';
+  }
+  
+  if (downloading) {
+    return 'downloading';
+  }
+  
+  if (report.downloadable) {
+    return 'downloadable';
   }
+  
+  return report.available ? 'available' : 'unavailable';
+}
+
+/**
+ * Update the model status and tell every open popup and side panel
+ */
+function setModelStatus(changes) {
+  modelStatus = { ...modelStatus, ...changes };
+  
+  chrome.runtime.sendMessage({
+    type: 'MODEL_STATUS_UPDATED',
+    data: { status: modelStatus }
+  }).catch(() => {
+    // No popup or side panel is open
+  });
+}
+
+/**
+ * Get the translation pair whose model AURA should have ready
+ *
+ * The most recent pair, or English to the preferred language. Returns null
+ * when the preferred language is English and nothing was translated yet.
+ */
+async function getModelLanguagePair(settings) {
+  const [recent] = await getRecentLanguagePairs();
+  if (recent) {
+    return recent;
+  }
+  
+  return settings.preferredLanguage === 'en'
+    ? null
+    : { sourceLanguage: 'en', targetLanguage: settings.preferredLanguage };
+}
+
+/**
+ * Check whether the user agreed to download the models
+ */
+async function hasModelDownloadConsent() {
+  const result = await chrome.storage.local.get(MODEL_DOWNLOAD_CONFIG.CONSENT_KEY);
+  return Boolean(result[MODEL_DOWNLOAD_CONFIG.CONSENT_KEY]);
 }
 
 /**
- * Initialize storage with default values
+ * Start downloading the models once the user agreed to it
  */
-async function initializeStorage() {
+async function handleStartModelDownload(data, sendResponse) {
   try {
-    const defaultSettings = {
-      preferredLanguage: 'en',
-      ttsVoice: 'default',
-      summaryLength: 'short',
-      autoSave: false,
-      firstRun: true
-    };
+    if (data?.consent !== true) {
+      throw new Error('AURA needs your permission before downloading the AI model');
+    }
+    
+    await chrome.storage.local.set({
+      [MODEL_DOWNLOAD_CONFIG.CONSENT_KEY]: { grantedAt: Date.now() }
+    });
+    
+    // Retry now rather than waiting for the next scheduled attempt
+    if (modelDownload?.retryTimer) {
+      clearTimeout(modelDownload.retryTimer);
+      modelDownload = null;
+    }
+    
+    sendResponse({
+      success: true,
+      status: await manageModelAvailability()
+    });
+    
+  } catch (error) {
+    console.error('Error starting the model download:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Download every model that still needs it, one after another
+ *
+ * Progress is broadcast as MODEL_STATUS_UPDATED. Failed downloads are
+ * retried after a growing delay, up to MODEL_DOWNLOAD_CONFIG.MAX_RETRIES times.
+ */
+async function downloadModels(attempt = 0) {
+  const pending = Object.entries(modelStatus.capabilities || {})
+    .filter(([, state]) => state === 'downloadable' || state === 'downloading')
+    .map(([capability]) => capability);
+  
+  if (pending.length === 0) {
+    return;
+  }
+  
+  // Set before the first await so the status is already current for the caller
+  const sendProgress = throttle(progress => setModelStatus({ progress }), MODEL_DOWNLOAD_CONFIG.PROGRESS_THROTTLE);
+  modelDownload = { retryTimer: null };
+  
+  setModelStatus({
+    state: 'downloading',
+    downloading: true,
+    attempt,
+    downloadError: null,
+    progress: { capability: pending[0], loaded: 0 }
+  });
+  
+  try {
+    const settings = await getUserSettings();
+    const provider = createAIProvider(settings);
+    const languagePair = await getModelLanguagePair(settings);
+    
+    for (const [index, capability] of pending.entries()) {
+      await provider.download(capability, {
+        languagePair,
+        onProgress: loaded => sendProgress({ capability, loaded: (index + loaded) / pending.length })
+      });
+    }
     
+    sendProgress.cancel();
+    modelDownload = null;
+    await initializeModelStatus();
+    
+  } catch (error) {
+    sendProgress.cancel();
+    console.error(`Model download attempt ${attempt + 1} failed:`, error);
+    
+    if (attempt < MODEL_DOWNLOAD_CONFIG.MAX_RETRIES) {
+      const delay = MODEL_DOWNLOAD_CONFIG.RETRY_DELAY * 2 ** attempt;
+      
+      modelDownload.retryTimer = setTimeout(() => {
+        modelDownload = null;
+        downloadModels(attempt + 1);
+      }, delay);
+      
+      setModelStatus({ state: 'retrying', downloadError: error.message, retryAt: Date.now() + delay });
+      return;
+    }
+    
+    modelDownload = null;
+    setModelStatus({
+      state: 'failed',
+      downloading: false,
+      progress: null,
+      downloadError: `The AI model download failed after ${attempt + 1} attempts: ${error.message}. Check your connection and free disk space, then try again.`
+    });
+  }
+}
+
+/**
+ * Initialize storage with default values, migrating existing settings
+ */
+async function initializeStorage(details = {}) {
+  try {
     // Check if settings already exist
     const result = await chrome.storage.local.get(['userSettings']);
     
     if (!result.userSettings) {
       // Set default settings
       await chrome.storage.local.set({
-        userSettings: defaultSettings,
+        userSettings: DEFAULT_SETTINGS,
         savedContent: {}
       });
       
       console.log('Default settings initialized');
+    } else {
+      const fromVersion = result.userSettings.settingsVersion || 1;
+      const userSettings = migrateSettings(result.userSettings);
+      
+      await chrome.storage.local.set({ userSettings });
+      console.log(`Settings migrated from version ${fromVersion} to ${userSettings.settingsVersion} (${details.reason || 'startup'})`);
     }
     
+    // Make room if an earlier version left storage nearly full
+    await enforceStorageQuota();
+    
   } catch (error) {
     console.error('Error initializing storage:', error);
   }
 }
 
+/**
+ * Get user settings merged over the defaults
+ */
+async function getUserSettings() {
+  const result = await chrome.storage.local.get(['userSettings']);
+  return { ...DEFAULT_SETTINGS, ...result.userSettings };
+}
+
+/**
+ * Get the AI provider selected in user settings
+ */
+async function getAIProvider() {
+  return createAIProvider(await getUserSettings());
+}
+
+/**
+ * Handle model status requests, refreshing the status first
+ */
+async function handleCheckModelStatus(sendResponse) {
+  await initializeModelStatus();
+
+  sendResponse({
+    success: true,
+    status: modelStatus
+  });
+}
+
 /**
  * Handle content selection from content script
  */
@@ -223,47 +772,243 @@ function handleContentSelected(content, sender) {
     }
     
     console.log(`Stored ${content.type} selection for tab ${tabId}`);
+    
+    // Let an open side panel follow the selection live
+    chrome.runtime.sendMessage({
+      type: 'SELECTION_UPDATED',
+      data: { tabId, content }
+    }).catch(() => {
+      // No side panel is open
+    });
   }
 }
 
 /**
- * Handle summarize context menu action
+ * Get jobs for the popup, newest first, including finished jobs stored
+ * before the service worker restarted
  */
-async function handleSummarizeContext(info, tab) {
+async function handleGetJobs(data, sendResponse) {
   try {
-    // Send message to content script to extract selected text
-    const response = await chrome.tabs.sendMessage(tab.id, {
-      type: 'EXTRACT_TEXT'
-    });
+    const tabId = data?.tabId;
+    const stored = (await getStoredJobs())
+      .filter(job => (tabId === undefined || job.tabId === tabId) && !jobs.has(job.id));
     
-    if (response && response.success) {
-      // Open popup or process directly
-      // This will be implemented in task 5
-      console.log('Text extracted for summarization:', response.text);
-    }
+    sendResponse({
+      success: true,
+      jobs: [...getJobs(tabId).map(getJobSnapshot), ...stored]
+    });
     
   } catch (error) {
-    console.error('Error handling summarize context:', error);
-  }
-}
-
+    console.error('Error getting jobs:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Add a result to a tab's history, newest first
+ */
+async function handleAddResultHistory(data, sendResponse) {
+  try {
+    const { tabId, entry } = data;
+    const { resultHistory = {} } = await chrome.storage.session.get(['resultHistory']);
+    const history = resultHistory[tabId] || [];
+    
+    history.unshift({ id: generateId(), timestamp: Date.now(), ...entry });
+    resultHistory[tabId] = history.slice(0, RESULT_HISTORY_LIMIT);
+    
+    await chrome.storage.session.set({ resultHistory });
+    sendResponse({ success: true });
+    
+  } catch (error) {
+    console.error('Error adding result history:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get a tab's result history
+ */
+async function handleGetResultHistory(data, sendResponse) {
+  try {
+    const { resultHistory = {} } = await chrome.storage.session.get(['resultHistory']);
+    
+    sendResponse({
+      success: true,
+      history: resultHistory[data.tabId] || []
+    });
+    
+  } catch (error) {
+    console.error('Error getting result history:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Handle summarize context menu action
+ */
+async function handleSummarizeContext(info, tab) {
+  try {
+    // Send message to content script to extract selected text
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      type: 'EXTRACT_TEXT'
+    });
+    
+    const content = response?.success && response.text
+      ? response.text
+      : { type: 'text', text: info.selectionText, url: info.pageUrl };
+    
+    await runOverlayOperation(tab.id, { anchor: 'selection' }, 'summarize', content, 'Summarizing…');
+    
+  } catch (error) {
+    console.error('Error handling summarize context:', error);
+    await showOverlayInTab(tab.id, { anchor: 'selection', message: `AURA could not summarize this text: ${error.message}` });
+  }
+}
+
+/**
+ * Handle define context menu action for a word or short phrase
+ */
+async function handleDefineContext(info, tab) {
+  const overlay = { anchor: 'selection' };
+  
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_TERM' });
+    const content = response?.term || {
+      type: 'text',
+      text: info.selectionText.trim(),
+      sentence: '',
+      url: info.pageUrl
+    };
+    
+    await defineTerm(tab.id, content);
+    
+  } catch (error) {
+    console.error('Error handling define context:', error);
+    await showOverlayInTab(tab.id, { ...overlay, message: `AURA could not define this: ${error.message}` });
+  }
+}
+
+/**
+ * Define a word the user double-clicked, when that is turned on
+ */
+async function handleDefineTerm(data, sender, sendResponse) {
+  let responded = false;
+  
+  try {
+    // The page only asks while the setting is on, but it may just have changed
+    const settings = await getUserSettings();
+    
+    if (!settings.defineOnDoubleClick) {
+      sendResponse({ success: true, defined: false });
+      return;
+    }
+    
+    sendResponse({ success: true, defined: true });
+    responded = true;
+    await defineTerm(sender.tab.id, data.content);
+    
+  } catch (error) {
+    console.error('Error defining term:', error);
+    
+    if (!responded) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+      return;
+    }
+    await showOverlayInTab(sender.tab.id, { anchor: 'selection', message: `AURA could not define this: ${error.message}` });
+  }
+}
+
+/**
+ * Show a definition card for a word or short phrase
+ *
+ * The card offers a translation into the preferred language when the page
+ * says it is in another language.
+ */
+async function defineTerm(tabId, content) {
+  const words = content.text.split(/\s+/).filter(Boolean);
+  
+  if (words.length > MAX_DEFINITION_WORDS) {
+    await showOverlayInTab(tabId, {
+      anchor: 'selection',
+      message: `Select a word or a phrase of up to ${MAX_DEFINITION_WORDS} words to define it.`
+    });
+    return;
+  }
+  
+  const settings = await getUserSettings();
+  const pageLanguage = (content.language || '').split('-')[0].toLowerCase();
+  const translateTo = pageLanguage && pageLanguage !== settings.preferredLanguage.split('-')[0].toLowerCase()
+    ? { language: settings.preferredLanguage, name: getLanguageName(settings.preferredLanguage) }
+    : null;
+  
+  await runOverlayOperation(tabId, { anchor: 'selection', translateTo }, 'define', content, 'Looking up…');
+}
+
+/**
+ * Send the vocabulary list
+ */
+async function handleGetVocabulary(sendResponse) {
+  try {
+    sendResponse({ success: true, entries: await getVocabulary() });
+    
+  } catch (error) {
+    console.error('Error loading vocabulary:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Remove words from the vocabulary list
+ */
+async function handleDeleteVocabularyEntries(data, sendResponse) {
+  try {
+    const deleted = await deleteFromVocabulary(data?.ids || []);
+    sendResponse({ success: true, deleted });
+    
+  } catch (error) {
+    console.error('Error deleting vocabulary entries:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
 /**
  * Handle describe image context menu action
  */
 async function handleDescribeImageContext(info, tab) {
+  const overlay = { anchor: 'image', imageUrl: info.srcUrl };
+  
   try {
     // Extract image information
-    const imageInfo = {
-      src: info.srcUrl,
+    const content = {
+      type: 'image',
+      url: info.srcUrl,
       pageUrl: info.pageUrl,
       timestamp: Date.now()
     };
     
-    // This will be implemented in task 7
-    console.log('Image selected for description:', imageInfo);
+    await runOverlayOperation(tab.id, overlay, 'describe', content, 'Describing image…');
     
   } catch (error) {
     console.error('Error handling describe image context:', error);
+    await showOverlayInTab(tab.id, { ...overlay, message: `AURA could not describe this image: ${error.message}` });
   }
 }
 
@@ -272,15 +1017,216 @@ async function handleDescribeImageContext(info, tab) {
  */
 async function handleOpenAssistant(tab) {
   try {
-    // Open the extension popup
-    // Since we can't programmatically open popup, we'll focus on the extension icon
+    // The side panel stays open while the user reads, unlike the popup
     console.log('Opening accessibility assistant for tab:', tab.id);
+    await chrome.sidePanel.open({ windowId: tab.windowId });
     
   } catch (error) {
     console.error('Error opening assistant:', error);
   }
 }
 
+/**
+ * Handle whole-page actions from the page context menu
+ */
+async function handlePageAction(actionId, tab) {
+  const action = PAGE_ACTIONS.find(item => item.id === actionId);
+  
+  try {
+    // The page reads its own article so it can highlight along
+    if (action.operation === 'read-aloud') {
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        type: 'READ_PAGE_ALOUD',
+        data: { source: 'page' }
+      });
+      
+      if (!response?.success) {
+        await showOverlayInTab(tab.id, { message: 'AURA could not find an article on this page.' });
+      }
+      return;
+    }
+    
+    // The reader extracts and translates the article itself
+    if (action.operation === 'bilingual-reader') {
+      await chrome.tabs.create({ url: chrome.runtime.getURL(`reader.html?tabId=${tab.id}`) });
+      return;
+    }
+    
+    // The page swaps the translation into itself and offers the way back
+    if (action.operation === 'translate-page') {
+      const settings = await getUserSettings();
+      await chrome.tabs.sendMessage(tab.id, {
+        type: 'TRANSLATE_PAGE',
+        data: { targetLanguage: settings.preferredLanguage }
+      });
+      return;
+    }
+    
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_PAGE' });
+    const page = response?.page;
+    
+    if (!page) {
+      await showOverlayInTab(tab.id, { message: 'AURA could not find an article on this page.' });
+      return;
+    }
+    
+    await runOverlayOperation(tab.id, { title: page.title }, action.operation, page, 'Working on this page…');
+    
+  } catch (error) {
+    console.error(`Error handling ${actionId}:`, error);
+    await showOverlayInTab(tab.id, { message: `AURA could not process this page: ${error.message}` });
+  }
+}
+
+/**
+ * Run a keyboard shortcut's action on the selection, with results inline
+ */
+async function handleSelectionCommand(command, tab) {
+  const overlay = { anchor: 'selection' };
+  
+  // Chrome pages and the web store allow no content scripts; the popup
+  // explains that instead
+  if (!await ensureContentScript(tab.id)) {
+    try {
+      await chrome.action.openPopup({ windowId: tab.windowId });
+    } catch (error) {
+      console.debug('Could not open popup for keyboard command:', error);
+    }
+    return;
+  }
+  
+  try {
+    if (command.operation === 'describe') {
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_IMAGE' });
+      const image = response?.image;
+      
+      if (!image) {
+        await showOverlayInTab(tab.id, { message: 'Focus or select an image, then press the shortcut again.' });
+        return;
+      }
+      
+      const content = { type: 'image', ...image, pageUrl: tab.url };
+      await runOverlayOperation(tab.id, { anchor: 'image', imageUrl: image.url }, 'describe', content, command.loadingMessage);
+      return;
+    }
+    
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_TEXT' });
+    const text = response?.text;
+    
+    if (!text) {
+      await showOverlayInTab(tab.id, { message: 'Select some text, then press the shortcut again.' });
+      return;
+    }
+    
+    // The page reads the selection itself so it can highlight along
+    if (command.operation === 'read-aloud') {
+      await chrome.tabs.sendMessage(tab.id, {
+        type: 'READ_PAGE_ALOUD',
+        data: { source: 'selection', text: text.text }
+      });
+      return;
+    }
+    
+    await runOverlayOperation(tab.id, overlay, command.operation, { type: 'text', ...text }, command.loadingMessage);
+  
+  } catch (error) {
+    console.error(`Error handling ${command.operation} shortcut:`, error);
+    await showOverlayInTab(tab.id, { ...overlay, message: `AURA could not do this: ${error.message}` });
+  }
+}
+
+/**
+ * Make sure the content script answers in a tab
+ *
+ * Tabs opened before AURA was installed or updated have no content script
+ * yet, so it is injected on demand. Returns false on pages extensions may
+ * not script.
+ */
+async function ensureContentScript(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'PING' });
+    if (response?.success) {
+      return true;
+    }
+  } catch (error) {
+    // Nothing is listening in the tab yet
+  }
+  
+  try {
+    const [{ js }] = chrome.runtime.getManifest().content_scripts;
+    await chrome.scripting.executeScript({ target: { tabId }, files: js });
+    return true;
+  } catch (error) {
+    console.debug('Could not inject content script:', error);
+    return false;
+  }
+}
+
+/**
+ * Show results in the page through the content script overlay
+ */
+async function showOverlayInTab(tabId, data) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'SHOW_OVERLAY', data });
+  } catch (error) {
+    console.debug('Could not show overlay in tab:', error);
+  }
+}
+
+/**
+ * Get the current user settings
+ */
+async function handleGetSettings(sendResponse) {
+  try {
+    sendResponse({
+      success: true,
+      settings: await getUserSettings()
+    });
+  } catch (error) {
+    console.error('Error getting settings:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Validate and store changed user settings
+ */
+async function handleUpdateSettings(data, sendResponse) {
+  try {
+    const current = await getUserSettings();
+    const { settings, errors } = validateSettings({ ...current, ...data?.settings });
+    
+    if (Object.keys(errors).length > 0) {
+      sendResponse({
+        success: false,
+        error: 'Some settings are not valid',
+        errors
+      });
+      return;
+    }
+    
+    await chrome.storage.local.set({ userSettings: settings });
+    
+    // A different provider may have different models available
+    if (settings.aiProvider !== current.aiProvider ||
+        JSON.stringify(settings.localEndpoint) !== JSON.stringify(current.localEndpoint)) {
+      await manageModelAvailability();
+    }
+    
+    sendResponse({ success: true, settings });
+    
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
 /**
  * Handle storage get requests
  */
@@ -343,7 +1289,8 @@ async function handleGetSelectedContent(sender, sendResponse) {
       if (storedData.timestamp > fiveMinutesAgo) {
         sendResponse({
           success: true,
-          content: storedData.content
+          content: storedData.content,
+          results: storedData.results || null
         });
         return;
       } else {
@@ -382,11 +1329,12 @@ async function handleGetSelectedContent(sender, sendResponse) {
 /**
  * Handle open popup with content requests
  */
-async function handleOpenPopupWithContent(content, sender) {
+async function handleOpenPopupWithContent(data, sender, sendResponse) {
   try {
+    const { content, results } = data || {};
     console.log('Request to open popup with content:', content);
     
-    // Store the content for popup access
+    // Store the content (and any result already generated) for popup access
     if (sender.tab) {
       if (!globalThis.selectedContentByTab) {
         globalThis.selectedContentByTab = new Map();
@@ -394,35 +1342,52 @@ async function handleOpenPopupWithContent(content, sender) {
       
       globalThis.selectedContentByTab.set(sender.tab.id, {
         content: content,
+        results: results || null,
         timestamp: Date.now(),
         tabId: sender.tab.id,
         url: sender.tab.url
       });
     }
     
-    // Note: We can't programmatically open the popup, but the content is now available
-    // when the user clicks the extension icon
+    // openPopup needs Chrome 127+ and may refuse without a user gesture;
+    // the content stays available for when the user clicks the extension icon
+    let opened = false;
+    try {
+      await chrome.action.openPopup({ windowId: sender.tab?.windowId });
+      opened = true;
+    } catch (error) {
+      console.debug('Could not open popup programmatically:', error);
+    }
+    
+    sendResponse({ success: true, opened });
     
   } catch (error) {
     console.error('Error handling open popup request:', error);
+    sendResponse({ success: false, error: error.message });
   }
 }
 
 /**
- * Handle content processing requests (placeholder for AI integration)
+ * Save a generated result to the saved content library
  */
-async function handleProcessContent(data, sendResponse) {
+async function handleSaveResult(data, sender, sendResponse) {
   try {
-    // This will be implemented in tasks 5-8 for actual AI processing
-    console.log('Content processing requested:', data);
+    const { results, content, tags } = data || {};
     
-    sendResponse({
-      success: false,
-      error: 'Content processing will be implemented in future tasks'
-    });
+    if (!results || !results.content) {
+      throw new Error('There is no result to save');
+    }
+    
+    const item = await storeSavedItem(createSavedItem(results, content, {
+      id: generateId(),
+      sourceUrl: sender.tab?.url,
+      tags
+    }));
+    
+    sendResponse({ success: true, id: item.id });
     
   } catch (error) {
-    console.error('Error processing content:', error);
+    console.error('Error saving result:', error);
     sendResponse({
       success: false,
       error: error.message
@@ -431,33 +1396,1481 @@ async function handleProcessContent(data, sendResponse) {
 }
 
 /**
- * Manage AI model availability and status
+ * Get every saved item along with current storage usage
  */
-async function manageModelAvailability() {
+async function handleGetSavedItems(sendResponse) {
   try {
-    // This will be implemented in task 4
-    console.log('Managing model availability...');
+    const savedContent = await getSavedContent();
+    const usage = await getStorageUsage();
     
-    return modelStatus;
+    sendResponse({
+      success: true,
+      items: Object.values(savedContent),
+      usage
+    });
     
   } catch (error) {
-    console.error('Error managing model availability:', error);
-    return {
-      available: false,
-      downloading: false,
+    console.error('Error getting saved items:', error);
+    sendResponse({
+      success: false,
       error: error.message
-    };
+    });
   }
 }
 
 /**
- * Handle extension icon click (when popup is disabled)
+ * Delete saved items by ID
  */
-chrome.action.onClicked.addListener(async (tab) => {
-  console.log('Extension icon clicked for tab:', tab.id);
-  
-  // The popup will handle this automatically
-  // This listener is here as a fallback
+async function handleDeleteSavedItems(data, sendResponse) {
+  try {
+    const deleted = await deleteSavedItems(data?.ids || []);
+    sendResponse({ success: true, deleted });
+    
+  } catch (error) {
+    console.error('Error deleting saved items:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Update the tags of a saved item
+ */
+async function handleUpdateSavedItem(data, sendResponse) {
+  try {
+    const item = await updateSavedItem(data?.id, data?.changes || {});
+    sendResponse({ success: true, item });
+    
+  } catch (error) {
+    console.error('Error updating saved item:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Import saved items from an export file, reporting duplicates and conflicts
+ */
+async function handleImportSavedItems(data, sendResponse) {
+  try {
+    if (!Array.isArray(data?.items)) {
+      throw new Error('The import file does not contain any saved items');
+    }
+    
+    const report = await importSavedItems(data.items, generateId);
+    sendResponse({ success: true, report });
+    
+  } catch (error) {
+    console.error('Error importing saved items:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Save a finished result automatically when the user turned on auto-save
+ *
+ * A result already in the library is not saved twice. Returns the saved
+ * item's ID, or null when nothing was saved.
+ */
+async function autoSaveResult(results, content, settings) {
+  if (!settings.autoSave || !SAVED_ITEM_TYPES.includes(results.type)) {
+    return null;
+  }
+  
+  try {
+    // The same result may come back from the cache, or be generated again
+    const item = await storeSavedItem(createSavedItem(results, content, {
+      id: generateId(),
+      autoSaved: true
+    }), { skipIfSaved: true });
+    
+    return item.id;
+    
+  } catch (error) {
+    // A failed auto-save should never hide the result itself
+    console.error('Error auto-saving result:', error);
+    return null;
+  }
+}
+
+/**
+ * Handle content processing requests through the active AI provider
+ */
+async function handleProcessContent(data, sendResponse) {
+  const job = startJob(data, { source: 'request' });
+
+  try {
+    const results = await job.done;
+
+    sendResponse({
+      success: true,
+      jobId: job.id,
+      results
+    });
+    
+  } catch (error) {
+    console.error('Error processing content:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Forget every cached result
+ */
+async function handleClearResultCache(sendResponse) {
+  try {
+    await clearResultCache();
+    sendResponse({ success: true });
+    
+  } catch (error) {
+    console.error('Error clearing the result cache:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Process content with the active AI provider and attach timing metadata
+ *
+ * hooks.signal aborts processing, hooks.onPartial receives streamed text and
+ * hooks.onProgress receives chunk progress for long text. data.tabId is the
+ * tab the content came from, needed to read some images. Set hooks.autoSave
+ * to false for intermediate results that should never be auto-saved.
+ *
+ * Finished results are cached; options.regenerate skips the cached one and
+ * replaces it. Cached results carry metadata.cached and metadata.cachedAt.
+ */
+async function processContent(data, hooks = {}) {
+  const { operation, content, options = {}, tabId } = data || {};
+  const settings = await getUserSettings();
+  const provider = createAIProvider(settings);
+  const startTime = Date.now();
+
+  const cacheParts = getResultCacheParts(operation, content, options, settings, provider);
+  const cacheKey = cacheParts && await getResultCacheKey(cacheParts);
+  const cached = cacheKey && !options.regenerate ? await getCachedResult(cacheKey) : null;
+
+  let results;
+  if (cached) {
+    console.log(`Using cached ${operation} result`);
+    results = cached.results;
+    
+    if (results.type === RESULT_TYPES.translate) {
+      await rememberLanguagePair(results.sourceLanguage, results.language);
+    }
+  } else {
+    console.log(`Processing ${operation} with ${provider.name}`);
+
+    results = await runAIOperation(provider, operation, content, options, settings, {
+      signal: hooks.signal,
+      onChunk: hooks.onPartial,
+      onProgress: hooks.onProgress || (() => {}),
+      tabId
+    });
+
+    if (cacheKey) {
+      await storeCachedResult(cacheKey, results);
+    }
+  }
+
+  if (results.type === RESULT_TYPES.describe) {
+    await rememberImageDescription(content.url, results);
+  }
+  
+  if (results.type === RESULT_TYPES.define) {
+    await rememberVocabularyTerm(content, results);
+  }
+  
+  const savedId = hooks.autoSave === false ? null : await autoSaveResult(results, content, settings);
+
+  return {
+    ...results,
+    ...(savedId && { savedId }),
+    metadata: {
+      processingTime: Date.now() - startTime,
+      provider: provider.id,
+      ...(cached && { cached: true, cachedAt: cached.createdAt })
+    }
+  };
+}
+
+/**
+ * Describe everything a result depends on, for its cache key
+ *
+ * Returns null for operations that are not cached, and for blob: images,
+ * whose URLs mean nothing once their page is gone.
+ */
+function getResultCacheParts(operation, content, options, settings, provider) {
+  const model = provider.id === AI_PROVIDERS.LOCAL_HTTP ? settings.localEndpoint.model : null;
+  const base = { operation, provider: provider.id, model };
+
+  switch (operation) {
+    case 'summarize':
+      return { ...base, text: content?.text, length: settings.summaryLength, context: options.context || null };
+
+    case 'simplify':
+      return { ...base, text: content?.text, level: getSimplificationLevel(options, settings) };
+
+    case 'translate':
+      return {
+        ...base,
+        text: content?.text,
+        sourceLanguage: options.sourceLanguage || null,
+        targetLanguage: options.targetLanguage || settings.preferredLanguage
+      };
+
+    case 'describe':
+      return content?.url && !content.url.startsWith('blob:') ? { ...base, url: content.url } : null;
+
+    case 'define':
+      return { ...base, text: content?.text, sentence: content?.sentence || '' };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the simplification level asked for, or the one chosen in settings
+ */
+function getSimplificationLevel(options, settings) {
+  return Object.hasOwn(PROMPTS.SIMPLIFY_LEVELS, options.level || '') ? options.level : settings.simplificationLevel;
+}
+
+/**
+ * Run a single AI operation and shape the result for display
+ */
+async function runAIOperation(provider, operation, content, options, settings, hooks) {
+  const { signal, onChunk, onProgress, tabId } = hooks;
+
+  switch (operation) {
+    case 'summarize': {
+      const { summary, truncated } = await summarizeLongText(provider, requireText(content), {
+        type: 'key-points',
+        length: settings.summaryLength,
+        context: options.context,
+        signal,
+        onChunk
+      }, onProgress);
+
+      const { value: bullets, path, problems } = await enforceOutputFormat(SUMMARY_FORMAT, summary, issues => provider.prompt(
+        `${PROMPTS.SUMMARY_REPAIR}\n\nProblems:\n${issues.join('\n')}\n\nSummary:\n${summary}`,
+        { signal }
+      ));
+      logValidationPath(operation, path, problems);
+
+      return {
+        type: RESULT_TYPES.summarize,
+        content: bullets ? bullets.map(bullet => `- ${bullet}`).join('\n') : summary.trim(),
+        ...(bullets && { bullets }),
+        ...(truncated && { truncated }),
+        // Summaries are written in the text's language, which picks the voice reading them
+        ...(content.language && { language: content.language }),
+        validation: { path, problems }
+      };
+    }
+
+    case 'simplify': {
+      const text = requireText(content);
+      const level = getSimplificationLevel(options, settings);
+      const simplified = await transformLongText(text, (chunk, onChunkPartial) => provider.rewrite(chunk, {
+        tone: PROMPTS.SIMPLIFY_LEVELS[level].tone,
+        context: PROMPTS.SIMPLIFY_LEVELS[level].context,
+        signal,
+        onChunk: onChunkPartial
+      }), { signal, onChunk }, onProgress);
+
+      // Scores only mean something for English
+      const isEnglish = !content.language || content.language === 'und' || /^en\b/i.test(content.language);
+
+      return {
+        type: RESULT_TYPES.simplify,
+        content: simplified,
+        level,
+        ...(content.language && { language: content.language }),
+        ...(isEnglish && {
+          readability: {
+            original: measureReadability(text),
+            simplified: measureReadability(simplified)
+          }
+        })
+      };
+    }
+
+    case 'describe': {
+      const image = await acquireImage(content, { tabId, signal });
+      const output = await provider.prompt(PROMPTS.DESCRIBE_IMAGE, {
+        systemPrompt: PROMPTS.DESCRIBE_SYSTEM,
+        image: image.blob,
+        signal,
+        onChunk
+      });
+
+      const { value: description, path, problems } = await enforceOutputFormat(DESCRIPTION_FORMAT, output, issues => provider.prompt(
+        `${PROMPTS.DESCRIBE_IMAGE}\n\n${PROMPTS.DESCRIBE_REPAIR}\n${issues.join('\n')}`,
+        { systemPrompt: PROMPTS.DESCRIBE_SYSTEM, image: image.blob, signal }
+      ));
+      logValidationPath(operation, path, problems);
+
+      if (!description) {
+        throw new Error('The AI model returned an empty description. Please try again.');
+      }
+
+      return {
+        type: RESULT_TYPES.describe,
+        content: `${description.altText}\n\n${description.longDescription}`,
+        altText: description.altText,
+        longDescription: description.longDescription,
+        validation: { path, problems }
+      };
+    }
+
+    case 'translate': {
+      const text = requireText(content);
+      const targetLanguage = options.targetLanguage || settings.preferredLanguage;
+      const sourceLanguage = options.sourceLanguage || await detectPrimaryLanguage(provider, text);
+
+      checkLanguagePair(sourceLanguage, targetLanguage);
+
+      let translation;
+      try {
+        translation = await transformLongText(text, (chunk, onChunkPartial) => provider.translate(chunk, {
+          sourceLanguage,
+          targetLanguage,
+          signal,
+          onChunk: onChunkPartial
+        }), { signal, onChunk }, onProgress);
+      } catch (error) {
+        throw explainTranslationError(error, sourceLanguage, targetLanguage);
+      }
+
+      await rememberLanguagePair(sourceLanguage, targetLanguage);
+
+      return {
+        type: RESULT_TYPES.translate,
+        content: translation,
+        language: targetLanguage,
+        sourceLanguage,
+        sourceDetected: !options.sourceLanguage
+      };
+    }
+
+    case 'translate-texts': {
+      const { texts = [], sample } = content || {};
+      const targetLanguage = options.targetLanguage || settings.preferredLanguage;
+      const sourceLanguage = options.sourceLanguage || await detectPrimaryLanguage(provider, sample || texts.join('\n'));
+
+      checkLanguagePair(sourceLanguage, targetLanguage);
+
+      let translations;
+      try {
+        // Each text is translated on its own, so translations never shift onto other texts
+        translations = await provider.translateAll(texts, { sourceLanguage, targetLanguage, signal });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        throw explainTranslationError(error, sourceLanguage, targetLanguage);
+      }
+
+      if (options.rememberPair) {
+        await rememberLanguagePair(sourceLanguage, targetLanguage);
+      }
+
+      return {
+        type: RESULT_TYPES['translate-texts'],
+        translations,
+        language: targetLanguage,
+        sourceLanguage
+      };
+    }
+
+    case 'define': {
+      const term = requireText(content).trim();
+      const sentence = content.sentence || term;
+      const prompt = PROMPTS.DEFINE_TERM(term, sentence);
+
+      // Definitions are short, so they are not streamed as raw JSON
+      const output = await provider.prompt(prompt, { systemPrompt: PROMPTS.DEFINE_SYSTEM, signal });
+      const { value, path, problems } = await enforceOutputFormat(DEFINITION_FORMAT, output, issues => provider.prompt(
+        `${prompt}\n\n${PROMPTS.DEFINE_REPAIR}\n${issues.join('\n')}`,
+        { systemPrompt: PROMPTS.DEFINE_SYSTEM, signal }
+      ));
+      logValidationPath(operation, path, problems);
+
+      if (!value) {
+        throw new Error('The AI model returned an empty definition. Please try again.');
+      }
+
+      return {
+        type: RESULT_TYPES.define,
+        content: `${term}${value.synonym ? ` (${value.synonym})` : ''}: ${value.definition}`,
+        term,
+        definition: value.definition,
+        synonym: value.synonym,
+        sentence: content.sentence || '',
+        language: content.language || '',
+        validation: { path, problems }
+      };
+    }
+
+    case 'ask': {
+      const question = options.question?.trim();
+      if (!question) {
+        throw new Error('Please type a question first.');
+      }
+
+      const conversation = await openConversation(provider, content, options, { signal, tabId });
+      const { sentences, sourceInPrompt } = conversation;
+      const message = sourceInPrompt
+        ? question
+        : PROMPTS.CHAT_QUESTION(question, numberSourceSentences(sentences, findRelevantSentences(sentences, question)));
+
+      conversation.pending = question;
+      conversation.lastUsed = Date.now();
+
+      try {
+        const output = await conversation.chat.prompt(message, {
+          signal,
+          onChunk: onChunk && (text => onChunk(stripSourcesLine(text)))
+        });
+        const parsed = parseGroundedAnswer(output);
+
+        if (!parsed.answer) {
+          throw new Error('The AI model returned an empty answer. Please try again.');
+        }
+
+        const turn = { question, answer: parsed.answer, ...getAnswerQuotes(sentences, parsed) };
+        conversation.turns.push(turn);
+
+        return {
+          type: RESULT_TYPES.ask,
+          content: turn.answer,
+          conversationId: conversation.id,
+          ...turn
+        };
+      } finally {
+        conversation.pending = null;
+      }
+    }
+
+    case 'detect-language': {
+      const detections = await provider.detectLanguage(requireText(content));
+
+      return {
+        type: 'language',
+        content: detections[0]?.language || 'und',
+        detections
+      };
+    }
+
+    case 'prompt':
+      return {
+        type: 'prompt',
+        content: await provider.prompt(requireText(content), {
+          systemPrompt: options.systemPrompt,
+          signal,
+          onChunk
+        })
+      };
+
+    default:
+      throw new Error(`Unknown operation: ${operation}`);
+  }
+}
+
+/**
+ * Get the open conversation a question belongs to, or start it
+ *
+ * A conversation is tied to the content it started with. Its model session
+ * is reopened with the earlier questions and answers when the service
+ * worker restarted (from options.history, sent by the popup) or the AI
+ * provider changed since the last question.
+ */
+async function openConversation(provider, content, options, { signal, tabId }) {
+  const existing = conversations.get(options.conversationId);
+
+  if (existing && existing.providerId === provider.id) {
+    return existing;
+  }
+
+  const turns = (existing?.turns || options.history || [])
+    .filter(turn => typeof turn?.question === 'string' && typeof turn?.answer === 'string')
+    .slice(-GROUNDED_CHAT_CONFIG.MAX_TURNS);
+  const source = existing?.content || content;
+  const sentences = splitSourceSentences(requireText(source));
+  const sourceInPrompt = sourceFitsPrompt(sentences);
+
+  const chat = await provider.startChat({
+    systemPrompt: PROMPTS.CHAT_SYSTEM(source.title, sourceInPrompt ? numberSourceSentences(sentences) : ''),
+    history: turns.flatMap(turn => [
+      { role: 'user', content: turn.question },
+      { role: 'assistant', content: turn.answer }
+    ]),
+    signal
+  });
+  existing?.chat.destroy();
+
+  const conversation = {
+    id: options.conversationId || generateId(),
+    tabId: tabId ?? null,
+    providerId: provider.id,
+    content: source,
+    sentences,
+    sourceInPrompt,
+    turns,
+    chat,
+    pending: null,
+    lastUsed: Date.now()
+  };
+  conversations.set(conversation.id, conversation);
+
+  // Close the least recently used sessions beyond the limit
+  Array.from(conversations.values())
+    .sort((a, b) => b.lastUsed - a.lastUsed)
+    .slice(GROUNDED_CHAT_CONFIG.MAX_CONVERSATIONS)
+    .forEach(old => closeConversation(old.id));
+
+  return conversation;
+}
+
+/**
+ * Close a conversation and its model session
+ */
+function closeConversation(conversationId) {
+  conversations.get(conversationId)?.chat.destroy();
+  conversations.delete(conversationId);
+}
+
+/**
+ * Get the latest conversation on a tab, so a reopened popup can continue it
+ */
+function handleGetConversation(data, sendResponse) {
+  const conversation = Array.from(conversations.values())
+    .filter(item => item.tabId === data?.tabId)
+    .sort((a, b) => b.lastUsed - a.lastUsed)[0];
+
+  sendResponse({
+    success: true,
+    conversation: conversation
+      ? {
+        id: conversation.id,
+        content: conversation.content,
+        turns: conversation.turns,
+        pending: conversation.pending
+      }
+      : null
+  });
+}
+
+/**
+ * Log how a result was made to fit its format
+ */
+function logValidationPath(operation, path, problems) {
+  if (path === VALIDATION_PATHS.VALID) return;
+
+  console.warn(`The ${operation} result did not fit its format (${problems.join(' ')}); path taken: ${path}`);
+}
+
+/**
+ * Handle a streaming connection from the popup
+ *
+ * The port carries START, ATTACH and STOP from the popup, and PROGRESS,
+ * PARTIAL, COMPLETE, CANCELLED or ERROR back to it. START runs a new job and
+ * ATTACH follows one started earlier. Closing the popup leaves the job
+ * running so its result is waiting when the popup opens again.
+ */
+function handleStreamPort(port) {
+  let job = null;
+  let unsubscribe = () => {};
+
+  const post = (message) => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      console.debug('Stream port closed:', error);
+    }
+  };
+
+  const follow = (nextJob) => {
+    unsubscribe();
+    job = nextJob;
+
+    const sendPartial = throttle(content => post({ type: 'PARTIAL', data: { content } }), STREAM_THROTTLE);
+    const stopFollowing = subscribeToJob(job, event => {
+      if (event.type === 'PARTIAL') {
+        sendPartial(event.data.content);
+        return;
+      }
+
+      if (JOB_FINISHED_EVENTS.includes(event.type)) {
+        sendPartial.cancel();
+        markJobDelivered(job);
+      }
+      post(event);
+    });
+
+    unsubscribe = () => {
+      sendPartial.cancel();
+      stopFollowing();
+    };
+  };
+
+  port.onMessage.addListener((message) => {
+    switch (message.type) {
+      case 'START':
+        if (job) {
+          cancelJob(job.id);
+        }
+        follow(startJob(message.data, { source: 'popup' }));
+        break;
+
+      case 'ATTACH': {
+        const existing = jobs.get(message.data?.jobId);
+        if (existing) {
+          follow(existing);
+        } else {
+          attachStoredJob(message.data?.jobId, post);
+        }
+        break;
+      }
+
+      case 'STOP':
+        if (job) {
+          cancelJob(job.id);
+        }
+        break;
+
+      default:
+        console.warn('Unknown stream message type:', message.type);
+    }
+  });
+
+  // Keep the job running for when the popup opens again
+  port.onDisconnect.addListener(() => {
+    unsubscribe();
+  });
+}
+
+/**
+ * Send how a job stored before the service worker restarted ended
+ */
+async function attachStoredJob(jobId, post) {
+  try {
+    const job = (await getStoredJobs()).find(stored => stored.id === jobId);
+    if (job) {
+      post(getJobEnding(job));
+      markJobDelivered(job);
+      return;
+    }
+  } catch (error) {
+    console.error('Error reading stored jobs:', error);
+  }
+
+  post({ type: 'ERROR', error: 'This operation is no longer available. Please try again.' });
+}
+
+/**
+ * Start an AI operation as a job
+ *
+ * Jobs wait for a free model session, run through processContent and time
+ * out after the jobTimeout setting. hooks.signal cancels the job,
+ * hooks.onPartial and hooks.onProgress receive its progress, hooks.autoSave
+ * is passed on to processContent and hooks.source records who started it.
+ * Await job.done for the results.
+ */
+function startJob(data, hooks = {}) {
+  const job = {
+    id: generateId(),
+    tabId: data?.tabId ?? null,
+    source: hooks.source || 'background',
+    operation: data?.operation,
+    content: data?.content,
+    options: data?.options || {},
+    state: 'queued',
+    progress: null,
+    partial: '',
+    results: null,
+    error: null,
+    delivered: false,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    data,
+    hooks,
+    controller: new AbortController(),
+    listeners: new Set()
+  };
+
+  job.done = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+
+  // Nobody may be waiting for a job that runs for the popup
+  job.done.catch(() => {});
+
+  if (hooks.signal?.aborted) {
+    finishJob(job, 'cancelled');
+    return job;
+  }
+  hooks.signal?.addEventListener('abort', () => cancelJob(job.id), { once: true });
+
+  jobs.set(job.id, job);
+  jobQueue.push(job);
+  runQueuedJobs();
+
+  if (job.state === 'queued') {
+    job.progress = { stage: 'queued' };
+  }
+
+  return job;
+}
+
+/**
+ * Start queued jobs while model sessions are free
+ */
+function runQueuedJobs() {
+  while (runningJobCount < JOB_CONFIG.MAX_CONCURRENT && jobQueue.length > 0) {
+    runJob(jobQueue.shift());
+  }
+}
+
+/**
+ * Run a job to completion, failure, cancellation or timeout
+ */
+async function runJob(job) {
+  runningJobCount++;
+  job.state = 'running';
+  job.startedAt = Date.now();
+  job.progress = null;
+  notifyJob(job, { type: 'PROGRESS', data: { operation: job.operation, stage: 'running' } });
+
+  let timer = null;
+  let timedOut = false;
+  let jobTimeout = 0;
+
+  try {
+    ({ jobTimeout } = await getUserSettings());
+    timer = setTimeout(() => {
+      timedOut = true;
+      job.controller.abort();
+    }, jobTimeout);
+
+    job.controller.signal.throwIfAborted();
+
+    const results = await processContent(job.data, {
+      signal: job.controller.signal,
+      autoSave: job.hooks.autoSave,
+      onPartial: content => {
+        job.partial = content;
+        job.hooks.onPartial?.(content);
+        notifyJob(job, { type: 'PARTIAL', data: { content } });
+      },
+      onProgress: progress => {
+        job.progress = progress;
+        job.hooks.onProgress?.(progress);
+        notifyJob(job, { type: 'PROGRESS', data: { operation: job.operation, ...progress } });
+      }
+    });
+
+    finishJob(job, 'completed', { results });
+
+  } catch (error) {
+    if (timedOut) {
+      finishJob(job, 'timed-out', {
+        error: new Error(`This took longer than ${Math.round(jobTimeout / 1000)} seconds and was stopped. Try a shorter text, or raise the time limit in Settings.`)
+      });
+    } else if (job.controller.signal.aborted) {
+      finishJob(job, 'cancelled');
+    } else {
+      console.error(`Error running ${job.operation} job:`, error);
+      finishJob(job, 'failed', { error });
+    }
+
+  } finally {
+    clearTimeout(timer);
+    runningJobCount--;
+    runQueuedJobs();
+  }
+}
+
+/**
+ * Record how a job ended, tell its followers and settle job.done
+ */
+function finishJob(job, state, { results = null, error = null } = {}) {
+  job.state = state;
+  job.results = results;
+  job.error = error?.message || null;
+  job.finishedAt = Date.now();
+
+  updateStoredJobs(stored => [getJobSnapshot(job), ...stored.filter(item => item.id !== job.id)]);
+
+  if (state === 'completed') {
+    notifyJob(job, { type: 'COMPLETE', data: { results } });
+    job.resolve(results);
+  } else if (state === 'cancelled') {
+    notifyJob(job, { type: 'CANCELLED' });
+    job.reject(new DOMException('The job was cancelled', 'AbortError'));
+  } else {
+    notifyJob(job, { type: 'ERROR', error: job.error });
+    job.reject(error);
+  }
+
+  pruneFinishedJobs();
+}
+
+/**
+ * Cancel a queued or running job
+ */
+function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return;
+  }
+
+  const queued = jobQueue.indexOf(job);
+  if (queued !== -1) {
+    jobQueue.splice(queued, 1);
+    finishJob(job, 'cancelled');
+    return;
+  }
+
+  job.controller.abort();
+}
+
+/**
+ * Follow a job's events
+ *
+ * The listener first receives the progress so far, or how the job ended,
+ * then every new event. Returns a function that stops following.
+ */
+function subscribeToJob(job, listener) {
+  if (job.finishedAt) {
+    listener(getJobEnding(job));
+    return () => {};
+  }
+
+  if (job.progress) {
+    listener({ type: 'PROGRESS', data: { operation: job.operation, ...job.progress } });
+  }
+  if (job.partial) {
+    listener({ type: 'PARTIAL', data: { content: job.partial } });
+  }
+
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+/**
+ * Get the event that tells how a finished job ended
+ */
+function getJobEnding(job) {
+  const endings = {
+    completed: { type: 'COMPLETE', data: { results: job.results } },
+    cancelled: { type: 'CANCELLED' }
+  };
+  return endings[job.state] || { type: 'ERROR', error: job.error };
+}
+
+/**
+ * Send a job event to everyone following the job
+ */
+function notifyJob(job, event) {
+  job.listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in job listener:', error);
+    }
+  });
+}
+
+/**
+ * Forget the oldest finished jobs beyond the limit
+ */
+function pruneFinishedJobs() {
+  const finished = Array.from(jobs.values()).filter(job => job.finishedAt);
+
+  finished
+    .slice(0, Math.max(0, finished.length - JOB_CONFIG.FINISHED_LIMIT))
+    .forEach(job => jobs.delete(job.id));
+}
+
+/**
+ * Note that a job's ending reached the popup, so it is not shown again
+ */
+function markJobDelivered(job) {
+  job.delivered = true;
+  updateStoredJobs(stored => stored.map(item => item.id === job.id ? { ...item, delivered: true } : item));
+}
+
+/**
+ * Get the finished job snapshots kept in session storage, newest first
+ */
+async function getStoredJobs() {
+  await finishedJobWrites;
+  const { finishedJobs = [] } = await chrome.storage.session.get(['finishedJobs']);
+  return finishedJobs;
+}
+
+/**
+ * Change the stored finished jobs after any earlier change has been written
+ */
+function updateStoredJobs(change) {
+  finishedJobWrites = finishedJobWrites
+    .then(async () => {
+      const { finishedJobs = [] } = await chrome.storage.session.get(['finishedJobs']);
+      await chrome.storage.session.set({
+        finishedJobs: change(finishedJobs).slice(0, JOB_CONFIG.FINISHED_LIMIT)
+      });
+    })
+    .catch(error => console.error('Error storing finished jobs:', error));
+}
+
+/**
+ * Get jobs, newest first, optionally only those for one tab
+ */
+function getJobs(tabId) {
+  return Array.from(jobs.values())
+    .filter(job => tabId === undefined || job.tabId === tabId)
+    .reverse();
+}
+
+/**
+ * Describe a job for the popup, without its internals
+ */
+function getJobSnapshot(job) {
+  const { id, tabId, source, operation, content, options, state, progress, partial, results, error, delivered, createdAt, startedAt, finishedAt } = job;
+  return { id, tabId, source, operation, content, options, state, progress, partial, results, error, delivered, createdAt, startedAt, finishedAt };
+}
+
+/**
+ * Run an AI operation for the inline card, streaming partial text into it
+ */
+async function runOverlayOperation(tabId, overlay, operation, content, loadingMessage) {
+  overlayJobs.get(tabId)?.abort();
+
+  const controller = new AbortController();
+  overlayJobs.set(tabId, controller);
+
+  const sendPartial = throttle(partial => showOverlayInTab(tabId, {
+    ...overlay,
+    streaming: true,
+    results: { type: RESULT_TYPES[operation], content: partial }
+  }), STREAM_THROTTLE);
+
+  try {
+    await showOverlayInTab(tabId, { ...overlay, loading: true, message: loadingMessage });
+
+    const results = await startJob({ operation, content, tabId }, {
+      source: 'overlay',
+      signal: controller.signal,
+      onPartial: sendPartial
+    }).done;
+
+    sendPartial.cancel();
+    await showOverlayInTab(tabId, { ...overlay, content, results });
+    
+  } catch (error) {
+    // The card already shows what was generated before the user stopped it
+    if (!controller.signal.aborted) {
+      throw error;
+    }
+  } finally {
+    sendPartial.cancel();
+    if (overlayJobs.get(tabId) === controller) {
+      overlayJobs.delete(tabId);
+    }
+  }
+}
+
+/**
+ * Start a page image audit requested by the popup or side panel
+ */
+async function handleStartImageAudit(data, sendResponse) {
+  try {
+    const audit = await startImageAudit(data?.tabId);
+    sendResponse({ success: true, audit });
+    
+  } catch (error) {
+    console.error('Error starting image audit:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * List a tab's images with poor alt text and describe them one by one
+ *
+ * Runs in the background so it continues after the popup closes. Progress
+ * is broadcast as IMAGE_AUDIT_UPDATED messages.
+ */
+async function startImageAudit(tabId) {
+  if (tabId === undefined || tabId === null) {
+    throw new Error('No page to audit');
+  }
+  
+  imageAudits.get(tabId)?.controller.abort();
+  
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tabId, { type: 'AUDIT_IMAGES' });
+  } catch (error) {
+    throw new Error('AURA cannot reach this page. Reload the page and try again.');
+  }
+  
+  const tab = await chrome.tabs.get(tabId);
+  const images = response?.images || [];
+  const audit = {
+    tabId,
+    pageUrl: tab.url,
+    pageTitle: tab.title,
+    status: images.length > 0 ? 'running' : 'done',
+    startedAt: Date.now(),
+    finishedAt: null,
+    completed: 0,
+    total: images.length,
+    images: images.map(image => ({
+      ...image,
+      status: 'pending',
+      description: '',
+      suggestion: '',
+      error: null
+    }))
+  };
+  
+  const controller = new AbortController();
+  imageAudits.set(tabId, { audit, controller });
+  broadcastImageAudit(audit);
+  
+  describeAuditImages(audit, controller.signal);
+  return audit;
+}
+
+/**
+ * Describe each audited image in turn, reusing descriptions of repeated images
+ */
+async function describeAuditImages(audit, signal) {
+  // Images described on an earlier visit are not described again
+  const descriptions = new Map(Object.entries(
+    await getCachedAltText(audit.images.map(image => image.url))
+  ));
+  
+  for (const image of audit.images) {
+    if (signal.aborted) break;
+    
+    image.status = 'describing';
+    broadcastImageAudit(audit);
+    
+    try {
+      if (!descriptions.has(image.url)) {
+        const results = await startJob({
+          operation: 'describe',
+          content: { type: 'image', url: image.url, alt: image.alt || '', pageUrl: audit.pageUrl },
+          tabId: audit.tabId
+        }, { source: 'audit', signal, autoSave: false }).done;
+        
+        descriptions.set(image.url, {
+          altText: results.altText,
+          description: results.longDescription || results.content
+        });
+      }
+      
+      const { altText, description } = descriptions.get(image.url);
+      image.description = description;
+      image.suggestion = altText;
+      image.status = 'done';
+      
+    } catch (error) {
+      if (signal.aborted) {
+        image.status = 'pending';
+        break;
+      }
+      
+      console.error('Error describing audited image:', error);
+      image.status = 'error';
+      image.error = error.message;
+    }
+    
+    audit.completed++;
+    broadcastImageAudit(audit);
+  }
+  
+  audit.status = signal.aborted ? 'cancelled' : 'done';
+  audit.finishedAt = Date.now();
+  broadcastImageAudit(audit);
+}
+
+/**
+ * Let an open popup or side panel show audit progress
+ */
+function broadcastImageAudit(audit) {
+  chrome.runtime.sendMessage({
+    type: 'IMAGE_AUDIT_UPDATED',
+    data: { tabId: audit.tabId, audit }
+  }).catch(() => {
+    // No popup or side panel is open; the audit can be fetched later
+  });
+}
+
+/**
+ * Cache a new image description so it comes back on revisits
+ */
+async function rememberImageDescription(url, { altText, longDescription }) {
+  try {
+    await storeAltText(url, { altText, description: longDescription });
+  } catch (error) {
+    // The description is still returned; it just won't be remembered
+    console.error('Error caching image description:', error);
+  }
+}
+
+/**
+ * Add a looked-up word to the vocabulary list
+ */
+async function rememberVocabularyTerm(content, results) {
+  try {
+    await addToVocabulary({
+      term: results.term,
+      definition: results.definition,
+      synonym: results.synonym,
+      sentence: results.sentence,
+      language: results.language,
+      url: content.url || '',
+      title: content.title || ''
+    });
+  } catch (error) {
+    // The definition is still shown; it just won't be listed
+    console.error('Error adding to vocabulary:', error);
+  }
+}
+
+/**
+ * Write alt text into an image on the page for screen readers
+ *
+ * Sent by the popup with data.tabId, or by the inline card from its own tab.
+ * The alt text is remembered so it is put back on the next visit.
+ */
+async function handleApplyAltText(data, sender, sendResponse) {
+  try {
+    const tabId = data?.tabId ?? sender.tab?.id;
+    const altText = data?.altText;
+    
+    if (tabId === undefined || !data?.url || !altText) {
+      throw new Error('Describe the image first');
+    }
+    
+    await storeAltText(data.url, { altText, description: data.description, injected: true });
+    
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tabId, {
+        type: 'INJECT_ALT_TEXT',
+        data: { url: data.url, auditId: data.auditId, altText }
+      });
+    } catch (error) {
+      throw new Error('AURA cannot reach this page. Reload the page and try again.');
+    }
+    
+    sendResponse({
+      success: true,
+      altText,
+      applied: response?.applied || 0
+    });
+    
+  } catch (error) {
+    console.error('Error applying alt text:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Describe one page image for automatic alt text, using the cache when possible
+ */
+async function handleDescribePageImage(data, sender, sendResponse) {
+  try {
+    const cached = (await getCachedAltText([data.url]))[data.url];
+    
+    if (cached) {
+      sendResponse({ success: true, altText: cached.altText, cached: true });
+      return;
+    }
+    
+    const results = await startJob({
+      operation: 'describe',
+      content: { type: 'image', url: data.url, alt: data.alt || '', pageUrl: sender.tab?.url },
+      tabId: sender.tab?.id
+    }, { source: 'alt-text', autoSave: false }).done;
+    
+    sendResponse({ success: true, altText: results.altText, cached: false });
+    
+  } catch (error) {
+    console.error('Error describing page image:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Check whether automatic alt text is on for a tab's site
+ */
+async function handleGetAutoAltText(data, sendResponse) {
+  try {
+    const tab = await chrome.tabs.get(data.tabId);
+    const hostname = getHostname(tab.url || '');
+    const settings = await getUserSettings();
+    
+    sendResponse({
+      success: true,
+      hostname,
+      available: isAccessibleUrl(tab.url) && Boolean(hostname),
+      enabled: settings.autoAltTextSites.includes(hostname)
+    });
+    
+  } catch (error) {
+    console.error('Error getting automatic alt text setting:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Turn automatic alt text on or off for a tab's site and tell its open tabs
+ */
+async function handleSetAutoAltText(data, sendResponse) {
+  try {
+    const tab = await chrome.tabs.get(data.tabId);
+    const hostname = getHostname(tab.url || '');
+    
+    if (!isAccessibleUrl(tab.url) || !hostname) {
+      throw new Error('Automatic alt text is not available on this page');
+    }
+    
+    const settings = await getUserSettings();
+    const sites = settings.autoAltTextSites.filter(site => site !== hostname);
+    if (data.enabled) {
+      sites.push(hostname);
+    }
+    
+    const { settings: updated, errors } = validateSettings({ ...settings, autoAltTextSites: sites });
+    if (errors.autoAltTextSites) {
+      throw new Error(errors.autoAltTextSites);
+    }
+    // Pages on the site follow the setting from storage
+    await chrome.storage.local.set({ userSettings: updated });
+    
+    sendResponse({ success: true, hostname, enabled: Boolean(data.enabled) });
+    
+  } catch (error) {
+    console.error('Error setting automatic alt text:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Stop the inline card's running operation in the sender's tab
+ */
+function handleStopOverlayJob(sender) {
+  const tabId = sender.tab?.id;
+  overlayJobs.get(tabId)?.abort();
+  overlayJobs.delete(tabId);
+}
+
+/**
+ * Get the text to process from a content selection
+ */
+function requireText(content) {
+  const text = typeof content === 'string' ? content : content?.text;
+
+  if (!text || !text.trim()) {
+    throw new Error('No text to process. Please select some text first.');
+  }
+
+  return text;
+}
+
+/**
+ * Detect the most likely language of a text, or 'und' when it is unclear
+ */
+async function detectPrimaryLanguage(provider, text) {
+  const detections = await provider.detectLanguage(text);
+  return detections[0]?.language || 'und';
+}
+
+/**
+ * Refuse translations that cannot produce anything useful
+ */
+function checkLanguagePair(sourceLanguage, targetLanguage) {
+  if (sourceLanguage === 'und') {
+    throw new Error('AURA could not tell which language this text is in. Choose the language to translate from and try again.');
+  }
+
+  const source = sourceLanguage.toLowerCase();
+  const target = targetLanguage.toLowerCase();
+
+  // Regional variants count as the same language, but Chinese scripts do not
+  const sameLanguage = source === target ||
+    (source.split('-')[0] === target.split('-')[0] && !source.startsWith('zh'));
+
+  if (sameLanguage) {
+    throw new Error(`This text is already in ${getLanguageName(targetLanguage)}. Choose another language to translate it into.`);
+  }
+}
+
+/**
+ * Reword an unsupported language pair error for the user
+ */
+function explainTranslationError(error, sourceLanguage, targetLanguage) {
+  if (!error.unsupportedLanguagePair) {
+    return error;
+  }
+
+  return new Error(`${getLanguageName(sourceLanguage)} to ${getLanguageName(targetLanguage)} translation is not supported on this device. The original text is unchanged; try another language.`);
+}
+
+/**
+ * Translate a batch of text nodes for in-place page translation
+ *
+ * Each batch runs as a job, so it waits for a free model session and times
+ * out like any other operation. data.sample is a longer stretch of page
+ * text to detect the language from when data.sourceLanguage is not known yet.
+ */
+async function handleTranslatePageText(data, sender, sendResponse) {
+  try {
+    const { texts = [], sample, sourceLanguage, targetLanguage, rememberPair = false } = data || {};
+    
+    const results = await startJob({
+      operation: 'translate-texts',
+      content: { texts, sample },
+      options: { sourceLanguage, targetLanguage, rememberPair },
+      tabId: sender.tab?.id
+    }, {
+      source: 'page',
+      autoSave: false
+    }).done;
+    
+    sendResponse({
+      success: true,
+      translations: results.translations,
+      sourceLanguage: results.sourceLanguage,
+      targetLanguage: results.language,
+      languageName: getLanguageName(results.language)
+    });
+    
+  } catch (error) {
+    console.error('Error translating page text:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Cancel a tab's queued and running page translation batches
+ */
+function cancelPageTranslationJobs(tabId) {
+  if (tabId === undefined) {
+    return;
+  }
+  
+  getJobs(tabId)
+    .filter(job => job.operation === 'translate-texts')
+    .forEach(job => cancelJob(job.id));
+}
+
+/**
+ * Get recently used translation language pairs, newest first
+ */
+async function getRecentLanguagePairs() {
+  const result = await chrome.storage.local.get(RECENT_LANGUAGE_PAIRS_KEY);
+  return result[RECENT_LANGUAGE_PAIRS_KEY] || [];
+}
+
+/**
+ * Move a language pair to the front of the recent pairs
+ */
+async function rememberLanguagePair(sourceLanguage, targetLanguage) {
+  try {
+    const pairs = (await getRecentLanguagePairs())
+      .filter(pair => pair.sourceLanguage !== sourceLanguage || pair.targetLanguage !== targetLanguage);
+
+    pairs.unshift({ sourceLanguage, targetLanguage });
+
+    await chrome.storage.local.set({
+      [RECENT_LANGUAGE_PAIRS_KEY]: pairs.slice(0, RECENT_LANGUAGE_PAIRS_LIMIT)
+    });
+  } catch (error) {
+    // Losing a recent pair should never hide the translation itself
+    console.error('Error remembering language pair:', error);
+  }
+}
+
+/**
+ * Get the default language and recent pairs for the translation picker
+ */
+async function handleGetTranslationOptions(sendResponse) {
+  try {
+    const settings = await getUserSettings();
+
+    sendResponse({
+      success: true,
+      preferredLanguage: settings.preferredLanguage,
+      recentPairs: await getRecentLanguagePairs()
+    });
+  } catch (error) {
+    console.error('Error getting translation options:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Refresh the model status and download missing models the user agreed to
+ */
+async function manageModelAvailability() {
+  await initializeModelStatus();
+  
+  if (!modelDownload && modelStatus.consent && modelStatus.downloadable) {
+    downloadModels();
+  }
+  
+  return modelStatus;
+}
+
+/**
+ * Handle extension icon click (when popup is disabled)
+ */
+chrome.action.onClicked.addListener(async (tab) => {
+  console.log('Extension icon clicked for tab:', tab.id);
+  
+  // The popup will handle this automatically
+  // This listener is here as a fallback
 });
 
 /**
@@ -475,6 +2888,32 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
+/**
+ * Drop result history, stop jobs and close conversations for closed tabs
+ */
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  imageAudits.get(tabId)?.controller.abort();
+  imageAudits.delete(tabId);
+  getJobs(tabId).forEach(job => cancelJob(job.id));
+  updateStoredJobs(stored => stored.filter(job => job.tabId !== tabId));
+  conversations.forEach(conversation => {
+    if (conversation.tabId === tabId) {
+      closeConversation(conversation.id);
+    }
+  });
+  
+  try {
+    const { resultHistory = {} } = await chrome.storage.session.get(['resultHistory']);
+    
+    if (resultHistory[tabId]) {
+      delete resultHistory[tabId];
+      await chrome.storage.session.set({ resultHistory });
+    }
+  } catch (error) {
+    console.error('Error cleaning up result history:', error);
+  }
+});
+
 /**
  * Utility function to check if URL is accessible
  */
@@ -482,6 +2921,40 @@ function isAccessibleUrl(url) {
   return url && (url.startsWith('http://') || url.startsWith('https://'));
 }
 
+/**
+ * Utility function to throttle function calls, keeping the latest arguments
+ */
+function throttle(func, wait) {
+  let timeout = null;
+  let lastArgs = null;
+  let lastCall = 0;
+
+  const throttled = (...args) => {
+    lastArgs = args;
+    const remaining = wait - (Date.now() - lastCall);
+
+    if (remaining <= 0) {
+      clearTimeout(timeout);
+      timeout = null;
+      lastCall = Date.now();
+      func(...args);
+    } else if (!timeout) {
+      timeout = setTimeout(() => {
+        timeout = null;
+        lastCall = Date.now();
+        func(...lastArgs);
+      }, remaining);
+    }
+  };
+
+  throttled.cancel = () => {
+    clearTimeout(timeout);
+    timeout = null;
+  };
+
+  return throttled;
+}
+
 /**
  * Utility function to generate unique IDs
  */
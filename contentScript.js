@@ -9,15 +9,223 @@ let lastSelection = null;
 let selectedImage = null;
 let isInitialized = false;
 
+// Read-aloud on the page: the speech engine, the text map being highlighted
+// and the floating control bar
+const readingState = {
+  speech: null,
+  map: null,
+  bar: null,
+  barStatus: null,
+  playButton: null,
+  returnFocus: null,
+  lastManualScroll: 0
+};
+
+// Whole-page translation: each text node's original and translated text,
+// the blocks they were grouped into and the bar that switches between them
+const pageTranslation = {
+  active: false,
+  showingOriginal: false,
+  sourceLanguage: '',
+  targetLanguage: '',
+  languageName: '',
+  rememberPair: false,
+  translatedCount: 0,
+  failedCount: 0,
+  generation: 0,
+  blocks: new Map(),
+  nodes: new Map(),
+  queue: [],
+  running: false,
+  visibility: null,
+  observer: null,
+  bar: null,
+  barStatus: null,
+  toggleButton: null,
+  returnFocus: null
+};
+
+// Inline result card state
+const overlayState = {
+  host: null,
+  card: null,
+  title: null,
+  body: null,
+  actions: null,
+  applyAlt: null,
+  translateTerm: null,
+  status: null,
+  stop: null,
+  announcer: null,
+  wasStreaming: false,
+  data: null,
+  returnFocus: null
+};
+
+// Alt text written into the page for screen readers
+const altTextState = {
+  autoEnabled: false,
+  queue: [],
+  queued: new WeakSet(),
+  running: false,
+  loaded: new Set(),      // Images that loaded since the last check
+  loadTimer: null
+};
+const ALT_TEXT_LOAD_DELAY = 300; // Milliseconds of image loads checked together
+
 // Configuration
 const CONFIG = {
   SELECTION_TIMEOUT: 5000, // Keep selection for 5 seconds after deselection
   MIN_TEXT_LENGTH: 3,      // Minimum text length to consider
-  MAX_TEXT_LENGTH: 10000,  // Maximum text length to process
+  MAX_TEXT_LENGTH: 200000, // Safety cap; long text is summarized in chunks
   IMAGE_FORMATS: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'],
   CONTEXT_LENGTH: 100      // Characters of context before/after selection
 };
 
+// Double-click definitions, only listened for while the setting is on
+let defineOnDoubleClick = false;
+const DEFINITION_CONFIG = {
+  MAX_LENGTH: 60,   // Characters; longer selections are not looked up on double-click
+  BLOCK_SELECTOR: 'p, li, dd, dt, td, th, blockquote, figcaption, h1, h2, h3, h4, h5, h6'
+};
+
+// Inline result card layout
+const OVERLAY_CONFIG = {
+  WIDTH: 360,
+  MARGIN: 12,
+  Z_INDEX: 2147483647
+};
+
+// Styles live inside the card's shadow root, isolated from the page
+const OVERLAY_STYLES = `
+  :host { all: initial; }
+  .card {
+    box-sizing: border-box;
+    background: #fff;
+    color: #333;
+    border: 1px solid #e9ecef;
+    border-top: 4px solid #667eea;
+    border-radius: 8px;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+    font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    padding: 12px;
+  }
+  .card:focus { outline: 2px solid #667eea; outline-offset: 2px; }
+  .header { display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: 8px; }
+  .title { font-size: 14px; font-weight: 600; margin: 0; color: #333; }
+  .body { max-height: 280px; overflow-y: auto; white-space: pre-line; font-size: 13px; }
+  .body.loading { color: #666; font-style: italic; }
+  .actions { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 10px; }
+  .actions[hidden], .actions button[hidden] { display: none; }
+  button {
+    font: inherit;
+    font-size: 12px;
+    padding: 4px 8px;
+    border: 1px solid #ddd;
+    border-radius: 6px;
+    background: #fff;
+    color: #333;
+    cursor: pointer;
+  }
+  button:hover { background: #f8f9fa; border-color: #667eea; }
+  button:focus-visible { outline: 2px solid #667eea; outline-offset: 2px; }
+  .close { border: none; font-size: 14px; line-height: 1; }
+  .status { font-size: 11px; color: #28a745; margin-top: 6px; }
+  .status:empty { display: none; }
+  .body p { margin: 0 0 6px; }
+  .synonym { color: #666; }
+  .translation { color: #555; border-top: 1px solid #e9ecef; padding-top: 6px; }
+  .stop { margin-top: 8px; }
+  .stop[hidden] { display: none; }
+  .sr-only {
+    position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px;
+    overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;
+  }
+  @media (prefers-reduced-motion: no-preference) {
+    .card { animation: aura-fade-in 0.15s ease-out; }
+  }
+  @keyframes aura-fade-in { from { opacity: 0; transform: translateY(-4px); } }
+`;
+
+// Read-aloud highlighting
+const READING_CONFIG = {
+  SENTENCE_HIGHLIGHT: 'aura-reading-sentence',
+  WORD_HIGHLIGHT: 'aura-reading-word',
+  SCROLL_MARGIN: 80,          // Scroll when the sentence comes this close to the viewport edge
+  MANUAL_SCROLL_PAUSE: 4000   // Don't fight the user for this long after they scroll
+};
+
+// Styles for the read-aloud and page translation bars, inside their shadow roots
+const PAGE_BAR_STYLES = `
+  :host { all: initial; }
+  .bar {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 8px 10px;
+    background: #fff;
+    color: #333;
+    border: 1px solid #e9ecef;
+    border-left: 4px solid #667eea;
+    border-radius: 8px;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+    font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .status { margin-right: 4px; font-weight: 600; }
+  button {
+    font: inherit;
+    font-size: 12px;
+    padding: 4px 8px;
+    border: 1px solid #ddd;
+    border-radius: 6px;
+    background: #fff;
+    color: #333;
+    cursor: pointer;
+  }
+  button:hover { background: #f8f9fa; border-color: #667eea; }
+  button:focus-visible { outline: 2px solid #667eea; outline-offset: 2px; }
+`;
+
+// Whole-page translation
+const PAGE_TRANSLATION = {
+  // Text nodes are translated together with the rest of their block
+  BLOCK_SELECTOR: 'p, li, h1, h2, h3, h4, h5, h6, td, th, dt, dd, blockquote, figcaption, caption, summary, legend, label, button, div, section, article, aside, header, footer, nav, main, form',
+  SKIP_SELECTOR: 'script, style, noscript, template, textarea, input, select, code, pre, kbd, samp, var, svg, math, [contenteditable=""], [contenteditable="true"], [translate="no"], .notranslate, .aura-overlay',
+  VIEWPORT_MARGIN: '0px 0px 600px 0px',   // Start on blocks just below the viewport
+  MAX_BATCH_LENGTH: 1500,                 // Characters sent to the translator at once
+  DETECTION_SAMPLE_LENGTH: 2000,
+  MUTATION_DELAY: 300
+};
+
+// Alt text audit rules
+const ALT_TEXT_AUDIT = {
+  // Alt text that names the kind of thing instead of describing it
+  GENERIC_ALT: [
+    'image', 'img', 'photo', 'photograph', 'picture', 'pic', 'graphic', 'icon', 'logo',
+    'banner', 'thumbnail', 'placeholder', 'spacer', 'blank', 'untitled', 'alt', 'null', 'undefined'
+  ],
+  FILE_NAME_PATTERN: /^[\w\s.-]*\.(jpe?g|png|gif|webp|svg|bmp|avif|tiff?)$|^(img|dsc|dscn|pxl|screenshot|photo|image)[\s_-]?\d+$/i,
+  MIN_ALT_LENGTH: 4,
+  HIGHLIGHT_DURATION: 3000
+};
+
+// Reader-mode extraction tuning
+const PAGE_EXTRACTION = {
+  MIN_PARAGRAPH_LENGTH: 25,   // Shorter paragraphs don't score their container
+  MIN_BLOCK_LENGTH: 20,       // Shorter blocks are dropped from the article text
+  MIN_ARTICLE_LENGTH: 200,    // Below this the page has no real article
+  SIBLING_MIN_SCORE: 10,
+  BLOCK_SELECTOR: 'p, pre, blockquote, li, h1, h2, h3, h4, h5, h6, figcaption, dd',
+  BYLINE_SELECTOR: '[rel="author"], [itemprop="author"], .byline, .author, .post-author',
+  UNLIKELY_SELECTOR: [
+    'nav', 'aside', 'footer', 'form', 'script', 'style', 'noscript', 'iframe', 'svg',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[aria-hidden="true"]', '[hidden]', '.aura-overlay'
+  ].join(', '),
+  NEGATIVE_PATTERN: /(^|[\s_-])(comments?|footer|foot|nav|navbar|menu|sidebar|sponsor(ed)?|ads?|advert\w*|banner|promo\w*|related|share|sharing|social|cookie\w*|popup|modal|newsletter|subscribe|widget|breadcrumbs?|masthead|outbrain|taboola)([\s_-]|$)/i,
+  POSITIVE_PATTERN: /(^|[\s_-])(article|body|content|entry|main|page|post|text|blog|story|prose)([\s_-]|$)/i
+};
+
 /**
  * Initialize content script when DOM is ready
  */
@@ -33,6 +241,9 @@ function initializeContentScript() {
     // Set up image interaction
     setupImageInteraction();
 
+    // Put back alt text written on earlier visits, and follow automatic alt text
+    watchAutoAltTextSetting();
+
     // Monitor selection changes
     monitorSelectionChanges();
 
@@ -58,8 +269,8 @@ function setupEventListeners() {
   document.addEventListener('click', handleImageClick);
   document.addEventListener('contextmenu', handleContextMenu);
 
-  // Listen for keyboard shortcuts
-  document.addEventListener('keydown', handleKeyboardShortcuts);
+  // Define double-clicked words once the setting is known to be on
+  watchDefinitionSetting();
 
   // Listen for messages from popup and background script
   chrome.runtime.onMessage.addListener(handleMessage);
@@ -80,6 +291,17 @@ function setupImageInteraction() {
       outline-offset: 2px !important;
       cursor: help !important;
     }
+    .aura-audit-highlight {
+      outline: 4px solid #667eea !important;
+      outline-offset: 4px !important;
+    }
+    ::highlight(${READING_CONFIG.SENTENCE_HIGHLIGHT}) {
+      background-color: rgba(255, 221, 87, 0.55);
+    }
+    ::highlight(${READING_CONFIG.WORD_HIGHLIGHT}) {
+      background-color: #4c51bf;
+      color: #fff;
+    }
   `;
   document.head.appendChild(style);
 
@@ -117,25 +339,44 @@ function addImageHoverListeners() {
  */
 function observeImageChanges() {
   const observer = new MutationObserver((mutations) => {
+    const changedImages = new Set();
+
     mutations.forEach((mutation) => {
+      // Lazy loaders swap in the real image by changing src
+      if (mutation.type === 'attributes') {
+        if (mutation.target.tagName === 'IMG') {
+          resetInjectedAltText(mutation.target);
+          changedImages.add(mutation.target);
+        }
+        return;
+      }
+
       mutation.addedNodes.forEach((node) => {
         if (node.nodeType === Node.ELEMENT_NODE) {
           if (node.tagName === 'IMG') {
             addImageHoverListeners();
+            changedImages.add(node);
           } else if (node.querySelectorAll) {
             const images = node.querySelectorAll('img');
             if (images.length > 0) {
               addImageHoverListeners();
+              images.forEach(img => changedImages.add(img));
             }
           }
         }
       });
     });
+
+    if (changedImages.size > 0) {
+      restorePageAltText(Array.from(changedImages));
+    }
   });
 
   observer.observe(document.body, {
     childList: true,
-    subtree: true
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['src']
   });
 }
 
@@ -175,12 +416,18 @@ function initializeSelectionState() {
  */
 function handleSelectionChange() {
   try {
+    // Text selected inside the result card is not new page content
+    if (overlayState.host && document.activeElement === overlayState.host) {
+      return;
+    }
+
     const selection = window.getSelection();
     const selectedText = selection.toString().trim();
 
     if (selectedText && selectedText.length >= CONFIG.MIN_TEXT_LENGTH) {
       // Validate text length
-      if (selectedText.length > CONFIG.MAX_TEXT_LENGTH) {
+      const truncated = selectedText.length > CONFIG.MAX_TEXT_LENGTH;
+      if (truncated) {
         console.warn('Selected text too long, truncating to', CONFIG.MAX_TEXT_LENGTH, 'characters');
       }
 
@@ -193,6 +440,8 @@ function handleSelectionChange() {
         type: 'text',
         text: processedText,
         ...selectionData,
+        truncated,
+        originalLength: selectedText.length,
         timestamp: Date.now(),
         url: window.location.href
       };
@@ -233,7 +482,7 @@ function extractDetailedSelection(selection, selectedText) {
     const container = range.commonAncestorContainer;
 
     // Get surrounding context
-    const context = extractContext(container, selectedText);
+    const context = extractContext(container, selectedText, range);
 
     // Get element information
     const elementInfo = getElementInfo(container);
@@ -256,11 +505,14 @@ function extractDetailedSelection(selection, selectedText) {
 
 /**
  * Extract context around selected text
+ *
+ * With the selection's range the context comes from where the text was
+ * selected; without it, from the first place the text appears.
  */
-function extractContext(container, selectedText) {
+function extractContext(container, selectedText, range = null) {
   try {
     const containerText = getElementTextContent(container);
-    const startIndex = containerText.indexOf(selectedText);
+    const startIndex = range ? getTextOffset(container, range) : containerText.indexOf(selectedText);
 
     if (startIndex === -1) {
       return { contextBefore: '', contextAfter: '' };
@@ -288,6 +540,19 @@ function extractContext(container, selectedText) {
   }
 }
 
+/**
+ * Count the characters of a container's text before a selected range
+ */
+function getTextOffset(container, range) {
+  const before = document.createRange();
+  before.selectNodeContents(container);
+  before.setEnd(range.startContainer, range.startOffset);
+
+  // The selected text is trimmed, so skip the whitespace it starts with
+  const rangeText = range.toString();
+  return before.toString().length + rangeText.length - rangeText.trimStart().length;
+}
+
 /**
  * Get element information
  */
@@ -325,6 +590,10 @@ function getPositionInfo(range) {
       viewport: {
         width: window.innerWidth,
         height: window.innerHeight
+      },
+      scroll: {
+        x: window.scrollX,
+        y: window.scrollY
       }
     };
 
@@ -362,7 +631,7 @@ function handleContextMenu(event) {
       type: 'image',
       ...imageData,
       timestamp: Date.now(),
-      url: window.location.href
+      pageUrl: window.location.href
     };
 
     // Notify background script about image selection
@@ -373,25 +642,91 @@ function handleContextMenu(event) {
 }
 
 /**
- * Handle keyboard shortcuts
+ * Follow the defineOnDoubleClick setting, which is off by default
+ *
+ * Pages where it is off never listen for double-clicks, so they never wake
+ * the background.
  */
-function handleKeyboardShortcuts(event) {
-  // Ctrl+Shift+A to trigger AURA on current selection
-  if (event.ctrlKey && event.shiftKey && event.key === 'A') {
-    event.preventDefault();
-
-    if (selectedContent) {
-      // Notify background script to open popup
-      chrome.runtime.sendMessage({
-        type: 'OPEN_POPUP_WITH_CONTENT',
-        data: selectedContent
-      }).catch(error => {
-        console.debug('Could not send keyboard shortcut message:', error);
-      });
+function watchDefinitionSetting() {
+  chrome.storage.local.get('userSettings')
+    .then(({ userSettings }) => setDoubleClickDefinitions(userSettings?.defineOnDoubleClick === true))
+    .catch(error => console.debug('Could not read the definition setting:', error));
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.userSettings) {
+      setDoubleClickDefinitions(changes.userSettings.newValue?.defineOnDoubleClick === true);
     }
+  });
+}
+
+/**
+ * Turn double-click definitions on or off for this page
+ */
+function setDoubleClickDefinitions(enabled) {
+  if (enabled === defineOnDoubleClick) return;
+
+  defineOnDoubleClick = enabled;
+  if (enabled) {
+    document.addEventListener('dblclick', handleDoubleClick);
+  } else {
+    document.removeEventListener('dblclick', handleDoubleClick);
   }
 }
 
+/**
+ * Look up a double-clicked word
+ */
+function handleDoubleClick(event) {
+  if (overlayState.host && event.composedPath().includes(overlayState.host)) return;
+  if (event.target.closest?.('input, textarea, select') || event.target.isContentEditable) return;
+
+  const term = extractTermForDefinition();
+  if (!term || term.text.length > DEFINITION_CONFIG.MAX_LENGTH) return;
+
+  chrome.runtime.sendMessage({
+    type: 'DEFINE_TERM',
+    data: { content: term }
+  }).catch(error => {
+    console.debug('Could not send definition request:', error);
+  });
+}
+
+/**
+ * Get the selected word or phrase with the sentence it is used in
+ */
+function extractTermForDefinition() {
+  const selection = window.getSelection();
+  if (selection.rangeCount === 0) return null;
+
+  const text = selection.toString().replace(/\s+/g, ' ').trim();
+  if (!text || !/\p{L}/u.test(text)) return null;
+
+  const range = selection.getRangeAt(0);
+  const node = range.commonAncestorContainer;
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const block = element?.closest(DEFINITION_CONFIG.BLOCK_SELECTOR) || element;
+
+  return {
+    type: 'text',
+    text,
+    sentence: getContextSentence(extractContext(block, text, range), text),
+    language: element?.closest('[lang]')?.lang || '',
+    url: window.location.href,
+    title: document.title,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Rebuild the sentence around a selection from its context
+ */
+function getContextSentence({ contextBefore = '', contextAfter = '' }, text) {
+  const start = /[.!?]$/.test(contextBefore) ? '' : contextBefore.split(/(?<=[.!?])\s+/).pop();
+  const end = contextAfter.match(/^[^.!?]*[.!?]*/)[0];
+
+  return normalizeWhitespace(`${start} ${text}${/^[\p{L}\p{N}]/u.test(end) ? ' ' : ''}${end}`);
+}
+
 /**
  * Handle page visibility changes
  */
@@ -427,6 +762,13 @@ function handleMessage(message, sender, sendResponse) {
         });
         break;
 
+      case 'EXTRACT_TERM':
+        sendResponse({
+          success: true,
+          term: extractTermForDefinition()
+        });
+        break;
+
       case 'EXTRACT_IMAGE':
         const extractedImage = extractSelectedImage(message.data);
         sendResponse({
@@ -445,6 +787,65 @@ function handleMessage(message, sender, sendResponse) {
         sendResponse({ success: true });
         break;
 
+      case 'EXTRACT_PAGE':
+        sendResponse({
+          success: true,
+          page: extractPageContent()
+        });
+        break;
+
+      case 'READ_ALOUD':
+        readAloud(message.data);
+        sendResponse({ success: true });
+        break;
+
+      case 'READ_PAGE_ALOUD':
+        sendResponse(readPageAloud(message.data));
+        break;
+
+      case 'STOP_READ_ALOUD':
+        readingState.speech?.stop();
+        sendResponse({ success: true });
+        break;
+
+      case 'TRANSLATE_PAGE':
+        sendResponse(startPageTranslation(message.data));
+        break;
+
+      case 'STOP_PAGE_TRANSLATION':
+        stopPageTranslation();
+        sendResponse({ success: true });
+        break;
+
+      case 'AUDIT_IMAGES':
+        sendResponse({
+          success: true,
+          images: auditPageImages()
+        });
+        break;
+
+      case 'SHOW_AUDIT_IMAGE':
+        sendResponse({
+          success: true,
+          found: showAuditImage(message.data.auditId)
+        });
+        break;
+
+      case 'INJECT_ALT_TEXT':
+        sendResponse({
+          success: true,
+          applied: applyAltTextToImages(message.data)
+        });
+        break;
+
+      case 'READ_IMAGE_DATA':
+        handleReadImageData(message.data, sendResponse);
+        break;
+
+      case 'RASTERIZE_SVG':
+        handleRasterizeSvg(message.data, sendResponse);
+        break;
+
       case 'PING':
         sendResponse({ success: true, status: 'ready' });
         break;
@@ -490,6 +891,8 @@ function extractSelectedText() {
     return {
       text: selectedText.substring(0, CONFIG.MAX_TEXT_LENGTH),
       ...selectionData,
+      truncated: selectedText.length > CONFIG.MAX_TEXT_LENGTH,
+      originalLength: selectedText.length,
       url: window.location.href,
       timestamp: Date.now()
     };
@@ -551,9 +954,12 @@ function extractSelectedImage(imageSelector) {
 
     if (imageSelector) {
       imageElement = document.querySelector(imageSelector);
-    } else if (selectedImage && selectedImage.element) {
-      imageElement = selectedImage.element;
     } else {
+      // Keyboard users reach images by focus or selection rather than clicks
+      imageElement = findFocusedImage() || selectedImage?.element;
+    }
+
+    if (!imageElement) {
       return null;
     }
 
@@ -566,45 +972,1892 @@ function extractSelectedImage(imageSelector) {
 }
 
 /**
- * Show inline overlay with results
+ * Find the image a keyboard user is on: the focused image, an image inside a
+ * focused link or button, or an image inside the text selection
+ */
+function findFocusedImage() {
+  const candidates = [];
+  const focused = document.activeElement;
+
+  if (focused?.tagName === 'IMG') {
+    candidates.push(focused);
+  } else if (focused && focused !== document.body) {
+    candidates.push(...focused.querySelectorAll('img'));
+  }
+
+  const selection = window.getSelection();
+  if (selection && selection.rangeCount > 0 && !selection.isCollapsed) {
+    const range = selection.getRangeAt(0);
+    const container = range.commonAncestorContainer;
+    const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+
+    if (element?.tagName === 'IMG') {
+      candidates.push(element);
+    } else if (element) {
+      candidates.push(...[...element.querySelectorAll('img')].filter(image => range.intersectsNode(image)));
+    }
+  }
+
+  return candidates.find(isValidImage) || null;
+}
+
+/**
+ * List every meaningful image whose alt text is missing, empty or unhelpful
+ *
+ * Images that are tiny, hidden or explicitly decorative (role="presentation",
+ * aria-hidden) are skipped. Each listed image is tagged with an audit ID so
+ * the report can point back to it.
+ */
+function auditPageImages() {
+  const images = [];
+
+  document.querySelectorAll('img').forEach(imageElement => {
+    if (!isMeaningfulImage(imageElement)) {
+      return;
+    }
+
+    const assessment = assessAltText(imageElement);
+    if (!assessment) return;
+
+    if (!imageElement.dataset.auraAuditId) {
+      imageElement.dataset.auraAuditId = generateId();
+    }
+
+    images.push({
+      auditId: imageElement.dataset.auraAuditId,
+      url: imageElement.currentSrc || imageElement.src,
+      alt: (imageElement.getAttribute('aria-label') || imageElement.getAttribute('alt') || '').trim(),
+      width: imageElement.naturalWidth,
+      height: imageElement.naturalHeight,
+      ...assessment
+    });
+  });
+
+  return images;
+}
+
+/**
+ * Check whether an image is big, visible and not marked decorative
+ */
+function isMeaningfulImage(imageElement) {
+  return isValidImage(imageElement) &&
+    !imageElement.closest('[aria-hidden="true"], .aura-overlay') &&
+    !['presentation', 'none'].includes(imageElement.getAttribute('role'));
+}
+
+/**
+ * Judge an image's text alternative
+ *
+ * Returns { issue, reason } where issue is 'missing', 'empty' or
+ * 'low-quality', or null when the alt text looks fine.
+ */
+function assessAltText(imageElement) {
+  const hasAlt = imageElement.hasAttribute('alt');
+  const alt = hasAlt ? imageElement.getAttribute('alt').trim() : '';
+  const ariaLabel = (imageElement.getAttribute('aria-label') || '').trim();
+
+  // aria-label overrides alt for screen readers
+  const name = ariaLabel || alt;
+
+  if (!name) {
+    return hasAlt
+      ? { issue: 'empty', reason: 'Screen readers skip this image as decoration' }
+      : { issue: 'missing', reason: 'Screen readers may read out the file name instead' };
+  }
+
+  const normalized = name.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').trim();
+  if (ALT_TEXT_AUDIT.GENERIC_ALT.includes(normalized)) {
+    return { issue: 'low-quality', reason: `"${name}" does not describe the image` };
+  }
+
+  if (ALT_TEXT_AUDIT.FILE_NAME_PATTERN.test(name) || isImageFileName(name, imageElement.currentSrc || imageElement.src)) {
+    return { issue: 'low-quality', reason: `"${name}" is a file name` };
+  }
+
+  if (name.length < ALT_TEXT_AUDIT.MIN_ALT_LENGTH) {
+    return { issue: 'low-quality', reason: `"${name}" is too short to describe the image` };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether alt text just repeats the image's file name
  */
-function showInlineOverlay(data) {
+function isImageFileName(text, src) {
   try {
-    // This will be implemented in later tasks for inline result display
-    console.log('Show inline overlay:', data);
-
-    // For now, just create a simple notification
-    const notification = document.createElement('div');
-    notification.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: #667eea;
-      color: white;
-      padding: 12px 16px;
-      border-radius: 8px;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      font-size: 14px;
-      z-index: 10000;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.2);
-      max-width: 300px;
-    `;
-    notification.textContent = data.message || 'AURA processing complete';
-
-    document.body.appendChild(notification);
-
-    // Remove after 3 seconds
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.parentNode.removeChild(notification);
+    const fileName = decodeURIComponent(new URL(src).pathname.split('/').pop() || '');
+    const baseName = fileName.replace(/\.[a-z0-9]+$/i, '');
+    const normalize = value => value.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+
+    return Boolean(baseName) && normalize(text) === normalize(baseName);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Scroll to an audited image, highlight it and move focus to it
+ */
+function showAuditImage(auditId) {
+  const imageElement = document.querySelector(`img[data-aura-audit-id="${CSS.escape(auditId)}"]`);
+  if (!imageElement) return false;
+
+  const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  imageElement.scrollIntoView({ block: 'center', behavior: reduceMotion ? 'auto' : 'smooth' });
+
+  // Images are not focusable by default; make this one reachable for screen readers
+  if (!imageElement.hasAttribute('tabindex')) {
+    imageElement.setAttribute('tabindex', '-1');
+  }
+  imageElement.focus({ preventScroll: true });
+
+  imageElement.classList.add('aura-audit-highlight');
+  setTimeout(() => imageElement.classList.remove('aura-audit-highlight'), ALT_TEXT_AUDIT.HIGHLIGHT_DURATION);
+
+  return true;
+}
+
+/**
+ * Follow whether automatic alt text is on for this site
+ *
+ * The site list and remembered alt text are read from storage, so pages
+ * only wake the background to describe images on sites where it is on.
+ */
+function watchAutoAltTextSetting() {
+  const isEnabled = userSettings => (userSettings?.autoAltTextSites || []).includes(location.hostname);
+
+  chrome.storage.local.get('userSettings')
+    .then(({ userSettings }) => {
+      altTextState.autoEnabled = isEnabled(userSettings);
+      restorePageAltText(Array.from(document.images));
+    })
+    .catch(error => console.debug('Could not read the automatic alt text setting:', error));
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.userSettings) {
+      setAutoAltText(isEnabled(changes.userSettings.newValue));
+    }
+  });
+}
+
+/**
+ * Put back remembered alt text on images, and queue automatic alt text
+ *
+ * Images that have not loaded yet are checked once they load, since their
+ * size decides whether they are meaningful.
+ */
+async function restorePageAltText(images) {
+  images.filter(img => !img.complete).forEach(img => {
+    img.addEventListener('load', () => queueLoadedImage(img), { once: true });
+  });
+
+  const loaded = images.filter(img => img.complete && isMeaningfulImage(img));
+  if (loaded.length === 0) return;
+
+  try {
+    const entries = await getCachedAltText([...new Set(loaded.map(getImageUrl).filter(Boolean))]);
+
+    loaded.forEach(img => {
+      const entry = entries[getImageUrl(img)];
+      // Alt text the user added comes back even over the page's own, and
+      // cached descriptions fill in elsewhere on sites with automatic alt text
+      if (entry && !img.dataset.auraAltText && (entry.injected || (altTextState.autoEnabled && assessAltText(img)))) {
+        injectAltText(img, entry.altText, entry.injected ? 'manual' : 'auto');
       }
-    }, 3000);
+    });
 
+    if (altTextState.autoEnabled) {
+      queueAutoAltText(loaded);
+    }
   } catch (error) {
-    console.error('Error showing inline overlay:', error);
+    console.debug('Could not restore alt text:', error);
+  }
+}
+
+/**
+ * Check images that finished loading together, a moment after the last one
+ */
+function queueLoadedImage(img) {
+  altTextState.loaded.add(img);
+
+  clearTimeout(altTextState.loadTimer);
+  altTextState.loadTimer = setTimeout(() => {
+    const images = Array.from(altTextState.loaded);
+    altTextState.loaded.clear();
+    restorePageAltText(images);
+  }, ALT_TEXT_LOAD_DELAY);
+}
+
+/**
+ * Turn automatic alt text on or off for this page
+ */
+function setAutoAltText(enabled) {
+  if (enabled === altTextState.autoEnabled) return;
+
+  altTextState.autoEnabled = enabled;
+
+  if (enabled) {
+    restorePageAltText(Array.from(document.images));
+    return;
+  }
+
+  // Stop describing and take back the alt text AURA added on its own
+  altTextState.queue = [];
+  altTextState.queued = new WeakSet();
+  document.querySelectorAll('img[data-aura-alt-text="auto"]').forEach(resetInjectedAltText);
+}
+
+/**
+ * Queue images without useful alt text for automatic descriptions
+ */
+function queueAutoAltText(images) {
+  images.forEach(img => {
+    if (altTextState.queued.has(img) || img.dataset.auraAltText || !assessAltText(img)) return;
+
+    altTextState.queued.add(img);
+    altTextState.queue.push(img);
+  });
+
+  processAutoAltTextQueue();
+}
+
+/**
+ * Describe queued images one at a time and write their alt text
+ */
+async function processAutoAltTextQueue() {
+  if (altTextState.running) return;
+  altTextState.running = true;
+
+  while (altTextState.autoEnabled && altTextState.queue.length > 0) {
+    const img = altTextState.queue.shift();
+    if (!img.isConnected || img.dataset.auraAltText || !isMeaningfulImage(img)) continue;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'DESCRIBE_PAGE_IMAGE',
+        data: { url: getImageUrl(img), alt: img.getAttribute('alt') || '' }
+      });
+
+      // The setting may have been turned off while the image was described
+      if (response?.success && altTextState.autoEnabled && !img.dataset.auraAltText) {
+        injectAltText(img, response.altText, 'auto');
+      }
+    } catch (error) {
+      console.debug('Could not describe image for alt text:', error);
+    }
+  }
+
+  altTextState.running = false;
+}
+
+/**
+ * Write alt text the user chose into every matching image on the page
+ *
+ * Returns the number of images changed.
+ */
+function applyAltTextToImages({ url, auditId, altText }) {
+  const images = new Set(Array.from(document.images).filter(img => getImageUrl(img) === url || img.src === url));
+
+  if (auditId) {
+    const audited = document.querySelector(`img[data-aura-audit-id="${CSS.escape(auditId)}"]`);
+    if (audited) images.add(audited);
+  }
+
+  images.forEach(img => injectAltText(img, altText, 'manual'));
+  return images.size;
+}
+
+/**
+ * Set an image's text alternative, marked so AURA can find and undo it
+ *
+ * source is 'manual' when the user chose to add it and 'auto' when the
+ * site's automatic alt text added it. The page's own text is kept in data
+ * attributes so it can be put back.
+ */
+function injectAltText(imageElement, altText, source) {
+  if (!imageElement.dataset.auraAltText) {
+    if (imageElement.hasAttribute('alt')) {
+      imageElement.dataset.auraOriginalAlt = imageElement.getAttribute('alt');
+    }
+    if (imageElement.hasAttribute('aria-label')) {
+      imageElement.dataset.auraOriginalAriaLabel = imageElement.getAttribute('aria-label');
+    }
+  }
+
+  // aria-label wins over alt, so replace whichever one screen readers read
+  if (imageElement.hasAttribute('aria-label')) {
+    imageElement.setAttribute('aria-label', altText);
+  } else {
+    imageElement.setAttribute('alt', altText);
+  }
+
+  imageElement.dataset.auraAltText = source;
+}
+
+/**
+ * Put back the page's own alt text on an image AURA changed
+ */
+function resetInjectedAltText(imageElement) {
+  if (!imageElement.dataset.auraAltText) return;
+
+  const { auraOriginalAlt, auraOriginalAriaLabel } = imageElement.dataset;
+
+  if (auraOriginalAriaLabel !== undefined) {
+    imageElement.setAttribute('aria-label', auraOriginalAriaLabel);
+  } else if (auraOriginalAlt !== undefined) {
+    imageElement.setAttribute('alt', auraOriginalAlt);
+  } else {
+    imageElement.removeAttribute('alt');
+  }
+
+  delete imageElement.dataset.auraOriginalAlt;
+  delete imageElement.dataset.auraOriginalAriaLabel;
+  delete imageElement.dataset.auraAltText;
+}
+
+/**
+ * Get the address an image was actually loaded from
+ */
+function getImageUrl(imageElement) {
+  return imageElement.currentSrc || imageElement.src;
+}
+
+/**
+ * Read an image for the background's image pipeline
+ */
+async function handleReadImageData(data, sendResponse) {
+  try {
+    sendResponse({ success: true, dataUrl: await readImageData(data.url) });
+  } catch (error) {
+    console.error('Error reading image data:', error);
+    sendResponse({ success: false, error: error.message });
   }
 }
 
+/**
+ * Rasterize an SVG for the background's image pipeline
+ */
+async function handleRasterizeSvg(data, sendResponse) {
+  try {
+    sendResponse({ success: true, ...await rasterizeSvg(data.dataUrl, data.maxDimension) });
+  } catch (error) {
+    console.error('Error rasterizing SVG:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Read an image the page can reach, such as a blob: URL, as a data URL
+ */
+async function readImageData(url) {
+  let response;
+
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(url.startsWith('blob:')
+      ? 'The page no longer has this image. Reload the page and try again.'
+      : 'The page could not load this image');
+  }
+
+  if (!response.ok) {
+    throw new Error(`The page could not load this image (HTTP ${response.status})`);
+  }
+
+  const blob = await response.blob();
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('The page could not read this image'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Draw an SVG data URL onto a canvas and return it as a PNG data URL
+ *
+ * The longest side is scaled to at least 512 pixels so small icons stay
+ * legible, and to at most maxDimension.
+ */
+async function rasterizeSvg(dataUrl, maxDimension) {
+  const image = new Image();
+  image.src = dataUrl;
+
+  try {
+    await image.decode();
+  } catch (error) {
+    throw new Error('This SVG image is damaged and could not be drawn');
+  }
+
+  // SVGs without width and height have no natural size; assume a square
+  const width = image.naturalWidth || 1024;
+  const height = image.naturalHeight || 1024;
+  const longestSide = Math.max(width, height);
+  const scale = Math.min(maxDimension, Math.max(longestSide, 512)) / longestSide;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  try {
+    return { dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height };
+  } catch (error) {
+    throw new Error('This SVG image loads content from other websites and cannot be drawn');
+  }
+}
+
+/**
+ * Extract the main article of the page, Readability style
+ */
+function extractPageContent() {
+  try {
+    const topCandidate = findMainContentElement();
+    const root = topCandidate || document.body;
+    const blocks = collectContentBlocks(root, topCandidate);
+
+    const paragraphs = [];
+    const headings = [];
+
+    blocks.forEach(block => {
+      const text = normalizeWhitespace(getElementTextContent(block));
+      if (!text) return;
+
+      if (/^H[1-6]$/.test(block.tagName)) {
+        headings.push({ level: Number(block.tagName[1]), text });
+      }
+
+      paragraphs.push(text);
+    });
+
+    const text = paragraphs.join('\n\n');
+    if (text.length < PAGE_EXTRACTION.MIN_ARTICLE_LENGTH) {
+      return null;
+    }
+
+    return {
+      type: 'page',
+      title: getPageTitle(root),
+      byline: getPageByline(root),
+      siteName: getMetaContent('meta[property="og:site_name"]'),
+      language: document.documentElement.lang || '',
+      headings,
+      paragraphs,
+      text: text.substring(0, CONFIG.MAX_TEXT_LENGTH),
+      wordCount: text.split(/\s+/).length,
+      url: window.location.href,
+      timestamp: Date.now()
+    };
+
+  } catch (error) {
+    console.error('Error extracting page content:', error);
+    return null;
+  }
+}
+
+/**
+ * Score paragraph containers and return the most likely article element
+ */
+function findMainContentElement() {
+  const scores = new Map();
+
+  document.querySelectorAll('p, pre, td, blockquote').forEach(paragraph => {
+    if (isUnlikelyContent(paragraph)) return;
+
+    const text = normalizeWhitespace(getElementTextContent(paragraph));
+    if (text.length < PAGE_EXTRACTION.MIN_PARAGRAPH_LENGTH) return;
+
+    // One point per paragraph, per comma, and per 100 characters (up to 3)
+    const commas = text.split(/[,\uff0c\u3001]/).length - 1;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+    const parent = paragraph.parentElement;
+    const grandparent = parent?.parentElement;
+
+    if (parent) addCandidateScore(scores, parent, score);
+    if (grandparent) addCandidateScore(scores, grandparent, score / 2);
+  });
+
+  let topCandidate = null;
+  let topScore = 0;
+
+  scores.forEach((score, element) => {
+    const adjustedScore = score * (1 - getLinkDensity(element));
+    scores.set(element, adjustedScore);
+
+    if (adjustedScore > topScore) {
+      topScore = adjustedScore;
+      topCandidate = element;
+    }
+  });
+
+  if (!topCandidate) {
+    return document.querySelector('article, main, [role="main"]');
+  }
+
+  // Article bodies are often split across siblings; widen to the parent when they score well too
+  const parent = topCandidate.parentElement;
+  if (parent && parent !== document.body) {
+    const threshold = Math.max(PAGE_EXTRACTION.SIBLING_MIN_SCORE, topScore * 0.2);
+    const strongSiblings = Array.from(parent.children)
+      .filter(sibling => sibling !== topCandidate && (scores.get(sibling) || 0) >= threshold);
+
+    if (strongSiblings.length > 0) {
+      return parent;
+    }
+  }
+
+  return topCandidate;
+}
+
+/**
+ * Add to an element's content score, seeding it from tag and class hints
+ */
+function addCandidateScore(scores, element, score) {
+  if (!scores.has(element)) {
+    scores.set(element, getBaseContentScore(element));
+  }
+
+  scores.set(element, scores.get(element) + score);
+}
+
+/**
+ * Initial content score from the element's tag, class and id
+ */
+function getBaseContentScore(element) {
+  const tagScores = {
+    ARTICLE: 10, MAIN: 10, DIV: 5, SECTION: 5, PRE: 3, TD: 3, BLOCKQUOTE: 3,
+    ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3,
+    H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+  };
+
+  const hints = `${element.getAttribute('class') || ''} ${element.id || ''}`;
+  let score = tagScores[element.tagName] || 0;
+
+  if (PAGE_EXTRACTION.NEGATIVE_PATTERN.test(hints)) score -= 25;
+  if (PAGE_EXTRACTION.POSITIVE_PATTERN.test(hints)) score += 25;
+
+  return score;
+}
+
+/**
+ * Share of an element's text that sits inside links
+ */
+function getLinkDensity(element) {
+  const textLength = normalizeWhitespace(getElementTextContent(element)).length;
+  if (!textLength) return 0;
+
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += normalizeWhitespace(getElementTextContent(link)).length;
+  });
+
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Check whether an element is navigation, ads, comments or other page chrome
+ */
+function isUnlikelyContent(element) {
+  if (element.closest(PAGE_EXTRACTION.UNLIKELY_SELECTOR)) {
+    return true;
+  }
+
+  // Walk up looking for boilerplate class or id hints
+  for (let node = element; node && node !== document.body; node = node.parentElement) {
+    const hints = `${node.getAttribute('class') || ''} ${node.id || ''}`;
+    if (PAGE_EXTRACTION.NEGATIVE_PATTERN.test(hints) && !PAGE_EXTRACTION.POSITIVE_PATTERN.test(hints)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Collect readable blocks from the article root in document order
+ */
+function collectContentBlocks(root, topCandidate) {
+  const blocks = Array.from(root.querySelectorAll(PAGE_EXTRACTION.BLOCK_SELECTOR));
+
+  return blocks.filter(block => {
+    // Skip blocks nested in another collected block (e.g. p inside li)
+    const outerBlock = block.parentElement?.closest(PAGE_EXTRACTION.BLOCK_SELECTOR);
+    if (outerBlock && root.contains(outerBlock)) return false;
+
+    // Inside a scored article, only drop obvious page chrome
+    if (topCandidate ? block.closest(PAGE_EXTRACTION.UNLIKELY_SELECTOR) : isUnlikelyContent(block)) {
+      return false;
+    }
+
+    const text = normalizeWhitespace(getElementTextContent(block));
+    const isHeading = /^H[1-6]$/.test(block.tagName);
+
+    if (!text || (!isHeading && text.length < PAGE_EXTRACTION.MIN_BLOCK_LENGTH)) return false;
+    if (getLinkDensity(block) > 0.5) return false;
+
+    return isElementVisible(block);
+  });
+}
+
+/**
+ * Best guess at the article title
+ */
+function getPageTitle(root) {
+  const heading = root.querySelector('h1') || document.querySelector('article h1, main h1');
+  const headingText = heading ? normalizeWhitespace(getElementTextContent(heading)) : '';
+
+  return (
+    getMetaContent('meta[property="og:title"]') ||
+    headingText ||
+    document.title.split(/\s[|–—-]\s/)[0].trim()
+  );
+}
+
+/**
+ * Best guess at the article author line
+ */
+function getPageByline(root) {
+  const metaAuthor = getMetaContent('meta[name="author"], meta[property="article:author"]');
+  if (metaAuthor && !/^https?:/.test(metaAuthor)) {
+    return metaAuthor;
+  }
+
+  const bylineElement = root.querySelector(PAGE_EXTRACTION.BYLINE_SELECTOR) ||
+    document.querySelector(PAGE_EXTRACTION.BYLINE_SELECTOR);
+  const byline = bylineElement ? normalizeWhitespace(getElementTextContent(bylineElement)) : '';
+
+  return byline.length <= 100 ? byline : '';
+}
+
+/**
+ * Read a meta tag's content attribute
+ */
+function getMetaContent(selector) {
+  return document.querySelector(selector)?.getAttribute('content')?.trim() || '';
+}
+
+/**
+ * Collapse runs of whitespace
+ */
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Show the inline result card, anchored to the selection or image when possible
+ */
+function showInlineOverlay(data = {}) {
+  try {
+    if (!overlayState.host) {
+      createOverlayHost();
+    }
+
+    const isOpen = overlayState.host.isConnected && !overlayState.host.hidden;
+
+    // Late partial text for a job that was stopped or already finished
+    const current = overlayState.data;
+    if (isOpen && data.streaming && current && !current.loading && !current.streaming) {
+      return;
+    }
+    if (!isOpen) {
+      overlayState.returnFocus = document.activeElement;
+      document.documentElement.appendChild(overlayState.host);
+      document.addEventListener('keydown', handleOverlayKeydown, true);
+      document.addEventListener('mousedown', handleOverlayOutsideClick, true);
+    }
+
+    overlayState.data = data;
+    overlayState.host.hidden = false;
+
+    renderOverlayContent(data);
+
+    // Keep the card still while text streams in
+    if (!isOpen || !data.streaming) {
+      positionOverlay(data);
+    }
+
+    if (!isOpen) {
+      overlayState.card.focus({ preventScroll: true });
+    }
+
+  } catch (error) {
+    console.error('Error showing inline overlay:', error);
+  }
+}
+
+/**
+ * Create the Shadow DOM host so page styles can't leak into the card
+ */
+function createOverlayHost() {
+  const host = document.createElement('div');
+  host.className = 'aura-overlay';
+  host.style.cssText = `all: initial; position: absolute; z-index: ${OVERLAY_CONFIG.Z_INDEX};`;
+
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>${OVERLAY_STYLES}</style>
+    <div class="card" role="dialog" aria-labelledby="aura-card-title" aria-describedby="aura-card-body" tabindex="-1">
+      <div class="header">
+        <h2 id="aura-card-title" class="title">AURA</h2>
+        <button type="button" class="close" data-action="close" aria-label="Close AURA result (Escape)">✕</button>
+      </div>
+      <div id="aura-card-body" class="body" aria-live="polite"></div>
+      <button type="button" class="stop" data-action="stop" hidden>Stop</button>
+      <div class="actions" role="group" aria-label="Result actions">
+        <button type="button" data-action="pronounce" data-for="definition" hidden>Pronounce</button>
+        <button type="button" data-action="translate-term" data-for="definition" hidden>Translate</button>
+        <button type="button" data-action="copy">Copy</button>
+        <button type="button" data-action="read-aloud" data-for="result">Read aloud</button>
+        <button type="button" data-action="save" data-for="result">Save</button>
+        <button type="button" data-action="apply-alt" hidden>Add as alt text</button>
+        <button type="button" data-action="open-popup" data-for="result">Open in popup</button>
+        <button type="button" data-action="open-vocabulary" data-for="definition" hidden>Vocabulary list</button>
+      </div>
+      <div class="status" role="status" aria-live="polite"></div>
+      <div class="sr-only" role="status" aria-live="polite"></div>
+    </div>
+  `;
+
+  root.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (button) {
+      handleOverlayAction(button.dataset.action, button);
+    }
+  });
+
+  overlayState.host = host;
+  overlayState.card = root.querySelector('.card');
+  overlayState.title = root.querySelector('.title');
+  overlayState.body = root.querySelector('.body');
+  overlayState.actions = root.querySelector('.actions');
+  overlayState.applyAlt = root.querySelector('[data-action="apply-alt"]');
+  overlayState.translateTerm = root.querySelector('[data-action="translate-term"]');
+  overlayState.status = root.querySelector('.status');
+  overlayState.stop = root.querySelector('.stop');
+  overlayState.announcer = createLiveAnnouncer(root.querySelector('.sr-only'));
+}
+
+/**
+ * Fill the card with a loading message, an error or results
+ */
+function renderOverlayContent(data) {
+  const { results, loading, streaming } = data;
+  const isBusy = Boolean(loading || streaming);
+  const titles = {
+    summary: 'Summary',
+    simplification: 'Simplified Text',
+    description: 'Image Description',
+    translation: 'Translation',
+    definition: 'Definition'
+  };
+  const isDefinition = results?.type === 'definition';
+
+  overlayState.title.textContent = `AURA · ${data.title || titles[results?.type] || 'Result'}`;
+  if (isDefinition && !isBusy) {
+    renderDefinition(results);
+  } else {
+    overlayState.body.textContent = results?.content || data.message || '';
+  }
+  overlayState.body.classList.toggle('loading', Boolean(loading));
+
+  // Let screen readers pronounce a translation or a word in its own language
+  if ((results?.type === 'translation' || isDefinition) && results.language) {
+    overlayState.body.lang = results.language;
+  } else {
+    overlayState.body.removeAttribute('lang');
+  }
+  overlayState.card.setAttribute('aria-busy', isBusy ? 'true' : 'false');
+  overlayState.stop.hidden = !isBusy;
+  overlayState.actions.hidden = !results || isBusy;
+  overlayState.actions.querySelectorAll('[data-for]').forEach(button => {
+    button.hidden = (button.dataset.for === 'definition') !== isDefinition;
+  });
+  overlayState.applyAlt.hidden = results?.type !== 'description' || !data.content?.url;
+  overlayState.translateTerm.hidden = !isDefinition || !data.translateTo || Boolean(results.translation);
+  overlayState.translateTerm.textContent = data.translateTo ? `Translate to ${data.translateTo.name}` : 'Translate';
+  overlayState.status.textContent = isBusy ? '' : [
+    results?.metadata?.cached && 'Cached result',
+    results?.truncated && 'Too long to summarize in full'
+  ].filter(Boolean).join(' · ');
+
+  // Streamed text is announced a sentence at a time instead of on every token
+  overlayState.body.setAttribute('aria-live', streaming || overlayState.wasStreaming ? 'off' : 'polite');
+  if (streaming) {
+    overlayState.announcer.update(results.content);
+  } else if (overlayState.wasStreaming) {
+    overlayState.announcer.finish(results?.stopped ? 'Stopped.' : 'Done.');
+  }
+  overlayState.wasStreaming = Boolean(streaming);
+}
+
+/**
+ * Show a word, its simpler synonym, its definition and any translation
+ */
+function renderDefinition(results) {
+  const heading = document.createElement('p');
+  const term = document.createElement('strong');
+  term.textContent = results.term;
+  heading.append(term);
+
+  if (results.synonym) {
+    const synonym = document.createElement('span');
+    synonym.className = 'synonym';
+    synonym.textContent = ` · simpler: ${results.synonym}`;
+    heading.append(synonym);
+  }
+
+  const definition = document.createElement('p');
+  definition.textContent = results.definition;
+
+  const parts = [heading, definition];
+
+  if (results.translation) {
+    const translation = document.createElement('p');
+    translation.className = 'translation';
+    translation.lang = results.translationLanguage;
+    translation.textContent = results.translation;
+    parts.push(translation);
+  }
+
+  overlayState.body.replaceChildren(...parts);
+}
+
+/**
+ * Place the card next to its anchor, flipping above it when there is no room below
+ */
+function positionOverlay(data) {
+  const host = overlayState.host;
+  const rect = getOverlayAnchorRect(data);
+  const margin = OVERLAY_CONFIG.MARGIN;
+  const width = Math.min(OVERLAY_CONFIG.WIDTH, window.innerWidth - margin * 2);
+
+  host.style.width = `${width}px`;
+
+  if (!rect) {
+    host.style.position = 'fixed';
+    host.style.top = `${margin + 8}px`;
+    host.style.left = `${window.innerWidth - width - margin - 8}px`;
+    return;
+  }
+
+  const height = host.offsetHeight;
+  const left = Math.min(Math.max(rect.left, margin), window.innerWidth - width - margin);
+  let top = rect.bottom + margin;
+
+  if (top + height > window.innerHeight && rect.top - height - margin >= margin) {
+    top = rect.top - height - margin;
+  }
+
+  host.style.position = 'absolute';
+  host.style.top = `${top + window.scrollY}px`;
+  host.style.left = `${left + window.scrollX}px`;
+}
+
+/**
+ * Find the viewport rectangle the card should be anchored to
+ */
+function getOverlayAnchorRect(data) {
+  if (data.anchor === 'image') {
+    const image = selectedImage?.element?.src === data.imageUrl
+      ? selectedImage.element
+      : Array.from(document.images).find(img => img.src === data.imageUrl);
+
+    return image ? image.getBoundingClientRect() : null;
+  }
+
+  if (data.anchor === 'selection') {
+    const selection = selectedContent?.type === 'text' ? selectedContent : lastSelection;
+    if (!selection) return null;
+
+    // Prefer the live range; fall back to the position captured at selection time
+    const liveRect = selection.range?.getBoundingClientRect();
+    if (liveRect && (liveRect.width || liveRect.height)) {
+      return liveRect;
+    }
+
+    if (selection.position && selection.scroll) {
+      const top = selection.position.y + selection.scroll.y - window.scrollY;
+      const left = selection.position.x + selection.scroll.x - window.scrollX;
+      return { top, left, bottom: top + selection.position.height };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run one of the card's actions
+ */
+async function handleOverlayAction(action, button) {
+  const { results, content } = overlayState.data || {};
+
+  try {
+    switch (action) {
+      case 'close':
+        hideInlineOverlay();
+        break;
+
+      case 'stop':
+        stopOverlayJob();
+        break;
+
+      case 'copy':
+        await navigator.clipboard.writeText(results.content);
+        overlayState.status.textContent = 'Copied to clipboard';
+        break;
+
+      case 'read-aloud':
+        readAloud({ text: results.content, language: results.language });
+        break;
+
+      case 'pronounce':
+        readAloud({ text: results.term, language: results.language });
+        break;
+
+      case 'translate-term': {
+        overlayState.status.textContent = 'Translating…';
+
+        const response = await chrome.runtime.sendMessage({
+          type: 'PROCESS_CONTENT',
+          data: {
+            operation: 'translate',
+            content: { type: 'text', text: results.content },
+            options: { targetLanguage: overlayState.data.translateTo.language }
+          }
+        });
+
+        if (!response?.success) {
+          throw new Error(response?.error || 'Could not translate');
+        }
+
+        // The card may show another word by now
+        if (overlayState.data?.results === results) {
+          results.translation = response.results.content;
+          results.translationLanguage = response.results.language;
+          renderOverlayContent(overlayState.data);
+          overlayState.status.textContent = '';
+          overlayState.card.focus({ preventScroll: true });
+        }
+        break;
+      }
+
+      case 'open-vocabulary':
+        await chrome.runtime.sendMessage({ type: 'OPEN_VOCABULARY' });
+        break;
+
+      case 'save': {
+        if (results.savedId) {
+          overlayState.status.textContent = 'Already saved to your library';
+          break;
+        }
+
+        const response = await chrome.runtime.sendMessage({
+          type: 'SAVE_RESULT',
+          data: { results, content }
+        });
+
+        if (response?.success) {
+          results.savedId = response.id;
+        }
+        overlayState.status.textContent = response?.success ? 'Saved' : 'Could not save this result';
+        break;
+      }
+
+      case 'apply-alt': {
+        const response = await chrome.runtime.sendMessage({
+          type: 'APPLY_ALT_TEXT',
+          data: { url: content.url, altText: results.altText, description: results.longDescription }
+        });
+
+        if (!response?.success) {
+          throw new Error(response?.error || 'Could not add the alt text');
+        }
+        overlayState.status.textContent = response.applied > 0
+          ? `Alt text added for screen readers: ${response.altText}`
+          : 'The image is no longer on the page';
+        break;
+      }
+
+      case 'open-popup': {
+        const response = await chrome.runtime.sendMessage({
+          type: 'OPEN_POPUP_WITH_CONTENT',
+          data: { content, results }
+        });
+        overlayState.status.textContent = response?.opened
+          ? ''
+          : 'Click the AURA toolbar icon to continue in the popup';
+        break;
+      }
+    }
+  } catch (error) {
+    console.error(`Error running overlay action ${action}:`, error);
+    overlayState.status.textContent = `Could not ${button.textContent.toLowerCase()}`;
+  }
+}
+
+/**
+ * Stop generating, keeping the partial result in the card
+ */
+function stopOverlayJob() {
+  const data = overlayState.data;
+  if (!data || !(data.loading || data.streaming)) return;
+
+  chrome.runtime.sendMessage({ type: 'STOP_OVERLAY_JOB' }).catch(error => {
+    console.debug('Could not stop AURA job:', error);
+  });
+
+  if (data.streaming) {
+    renderOverlayContent({ ...data, streaming: false, results: { ...data.results, stopped: true } });
+    overlayState.data = { ...data, streaming: false };
+    overlayState.status.textContent = 'Stopped early — this result is incomplete.';
+  } else {
+    hideInlineOverlay();
+  }
+}
+
+/**
+ * Dismiss the card on Escape
+ */
+function handleOverlayKeydown(event) {
+  if (event.key === 'Escape') {
+    event.stopPropagation();
+    hideInlineOverlay();
+  }
+}
+
+/**
+ * Dismiss the card when the user clicks elsewhere on the page
+ */
+function handleOverlayOutsideClick(event) {
+  if (!event.composedPath().includes(overlayState.host)) {
+    hideInlineOverlay();
+  }
+}
+
+/**
+ * Hide the inline result card and give focus back to the page
+ */
+function hideInlineOverlay() {
+  if (!overlayState.host || overlayState.host.hidden) return;
+
+  // Closing a card that is still generating stops the job too
+  if (overlayState.data?.loading || overlayState.data?.streaming) {
+    chrome.runtime.sendMessage({ type: 'STOP_OVERLAY_JOB' }).catch(error => {
+      console.debug('Could not stop AURA job:', error);
+    });
+  }
+
+  overlayState.host.hidden = true;
+  overlayState.host.remove();
+  overlayState.data = null;
+
+  document.removeEventListener('keydown', handleOverlayKeydown, true);
+  document.removeEventListener('mousedown', handleOverlayOutsideClick, true);
+
+  if (overlayState.returnFocus?.isConnected) {
+    overlayState.returnFocus.focus?.({ preventScroll: true });
+  }
+  overlayState.returnFocus = null;
+}
+
+/**
+ * Read text aloud on the page with the user's voice settings
+ *
+ * Text that is not on the page, like a result, is read without highlighting.
+ */
+function readAloud(data) {
+  const { text, language } = data || {};
+  if (!text) return;
+
+  speakOnPage(text, language, null);
+}
+
+/**
+ * Read the selection or the main article aloud, highlighting it as it is read
+ *
+ * data.source is 'selection' or 'page'. When the selection is gone, data.text
+ * is read without highlighting instead.
+ */
+function readPageAloud(data = {}) {
+  let map = null;
+
+  if (data.source === 'selection') {
+    const range = (selectedContent?.type === 'text' ? selectedContent : lastSelection)?.range;
+    map = range && !range.collapsed ? buildReadingMapFromRange(range) : null;
+  } else {
+    const topCandidate = findMainContentElement();
+    map = buildReadingMap(collectContentBlocks(topCandidate || document.body, topCandidate));
+  }
+
+  if (map?.text) {
+    speakOnPage(map.text, data.language || document.documentElement.lang || '', map);
+    return { success: true, highlighted: true };
+  }
+
+  if (data.text) {
+    speakOnPage(data.text, data.language, null);
+    return { success: true, highlighted: false };
+  }
+
+  return { success: false, error: 'AURA could not find text to read on this page' };
+}
+
+/**
+ * Start reading, showing the control bar and highlighting text when mapped
+ */
+async function speakOnPage(text, language, map) {
+  if (!readingState.speech) {
+    readingState.speech = createSpeechEngine({
+      onStateChange: updateReadingBar,
+      onSentence: handleReadingSentence,
+      onBoundary: handleReadingWord,
+      onEnd: handleReadingEnd
+    });
+  }
+
+  readingState.speech.stop();
+  readingState.map = map;
+
+  let settings = {};
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    settings = response?.success ? response.settings : {};
+  } catch (error) {
+    console.debug('Could not load speech settings:', error);
+  }
+
+  await readingState.speech.speak(text, {
+    language,
+    voiceURI: settings.ttsVoice,
+    rate: settings.ttsRate,
+    pitch: settings.ttsPitch
+  });
+}
+
+/**
+ * Build a map from spoken text back to the page's text nodes
+ *
+ * Whitespace is collapsed the way it is rendered and blocks are joined by
+ * blank lines. For each character of the text, nodeIndexes and offsets give
+ * the text node and offset it came from (-1 for added separators).
+ */
+function buildReadingMap(blocks, clipRange = null) {
+  const chars = [];
+  const nodes = [];
+  const nodeIndexes = [];
+  const offsets = [];
+
+  blocks.forEach(block => {
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => {
+        if (node.parentElement?.closest('script, style, noscript, [aria-hidden="true"], .aura-overlay')) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        if (clipRange && !clipRange.intersectsNode(node)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    let pendingSpace = null;
+    let blockStarted = false;
+
+    if (chars.length > 0) {
+      chars.push('\n', '\n');
+      nodeIndexes.push(-1, -1);
+      offsets.push(-1, -1);
+    }
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const nodeIndex = nodes.push(node) - 1;
+      const data = node.data;
+      const from = clipRange && node === clipRange.startContainer ? clipRange.startOffset : 0;
+      const to = clipRange && node === clipRange.endContainer ? clipRange.endOffset : data.length;
+
+      for (let i = from; i < to; i++) {
+        if (/\s/.test(data[i])) {
+          if (blockStarted && !pendingSpace) {
+            pendingSpace = { nodeIndex, offset: i };
+          }
+          continue;
+        }
+
+        if (pendingSpace) {
+          chars.push(' ');
+          nodeIndexes.push(pendingSpace.nodeIndex);
+          offsets.push(pendingSpace.offset);
+          pendingSpace = null;
+        }
+
+        chars.push(data[i]);
+        nodeIndexes.push(nodeIndex);
+        offsets.push(i);
+        blockStarted = true;
+      }
+    }
+
+    // A block with no readable text leaves no separator behind
+    if (!blockStarted && chars.length > 0) {
+      chars.splice(-2);
+      nodeIndexes.splice(-2);
+      offsets.splice(-2);
+    }
+  });
+
+  return { text: chars.join(''), nodes, nodeIndexes, offsets };
+}
+
+/**
+ * Build a reading map for the text inside a selection range
+ */
+function buildReadingMapFromRange(range) {
+  const container = range.commonAncestorContainer;
+  const root = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+  return buildReadingMap([root], range);
+}
+
+/**
+ * Turn a span of the spoken text back into a DOM range
+ */
+function getReadingRange(map, start, end) {
+  let first = start;
+  while (first < end && map.nodeIndexes[first] < 0) first++;
+
+  let last = end - 1;
+  while (last >= first && map.nodeIndexes[last] < 0) last--;
+
+  if (first > last) return null;
+
+  const startNode = map.nodes[map.nodeIndexes[first]];
+  const endNode = map.nodes[map.nodeIndexes[last]];
+
+  // The page may have removed the text since reading started
+  if (!startNode.isConnected || !endNode.isConnected) return null;
+
+  const range = document.createRange();
+  range.setStart(startNode, map.offsets[first]);
+  range.setEnd(endNode, map.offsets[last] + 1);
+  return range;
+}
+
+/**
+ * Highlight a span of the page with the CSS Custom Highlight API
+ */
+function setReadingHighlight(name, range) {
+  if (!window.CSS?.highlights) return;
+
+  if (range) {
+    CSS.highlights.set(name, new Highlight(range));
+  } else {
+    CSS.highlights.delete(name);
+  }
+}
+
+/**
+ * Highlight the sentence being read and keep it in view
+ */
+function handleReadingSentence(sentence) {
+  readingState.barStatus.textContent = `Reading ${sentence.index + 1} of ${sentence.total}`;
+
+  if (!readingState.map) return;
+
+  const range = getReadingRange(readingState.map, sentence.start, sentence.end);
+  setReadingHighlight(READING_CONFIG.WORD_HIGHLIGHT, null);
+  setReadingHighlight(READING_CONFIG.SENTENCE_HIGHLIGHT, range);
+
+  if (range) {
+    scrollReadingIntoView(range);
+  }
+}
+
+/**
+ * Highlight the word being read
+ */
+function handleReadingWord({ start, length }) {
+  if (!readingState.map || !length) return;
+  setReadingHighlight(READING_CONFIG.WORD_HIGHLIGHT, getReadingRange(readingState.map, start, start + length));
+}
+
+/**
+ * Clean up once reading stops
+ */
+function handleReadingEnd({ error } = {}) {
+  clearReadingHighlights();
+  readingState.map = null;
+
+  if (error) {
+    showInlineOverlay({ message: `AURA stopped reading: ${error}` });
+  }
+}
+
+/**
+ * Remove the read-aloud highlights from the page
+ */
+function clearReadingHighlights() {
+  setReadingHighlight(READING_CONFIG.SENTENCE_HIGHLIGHT, null);
+  setReadingHighlight(READING_CONFIG.WORD_HIGHLIGHT, null);
+}
+
+/**
+ * Scroll so the sentence being read is comfortably on screen
+ *
+ * Scrolling is skipped for a few seconds after the user scrolls, so they
+ * can look elsewhere while listening.
+ */
+function scrollReadingIntoView(range) {
+  if (Date.now() - readingState.lastManualScroll < READING_CONFIG.MANUAL_SCROLL_PAUSE) return;
+
+  const rect = range.getBoundingClientRect();
+  const margin = READING_CONFIG.SCROLL_MARGIN;
+  if (rect.top >= margin && rect.bottom <= window.innerHeight - margin) return;
+
+  const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const element = range.startContainer.parentElement;
+
+  // scrollIntoView also scrolls any scrollable container the text is in
+  element?.scrollIntoView({ block: 'center', behavior: reduceMotion ? 'auto' : 'smooth' });
+}
+
+/**
+ * Remember when the user scrolls themselves
+ */
+function handleReadingManualScroll() {
+  readingState.lastManualScroll = Date.now();
+}
+
+/**
+ * Show the read-aloud controls while speaking and hide them when done
+ */
+function updateReadingBar(state) {
+  if (!readingState.bar) {
+    createReadingBar();
+  }
+
+  const host = readingState.bar;
+
+  if (state === 'idle') {
+    // Keep keyboard users on the page when the bar disappears under them
+    const hadFocus = host.matches(':focus-within');
+    host.remove();
+    window.removeEventListener('wheel', handleReadingManualScroll);
+    window.removeEventListener('touchmove', handleReadingManualScroll);
+
+    if (hadFocus && readingState.returnFocus?.isConnected) {
+      readingState.returnFocus.focus({ preventScroll: true });
+    }
+    readingState.returnFocus = null;
+    return;
+  }
+
+  if (!host.isConnected) {
+    readingState.returnFocus = document.activeElement;
+    readingState.barStatus.textContent = 'Reading';
+    document.documentElement.appendChild(host);
+    window.addEventListener('wheel', handleReadingManualScroll, { passive: true });
+    window.addEventListener('touchmove', handleReadingManualScroll, { passive: true });
+  }
+
+  const paused = state === 'paused';
+  readingState.playButton.textContent = paused ? 'Resume' : 'Pause';
+  readingState.playButton.setAttribute('aria-label', paused ? 'Resume reading' : 'Pause reading');
+  if (paused) {
+    readingState.barStatus.textContent = 'Paused';
+  }
+}
+
+/**
+ * Create the floating read-aloud control bar in a Shadow DOM
+ */
+function createReadingBar() {
+  const host = document.createElement('div');
+  host.className = 'aura-overlay';
+  host.style.cssText = `all: initial; position: fixed; bottom: 16px; left: 50%; transform: translateX(-50%); z-index: ${OVERLAY_CONFIG.Z_INDEX};`;
+
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>${PAGE_BAR_STYLES}</style>
+    <div class="bar" role="toolbar" aria-label="AURA read aloud">
+      <span class="status"></span>
+      <button type="button" data-action="previous" aria-label="Previous sentence">⏮</button>
+      <button type="button" data-action="play"></button>
+      <button type="button" data-action="next" aria-label="Next sentence">⏭</button>
+      <button type="button" data-action="stop" aria-label="Stop reading">Stop</button>
+    </div>
+  `;
+
+  root.addEventListener('click', (event) => {
+    const action = event.target.closest('button[data-action]')?.dataset.action;
+    const speech = readingState.speech;
+
+    switch (action) {
+      case 'previous':
+        speech.skip(-1);
+        break;
+      case 'play':
+        if (speech.state === 'paused') {
+          speech.resume();
+        } else {
+          speech.pause();
+        }
+        break;
+      case 'next':
+        speech.skip();
+        break;
+      case 'stop':
+        speech.stop();
+        break;
+    }
+  });
+
+  root.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      readingState.speech.stop();
+    }
+  });
+
+  readingState.bar = host;
+  readingState.barStatus = root.querySelector('.status');
+  readingState.playButton = root.querySelector('[data-action="play"]');
+}
+
+/**
+ * Translate the page in place, starting with the blocks in view
+ *
+ * Only text node values change, so the original page comes back exactly.
+ * Calling this again while a translation is shown restarts it in the new
+ * language.
+ */
+function startPageTranslation({ targetLanguage, sourceLanguage = '' } = {}) {
+  if (!document.body) {
+    return { success: false, error: 'This page has no text to translate' };
+  }
+
+  stopPageTranslation();
+
+  Object.assign(pageTranslation, {
+    active: true,
+    showingOriginal: false,
+    sourceLanguage,
+    targetLanguage,
+    languageName: '',
+    rememberPair: true,
+    translatedCount: 0,
+    failedCount: 0
+  });
+
+  pageTranslation.visibility = new IntersectionObserver(handleTranslationVisibility, {
+    rootMargin: PAGE_TRANSLATION.VIEWPORT_MARGIN
+  });
+
+  registerTranslationBlocks(document.body);
+  observePageTranslationChanges();
+  updateTranslationBar('Translating page…');
+
+  return { success: true };
+}
+
+/**
+ * Stop translating and put the original text back
+ */
+function stopPageTranslation() {
+  // Free the model session for the batch that is still out
+  if (pageTranslation.running) {
+    chrome.runtime.sendMessage({ type: 'CANCEL_PAGE_TRANSLATION' }).catch(() => {});
+  }
+
+  pageTranslation.generation++;
+  pageTranslation.visibility?.disconnect();
+  pageTranslation.observer?.disconnect();
+
+  pageTranslation.nodes.forEach((record, node) => {
+    if (record.translated !== null && node.nodeValue === record.translated) {
+      node.nodeValue = record.original;
+    }
+  });
+
+  Object.assign(pageTranslation, {
+    active: false,
+    showingOriginal: false,
+    visibility: null,
+    observer: null,
+    queue: [],
+    running: false
+  });
+  pageTranslation.blocks.clear();
+  pageTranslation.nodes.clear();
+
+  hideTranslationBar();
+}
+
+/**
+ * Switch between the translation and the original text
+ */
+function togglePageTranslation() {
+  if (!pageTranslation.active) return;
+
+  pageTranslation.showingOriginal = !pageTranslation.showingOriginal;
+
+  pageTranslation.nodes.forEach((record, node) => {
+    if (record.translated === null) return;
+
+    const [from, to] = pageTranslation.showingOriginal
+      ? [record.translated, record.original]
+      : [record.original, record.translated];
+
+    // Leave text the page has changed since it was translated
+    if (node.nodeValue === from) {
+      node.nodeValue = to;
+    }
+  });
+
+  updateTranslationBar(getTranslationStatus());
+}
+
+/**
+ * Find text to translate under a node and group it by block
+ *
+ * Blocks are translated once they come near the viewport.
+ */
+function registerTranslationBlocks(root) {
+  const textNodes = [];
+
+  if (root.nodeType === Node.TEXT_NODE) {
+    if (isTranslatableText(root)) {
+      textNodes.push(root);
+    }
+  } else {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => isTranslatableText(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+    });
+
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+  }
+
+  textNodes.forEach(node => {
+    const block = node.parentElement.closest(PAGE_TRANSLATION.BLOCK_SELECTOR) || document.body;
+    let entry = pageTranslation.blocks.get(block);
+
+    if (!entry) {
+      entry = { nodes: new Set(), status: 'pending', visible: false };
+      pageTranslation.blocks.set(block, entry);
+      pageTranslation.visibility.observe(block);
+    }
+
+    entry.nodes.add(node);
+    pageTranslation.nodes.set(node, { original: node.nodeValue, translated: null });
+
+    // New text in a block that was already translated
+    if (entry.status !== 'queued') {
+      entry.status = 'pending';
+      if (entry.visible) {
+        queueTranslationBlock(block);
+      }
+    }
+  });
+
+  processTranslationQueue();
+}
+
+/**
+ * Check whether a text node has words worth translating
+ */
+function isTranslatableText(node) {
+  return !pageTranslation.nodes.has(node) &&
+    /\p{L}/u.test(node.nodeValue) &&
+    Boolean(node.parentElement) &&
+    !node.parentElement.closest(PAGE_TRANSLATION.SKIP_SELECTOR);
+}
+
+/**
+ * Queue blocks as they scroll near the viewport
+ */
+function handleTranslationVisibility(entries) {
+  entries.forEach(({ target, isIntersecting }) => {
+    const entry = pageTranslation.blocks.get(target);
+    if (!entry) return;
+
+    entry.visible = isIntersecting;
+    if (isIntersecting) {
+      queueTranslationBlock(target);
+    }
+  });
+
+  // One pass over everything that came into view batches it together
+  processTranslationQueue();
+}
+
+function queueTranslationBlock(block) {
+  const entry = pageTranslation.blocks.get(block);
+  if (!entry || entry.status !== 'pending') return;
+
+  entry.status = 'queued';
+  pageTranslation.queue.push(block);
+}
+
+/**
+ * Translate queued blocks in batches, one request at a time
+ */
+async function processTranslationQueue() {
+  if (pageTranslation.running) return;
+
+  const generation = pageTranslation.generation;
+  pageTranslation.running = true;
+
+  while (pageTranslation.queue.length > 0 && generation === pageTranslation.generation) {
+    const batch = takeTranslationBatch();
+    if (batch.length === 0) continue;
+
+    updateTranslationBar(pageTranslation.showingOriginal ? getTranslationStatus() : 'Translating page…');
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: 'TRANSLATE_PAGE_TEXT',
+        data: {
+          texts: batch.map(node => pageTranslation.nodes.get(node).original.replace(/\s+/g, ' ').trim()),
+          sourceLanguage: pageTranslation.sourceLanguage,
+          targetLanguage: pageTranslation.targetLanguage,
+          sample: pageTranslation.sourceLanguage ? '' : getTranslationSample(),
+          rememberPair: pageTranslation.rememberPair
+        }
+      });
+    } catch (error) {
+      response = { success: false, error: 'AURA lost contact with the extension. Reload the page and try again.' };
+    }
+
+    // Stopped or restarted while this batch was out
+    if (generation !== pageTranslation.generation) return;
+
+    if (!response?.success) {
+      console.error('Error translating page text:', response?.error);
+
+      // Nothing could be translated, so the whole page would fail the same way
+      if (pageTranslation.translatedCount === 0) {
+        stopPageTranslation();
+        updateTranslationBar(response?.error || 'This page could not be translated');
+        return;
+      }
+
+      pageTranslation.failedCount += batch.length;
+      continue;
+    }
+
+    Object.assign(pageTranslation, {
+      sourceLanguage: response.sourceLanguage,
+      languageName: response.languageName,
+      rememberPair: false
+    });
+    applyPageTranslations(batch, response.translations);
+  }
+
+  pageTranslation.running = false;
+  if (generation === pageTranslation.generation) {
+    updateTranslationBar(getTranslationStatus());
+  }
+}
+
+/**
+ * Take queued blocks up to the batch size and return their untranslated text nodes
+ */
+function takeTranslationBatch() {
+  const batch = [];
+  let length = 0;
+
+  while (pageTranslation.queue.length > 0 && length < PAGE_TRANSLATION.MAX_BATCH_LENGTH) {
+    const entry = pageTranslation.blocks.get(pageTranslation.queue.shift());
+    if (!entry) continue;
+
+    entry.status = 'done';
+    entry.nodes.forEach(node => {
+      const record = pageTranslation.nodes.get(node);
+      if (record?.translated === null && node.isConnected) {
+        batch.push(node);
+        length += record.original.length;
+      }
+    });
+  }
+
+  return batch;
+}
+
+/**
+ * Swap translations into text nodes, keeping the whitespace around them
+ */
+function applyPageTranslations(nodes, translations) {
+  nodes.forEach((node, index) => {
+    const record = pageTranslation.nodes.get(node);
+    const translation = translations[index];
+    if (!record || !translation) return;
+
+    const leading = record.original.match(/^\s*/)[0];
+    const trailing = record.original.match(/\s*$/)[0];
+    record.translated = leading + translation.trim() + trailing;
+    pageTranslation.translatedCount++;
+
+    // Leave text the page changed while it was being translated
+    if (!pageTranslation.showingOriginal && node.nodeValue === record.original) {
+      node.nodeValue = record.translated;
+    }
+  });
+}
+
+/**
+ * Get page text for detecting its language, which single blocks are too short for
+ */
+function getTranslationSample() {
+  const root = findMainContentElement() || document.body;
+  return normalizeWhitespace(root.innerText || root.textContent || '')
+    .substring(0, PAGE_TRANSLATION.DETECTION_SAMPLE_LENGTH);
+}
+
+/**
+ * Translate text the page adds or rewrites while the translation is shown
+ */
+function observePageTranslationChanges() {
+  const changed = new Set();
+
+  const registerChanges = debounce(() => {
+    if (!pageTranslation.active) return;
+
+    changed.forEach(node => {
+      if (node.isConnected) {
+        registerTranslationBlocks(node);
+      }
+    });
+    changed.clear();
+  }, PAGE_TRANSLATION.MUTATION_DELAY);
+
+  pageTranslation.observer = new MutationObserver((mutations) => {
+    mutations.forEach((mutation) => {
+      if (mutation.type === 'characterData') {
+        const node = mutation.target;
+        const record = pageTranslation.nodes.get(node);
+
+        // AURA's own swaps leave the node holding one of its known values
+        if (record && (node.nodeValue === record.original || node.nodeValue === record.translated)) {
+          return;
+        }
+
+        pageTranslation.nodes.delete(node);
+        changed.add(node);
+        return;
+      }
+
+      mutation.addedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) {
+          changed.add(node);
+        }
+      });
+    });
+
+    if (changed.size > 0) {
+      registerChanges();
+    }
+  });
+
+  pageTranslation.observer.observe(document.body, {
+    childList: true,
+    subtree: true,
+    characterData: true
+  });
+}
+
+/**
+ * Describe the translation for the bar
+ */
+function getTranslationStatus() {
+  if (pageTranslation.showingOriginal) {
+    return 'Showing the original page';
+  }
+
+  const language = pageTranslation.languageName || pageTranslation.targetLanguage;
+  const failed = pageTranslation.failedCount > 0 ? ' Some parts could not be translated.' : '';
+  return `Translated to ${language}.${failed}`;
+}
+
+/**
+ * Show the translation bar with a status message
+ */
+function updateTranslationBar(status) {
+  if (!pageTranslation.bar) {
+    createTranslationBar();
+  }
+
+  if (!pageTranslation.bar.isConnected) {
+    pageTranslation.returnFocus = document.activeElement;
+    document.documentElement.appendChild(pageTranslation.bar);
+  }
+
+  pageTranslation.barStatus.textContent = status;
+  pageTranslation.toggleButton.hidden = !pageTranslation.active;
+  pageTranslation.toggleButton.textContent = pageTranslation.showingOriginal ? 'Show translation' : 'Show original';
+}
+
+function hideTranslationBar() {
+  const host = pageTranslation.bar;
+  if (!host?.isConnected) return;
+
+  // Keep keyboard users on the page when the bar disappears under them
+  const hadFocus = host.matches(':focus-within');
+  host.remove();
+
+  if (hadFocus && pageTranslation.returnFocus?.isConnected) {
+    pageTranslation.returnFocus.focus({ preventScroll: true });
+  }
+  pageTranslation.returnFocus = null;
+}
+
+/**
+ * Create the floating page translation bar in a Shadow DOM
+ */
+function createTranslationBar() {
+  const host = document.createElement('div');
+  host.className = 'aura-overlay';
+  host.style.cssText = `all: initial; position: fixed; top: 16px; left: 50%; transform: translateX(-50%); z-index: ${OVERLAY_CONFIG.Z_INDEX};`;
+
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>${PAGE_BAR_STYLES}</style>
+    <div class="bar" role="toolbar" aria-label="AURA page translation">
+      <span class="status" role="status"></span>
+      <button type="button" data-action="toggle"></button>
+      <button type="button" data-action="close" aria-label="Close and show the original page">Close</button>
+    </div>
+  `;
+
+  root.addEventListener('click', (event) => {
+    const action = event.target.closest('button[data-action]')?.dataset.action;
+
+    if (action === 'toggle') {
+      togglePageTranslation();
+    } else if (action === 'close') {
+      stopPageTranslation();
+    }
+  });
+
+  root.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      stopPageTranslation();
+    }
+  });
+
+  pageTranslation.bar = host;
+  pageTranslation.barStatus = root.querySelector('.status');
+  pageTranslation.toggleButton = root.querySelector('[data-action="toggle"]');
+}
+
 /**
  * Clear current selection
  */
@@ -0,0 +1,158 @@
+/**
+ * AURA - AI Universal Reading Assistant - Grounded Chat
+ * Follow-up questions answered from the selected text or page, with the
+ * source sentences behind each answer
+ */
+
+const GROUNDED_CHAT_CONFIG = {
+  MAX_SOURCE_LENGTH: 6000,   // Characters of source given to the model up front; longer sources are excerpted per question
+  MAX_EXCERPT_LENGTH: 2000,  // Characters of relevant sentences sent with each question about a long source
+  MAX_QUOTES: 3,             // Source sentences quoted under an answer
+  MAX_CONVERSATIONS: 3,      // Open model sessions; the least recently used one is closed first
+  MAX_TURNS: 30              // Questions kept per conversation
+};
+
+// A trailing "Sources: 2, 5" line, as the model is asked to end its answers
+const SOURCES_LINE = /\n?[ \t]*\**Sources?\**[ \t]*:[^\n]*\s*$/i;
+
+/**
+ * Split source text into the sentences answers can cite
+ */
+function splitSourceSentences(text) {
+  return text
+    .split(/\n+/)
+    .flatMap(line => splitIntoSentences(line))
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+}
+
+/**
+ * Number sentences for the model, one per line: "[1] First sentence."
+ *
+ * indexes picks and orders the sentences to include; all by default.
+ */
+function numberSourceSentences(sentences, indexes = sentences.map((sentence, index) => index)) {
+  return indexes.map(index => `[${index + 1}] ${sentences[index]}`).join('\n');
+}
+
+/**
+ * Check whether the whole source fits in the model's instructions
+ */
+function sourceFitsPrompt(sentences) {
+  return numberSourceSentences(sentences).length <= GROUNDED_CHAT_CONFIG.MAX_SOURCE_LENGTH;
+}
+
+/**
+ * Rank sentences by how many words they share with a piece of text
+ *
+ * Returns sentence indexes, best match first. Sentences sharing no words
+ * are left out.
+ */
+function rankSentences(sentences, text) {
+  const words = new Set(getContentWords(text));
+
+  return sentences
+    .map((sentence, index) => ({
+      index,
+      score: getContentWords(sentence).filter(word => words.has(word)).length
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ index }) => index);
+}
+
+/**
+ * Pick the sentences most related to a question, as many as fit in maxLength
+ * characters, in document order
+ */
+function findRelevantSentences(sentences, question, maxLength = GROUNDED_CHAT_CONFIG.MAX_EXCERPT_LENGTH) {
+  const picked = [];
+  let length = 0;
+
+  for (const index of rankSentences(sentences, question)) {
+    if (length + sentences[index].length > maxLength) break;
+    picked.push(index);
+    length += sentences[index].length;
+  }
+
+  return picked.sort((a, b) => a - b);
+}
+
+/**
+ * Get the lower-case words of a text that carry meaning
+ *
+ * Words of three letters or fewer are mostly articles, pronouns and
+ * prepositions, so they are left out.
+ */
+function getContentWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 3);
+}
+
+/**
+ * Split an answer from the sentence numbers it cites
+ *
+ * Numbers come from the closing "Sources:" line and from inline [3]
+ * markers, which are removed from the answer text. citesNone is set when
+ * the model said no sentence supports the answer.
+ */
+function parseGroundedAnswer(output) {
+  const sourcesLine = output.match(SOURCES_LINE)?.[0] || '';
+  const numbers = (sourcesLine.match(/\d+/g) || []).map(Number);
+
+  const answer = output
+    .replace(SOURCES_LINE, '')
+    .replace(/\s*\[(\d+(?:\s*,\s*\d+)*)\]/g, (marker, cited) => {
+      numbers.push(...cited.match(/\d+/g).map(Number));
+      return '';
+    })
+    .trim();
+
+  return {
+    answer,
+    sourceNumbers: [...new Set(numbers)],
+    citesNone: numbers.length === 0 && /\bnone\b/i.test(sourcesLine)
+  };
+}
+
+/**
+ * Hide the "Sources:" line from streamed text, even while it is half written
+ */
+function stripSourcesLine(partial) {
+  const lines = partial.split('\n');
+  const last = lines[lines.length - 1].replace(/\*/g, '').trim().toLowerCase();
+
+  if (lines.length > 1 && last && ('sources:'.startsWith(last) || /^sources?\s*:/.test(last))) {
+    lines.pop();
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Quote the source sentences behind an answer
+ *
+ * Cited sentence numbers that exist are quoted. When the model cited no
+ * sentence, the sentences sharing the most words with the answer are quoted
+ * instead, and quotesInferred is set so they can be labelled as a best guess.
+ * Nothing is quoted when the model said no sentence supports the answer.
+ */
+function getAnswerQuotes(sentences, { answer, sourceNumbers, citesNone }) {
+  const { MAX_QUOTES } = GROUNDED_CHAT_CONFIG;
+
+  if (citesNone) {
+    return { quotes: [], quotesInferred: false };
+  }
+
+  const cited = sourceNumbers
+    .map(number => number - 1)
+    .filter(index => index >= 0 && index < sentences.length);
+  const quotesInferred = cited.length === 0;
+
+  const indexes = quotesInferred
+    ? rankSentences(sentences, answer).slice(0, MAX_QUOTES).sort((a, b) => a - b)
+    : cited.slice(0, MAX_QUOTES);
+
+  return {
+    quotes: indexes.map(index => ({ number: index + 1, text: sentences[index] })),
+    quotesInferred: quotesInferred && indexes.length > 0
+  };
+}
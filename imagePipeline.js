@@ -0,0 +1,313 @@
+/**
+ * AURA - AI Universal Reading Assistant - Image Pipeline
+ * Turn any page image into a model-ready Blob: download, decode, rasterize and downscale
+ */
+
+const IMAGE_PIPELINE_CONFIG = {
+  MAX_DOWNLOAD_BYTES: 25 * 1024 * 1024,  // Refuse to process anything bigger
+  MAX_ENCODED_BYTES: 4 * 1024 * 1024,    // Re-encode images bigger than this
+  MAX_DIMENSION: 1536,                   // Longest side sent to the model
+  MIN_DIMENSION: 16,                     // Smaller images are icons or tracking pixels
+  FETCH_TIMEOUT: 20000,
+  JPEG_QUALITY: 0.85,
+  MODEL_TYPES: ['image/png', 'image/jpeg', 'image/webp']
+};
+
+/**
+ * Load the image behind a content selection and prepare it for the model
+ *
+ * tabId is the tab the image came from. It is needed for blob: URLs, which
+ * only exist inside the page, and for SVG images, which need a DOM to draw.
+ * Returns { blob, width, height, originalWidth, originalHeight, resized }.
+ */
+async function acquireImage(content, { tabId, signal } = {}) {
+  const url = content?.url;
+
+  if (!url) {
+    throw new Error('No image selected. Right-click an image to describe it.');
+  }
+
+  let blob = await loadImageSource(url, { tabId, signal });
+
+  if (blob.size > IMAGE_PIPELINE_CONFIG.MAX_DOWNLOAD_BYTES) {
+    throw new Error(`This image is too large to process (${formatMegabytes(blob.size)}; the limit is ${formatMegabytes(IMAGE_PIPELINE_CONFIG.MAX_DOWNLOAD_BYTES)})`);
+  }
+
+  if (await isSvgBlob(blob)) {
+    blob = await rasterizeSvgInTab(blob, tabId, signal);
+  }
+
+  signal?.throwIfAborted();
+  return prepareImageForModel(blob);
+}
+
+/**
+ * Get the raw image bytes from a data:, blob: or http(s): URL
+ */
+async function loadImageSource(url, { tabId, signal }) {
+  const protocol = getUrlProtocol(url);
+
+  switch (protocol) {
+    case 'data:':
+      return decodeDataUrl(url);
+
+    case 'blob:':
+      return readImageInTab(url, tabId, signal);
+
+    case 'http:':
+    case 'https:':
+      try {
+        return await downloadImage(url, signal);
+      } catch (error) {
+        if (signal?.aborted || !tabId || error.final) {
+          throw error;
+        }
+
+        // Some sites only serve images to their own pages or signed-in
+        // users; the page fetches with its own cookies
+        try {
+          return await readImageInTab(url, tabId, signal);
+        } catch (pageError) {
+          if (signal?.aborted) throw pageError;
+          console.debug('Reading the image from the page failed too:', pageError);
+          throw error;
+        }
+      }
+
+    default:
+      throw new Error(`Images from ${protocol || 'this kind of'} address cannot be described`);
+  }
+}
+
+/**
+ * Download an image from the background, where host permissions lift CORS limits
+ *
+ * No cookies are sent: host permissions cover every site, so sending them
+ * would hand the user's cookies to any tracker or CDN serving an image.
+ */
+async function downloadImage(url, signal) {
+  const timeoutSignal = AbortSignal.timeout(IMAGE_PIPELINE_CONFIG.FETCH_TIMEOUT);
+  const requestSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+  let response;
+
+  try {
+    response = await fetch(url, { credentials: 'omit', signal: requestSignal });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    if (timeoutSignal.aborted) {
+      throw new Error('The image took too long to download. Please try again.');
+    }
+    throw new Error('The image could not be downloaded. Check your connection and try again.');
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`The website refused to share this image (HTTP ${response.status})`);
+  }
+  if (response.status === 404 || response.status === 410) {
+    throw finalImageError(`This image no longer exists on the website (HTTP ${response.status})`);
+  }
+  if (!response.ok) {
+    throw new Error(`The image could not be downloaded (HTTP ${response.status})`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (/^text\/html/i.test(contentType)) {
+    throw finalImageError('The address does not point to an image (the website sent a web page)');
+  }
+
+  const contentLength = Number(response.headers.get('content-length'));
+  if (contentLength > IMAGE_PIPELINE_CONFIG.MAX_DOWNLOAD_BYTES) {
+    throw finalImageError(`This image is too large to process (${formatMegabytes(contentLength)}; the limit is ${formatMegabytes(IMAGE_PIPELINE_CONFIG.MAX_DOWNLOAD_BYTES)})`);
+  }
+
+  return response.blob();
+}
+
+/**
+ * Decode a data: URL into a Blob
+ */
+async function decodeDataUrl(url) {
+  try {
+    const response = await fetch(url);
+    return await response.blob();
+  } catch (error) {
+    throw new Error('This embedded image is damaged and could not be read');
+  }
+}
+
+/**
+ * Ask the page's content script for image bytes it can reach but we cannot
+ */
+async function readImageInTab(url, tabId, signal) {
+  if (!tabId) {
+    throw new Error('This image only exists inside its page. Right-click it on the page and choose Describe Image.');
+  }
+
+  let response;
+  try {
+    response = await sendTabMessage(tabId, { type: 'READ_IMAGE_DATA', data: { url } }, signal);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw new Error('AURA cannot reach this page. Reload the page and try again.');
+  }
+
+  if (!response?.success) {
+    throw new Error(response?.error || 'The page could not read this image');
+  }
+
+  return decodeDataUrl(response.dataUrl);
+}
+
+/**
+ * Draw an SVG into a PNG using the page's DOM, which the service worker lacks
+ */
+async function rasterizeSvgInTab(blob, tabId, signal) {
+  if (!tabId) {
+    throw new Error('SVG images can only be described from the page they are on');
+  }
+
+  const svgDataUrl = await blobToDataUrl(new Blob([blob], { type: 'image/svg+xml' }));
+  let response;
+
+  try {
+    response = await sendTabMessage(tabId, {
+      type: 'RASTERIZE_SVG',
+      data: { dataUrl: svgDataUrl, maxDimension: IMAGE_PIPELINE_CONFIG.MAX_DIMENSION }
+    }, signal);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw new Error('AURA cannot reach this page to draw the SVG image. Reload the page and try again.');
+  }
+
+  if (!response?.success) {
+    throw new Error(response?.error || 'This SVG image could not be drawn');
+  }
+
+  return decodeDataUrl(response.dataUrl);
+}
+
+/**
+ * Send a message to a tab, giving up on the reply once signal aborts
+ *
+ * The page cannot be told to stop, but the job should not wait for it after
+ * it was cancelled or timed out.
+ */
+function sendTabMessage(tabId, message, signal) {
+  if (!signal) {
+    return chrome.tabs.sendMessage(tabId, message);
+  }
+
+  signal.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    chrome.tabs.sendMessage(tabId, message)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Decode, check and if needed downscale or re-encode an image
+ */
+async function prepareImageForModel(blob) {
+  let bitmap;
+
+  try {
+    bitmap = await createImageBitmap(blob);
+  } catch (error) {
+    throw new Error(`This image format could not be read${blob.type ? ` (${blob.type})` : ''}`);
+  }
+
+  const { width, height } = bitmap;
+
+  if (width < IMAGE_PIPELINE_CONFIG.MIN_DIMENSION || height < IMAGE_PIPELINE_CONFIG.MIN_DIMENSION) {
+    bitmap.close();
+    throw new Error(`This image is too small to describe (${width}×${height} pixels)`);
+  }
+
+  const scale = Math.min(1, IMAGE_PIPELINE_CONFIG.MAX_DIMENSION / Math.max(width, height));
+  const needsReencode = scale < 1 ||
+    blob.size > IMAGE_PIPELINE_CONFIG.MAX_ENCODED_BYTES ||
+    !IMAGE_PIPELINE_CONFIG.MODEL_TYPES.includes(blob.type);
+
+  if (!needsReencode) {
+    bitmap.close();
+    return { blob, width, height, originalWidth: width, originalHeight: height, resized: false };
+  }
+
+  const targetWidth = Math.max(1, Math.round(width * scale));
+  const targetHeight = Math.max(1, Math.round(height * scale));
+  const canvas = new OffscreenCanvas(targetWidth, targetHeight);
+  const context = canvas.getContext('2d');
+
+  // Flatten transparency onto white so JPEG output does not turn it black
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, targetWidth, targetHeight);
+  context.drawImage(bitmap, 0, 0, targetWidth, targetHeight);
+  bitmap.close();
+
+  // Photos compress far better as JPEG; keep PNG for graphics unless it is too big
+  let output = blob.type === 'image/jpeg'
+    ? await canvas.convertToBlob({ type: 'image/jpeg', quality: IMAGE_PIPELINE_CONFIG.JPEG_QUALITY })
+    : await canvas.convertToBlob({ type: 'image/png' });
+
+  if (output.size > IMAGE_PIPELINE_CONFIG.MAX_ENCODED_BYTES && output.type !== 'image/jpeg') {
+    output = await canvas.convertToBlob({ type: 'image/jpeg', quality: IMAGE_PIPELINE_CONFIG.JPEG_QUALITY });
+  }
+
+  return {
+    blob: output,
+    width: targetWidth,
+    height: targetHeight,
+    originalWidth: width,
+    originalHeight: height,
+    resized: true
+  };
+}
+
+/**
+ * Check whether a Blob holds SVG, even when served with a generic type
+ */
+async function isSvgBlob(blob) {
+  if (blob.type === 'image/svg+xml') {
+    return true;
+  }
+
+  if (blob.type && !/^(text\/(plain|xml)|application\/(xml|octet-stream))/.test(blob.type)) {
+    return false;
+  }
+
+  const start = (await blob.slice(0, 512).text()).trimStart();
+  return /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(start);
+}
+
+/**
+ * An image error that retrying from the page would not fix
+ */
+function finalImageError(message) {
+  const error = new Error(message);
+  error.final = true;
+  return error;
+}
+
+/**
+ * Get the protocol of a URL, or an empty string when it does not parse
+ */
+function getUrlProtocol(url) {
+  try {
+    return new URL(url).protocol;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Format a byte count in megabytes for error messages
+ */
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,488 @@
+/**
+ * AURA - AI Universal Reading Assistant - Saved Library Page
+ * Browse, search, tag and delete saved results
+ */
+
+// Library state
+let savedItems = [];
+let selectedIds = new Set();
+let filters = {
+  query: '',
+  tags: [],
+  type: '',
+  sort: 'newest'
+};
+
+// DOM elements
+let elements = {};
+
+/**
+ * Initialize the library page when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  cacheElements();
+  setupEventListeners();
+  await loadSavedItems();
+
+  // Keep the page current when results are saved from the popup meanwhile
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SAVED_LIBRARY_CONFIG.STORAGE_KEY]) {
+      loadSavedItems();
+    }
+  });
+});
+
+/**
+ * Cache DOM elements for better performance
+ */
+function cacheElements() {
+  elements = {
+    storageUsage: document.getElementById('storage-usage'),
+    searchInput: document.getElementById('search-input'),
+    typeFilter: document.getElementById('type-filter'),
+    sortSelect: document.getElementById('sort-select'),
+    tagFilters: document.getElementById('tag-filters'),
+    selectAll: document.getElementById('select-all'),
+    deleteSelectedBtn: document.getElementById('delete-selected-btn'),
+    resultCount: document.getElementById('result-count'),
+    savedList: document.getElementById('saved-list'),
+    emptyState: document.getElementById('empty-state'),
+    exportFormat: document.getElementById('export-format'),
+    exportSelectedBtn: document.getElementById('export-selected-btn'),
+    exportShownBtn: document.getElementById('export-shown-btn'),
+    exportAllBtn: document.getElementById('export-all-btn'),
+    importBtn: document.getElementById('import-btn'),
+    importInput: document.getElementById('import-input'),
+    transferStatus: document.getElementById('transfer-status'),
+    errorDisplay: document.getElementById('error-display')
+  };
+}
+
+/**
+ * Set up event listeners for all interactive elements
+ */
+function setupEventListeners() {
+  elements.searchInput.addEventListener('input', () => {
+    filters.query = elements.searchInput.value;
+    renderLibrary();
+  });
+
+  elements.typeFilter.addEventListener('change', () => {
+    filters.type = elements.typeFilter.value;
+    renderLibrary();
+  });
+
+  elements.sortSelect.addEventListener('change', () => {
+    filters.sort = elements.sortSelect.value;
+    renderLibrary();
+  });
+
+  elements.tagFilters.addEventListener('click', handleTagFilterClick);
+  elements.selectAll.addEventListener('change', handleSelectAll);
+  elements.deleteSelectedBtn.addEventListener('click', handleDeleteSelected);
+
+  // Export and import
+  elements.exportSelectedBtn.addEventListener('click', () => {
+    exportItems(savedItems.filter(item => selectedIds.has(item.id)));
+  });
+  elements.exportShownBtn.addEventListener('click', () => {
+    exportItems(querySavedItems(savedItems, filters));
+  });
+  elements.exportAllBtn.addEventListener('click', () => {
+    exportItems(querySavedItems(savedItems, { sort: filters.sort }));
+  });
+  elements.importBtn.addEventListener('click', () => elements.importInput.click());
+  elements.importInput.addEventListener('change', handleImportFile);
+
+  // Item controls are re-rendered often, so listen on the list itself
+  elements.savedList.addEventListener('change', handleItemSelect);
+  elements.savedList.addEventListener('click', handleItemClick);
+  elements.savedList.addEventListener('submit', handleAddTag);
+}
+
+/**
+ * Load saved items and storage usage from the background
+ */
+async function loadSavedItems() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SAVED_ITEMS' });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not load saved items');
+    }
+
+    savedItems = response.items.map(item => ({ ...item, tags: item.tags || [] }));
+
+    // Forget selections and tag filters that no longer exist
+    const ids = new Set(savedItems.map(item => item.id));
+    selectedIds = new Set([...selectedIds].filter(id => ids.has(id)));
+    const tags = collectSavedTags(savedItems);
+    filters.tags = filters.tags.filter(tag => tags.includes(tag));
+
+    displayStorageUsage(response.usage);
+    renderLibrary();
+    hideError();
+
+  } catch (error) {
+    console.error('Error loading saved items:', error);
+    showError(`Could not load your saved items: ${error.message}`);
+  }
+}
+
+/**
+ * Show how much storage the library uses
+ */
+function displayStorageUsage({ bytesInUse, quota }) {
+  const percent = Math.round((bytesInUse / quota) * 100);
+  const cleanupPercent = Math.round(SAVED_LIBRARY_CONFIG.HIGH_WATER_MARK * 100);
+
+  elements.storageUsage.textContent =
+    `${savedItems.length} saved · ${formatBytes(bytesInUse)} of ${formatBytes(quota)} used (${percent}%). ` +
+    `Oldest items are removed automatically above ${cleanupPercent}%.`;
+}
+
+/**
+ * Render tag filters, the filtered item list and bulk action state
+ */
+function renderLibrary() {
+  const visibleItems = querySavedItems(savedItems, filters);
+
+  renderTagFilters();
+
+  elements.savedList.innerHTML = visibleItems.map(formatSavedItem).join('');
+  elements.emptyState.classList.toggle('hidden', savedItems.length > 0);
+
+  elements.resultCount.textContent = savedItems.length === 0
+    ? ''
+    : `Showing ${visibleItems.length} of ${savedItems.length}`;
+
+  updateBulkActions(visibleItems);
+}
+
+/**
+ * Render a toggle button for every tag in the library
+ */
+function renderTagFilters() {
+  const tags = collectSavedTags(savedItems);
+
+  elements.tagFilters.classList.toggle('hidden', tags.length === 0);
+  elements.tagFilters.innerHTML = tags.map(tag => `
+    <button type="button" class="tag-filter" data-tag="${escapeHtml(tag)}" aria-pressed="${filters.tags.includes(tag)}">
+      #${escapeHtml(tag)}
+    </button>
+  `).join('');
+}
+
+/**
+ * Format one saved item for the list
+ */
+function formatSavedItem(item) {
+  const titleId = `item-title-${item.id}`;
+  const title = getSavedItemTitle(item);
+  const date = new Date(item.timestamp);
+  const sourceLink = /^https?:/.test(item.url)
+    ? `<a href="${escapeHtml(item.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(getHostname(item.url))}</a>`
+    : '';
+  const language = formatSavedItemLanguage(item);
+
+  const original = item.originalImage
+    ? `<img class="item-image" src="${escapeHtml(item.originalImage.url)}" alt="${escapeHtml(item.originalImage.alt)}">`
+    : `<div class="item-original-text">${escapeHtml(item.originalText)}</div>`;
+
+  return `
+    <li class="saved-item" data-id="${escapeHtml(item.id)}">
+      <article aria-labelledby="${escapeHtml(titleId)}">
+        <div class="item-header">
+          <input type="checkbox" class="item-select" aria-label="Select ${escapeHtml(title)}" ${selectedIds.has(item.id) ? 'checked' : ''}>
+          <span class="type-badge type-${escapeHtml(item.type)}">${escapeHtml(SAVED_ITEM_TYPE_LABELS[item.type] || item.type)}</span>
+          <h3 id="${escapeHtml(titleId)}" class="item-title">${escapeHtml(title)}</h3>
+          <time datetime="${date.toISOString()}">${escapeHtml(date.toLocaleString())}</time>
+        </div>
+
+        <div class="item-result">${escapeHtml(item.processedText)}</div>
+
+        <details class="item-original">
+          <summary>Original ${item.originalImage ? 'image' : 'text'}</summary>
+          ${original}
+        </details>
+
+        <p class="item-meta">
+          ${[sourceLink, language ? escapeHtml(language) : '', item.autoSaved ? 'Auto-saved' : ''].filter(Boolean).join(' · ')}
+        </p>
+
+        <div class="item-tags">
+          <ul class="tag-list" aria-label="Tags">
+            ${item.tags.map(tag => `
+              <li class="tag">
+                #${escapeHtml(tag)}
+                <button type="button" class="remove-tag" data-tag="${escapeHtml(tag)}" aria-label="Remove tag ${escapeHtml(tag)}">×</button>
+              </li>
+            `).join('')}
+          </ul>
+          <form class="tag-form">
+            <label class="sr-only" for="tag-input-${escapeHtml(item.id)}">Add a tag</label>
+            <input id="tag-input-${escapeHtml(item.id)}" class="tag-input" type="text" placeholder="Add tag" maxlength="${SAVED_LIBRARY_CONFIG.MAX_TAG_LENGTH}">
+            <button type="submit" class="add-tag-btn">Add</button>
+          </form>
+        </div>
+
+        <div class="item-actions">
+          <button type="button" class="export-item-btn" aria-label="Export ${escapeHtml(title)}">Export</button>
+          <button type="button" class="delete-item-btn" aria-label="Delete ${escapeHtml(title)}">Delete</button>
+        </div>
+      </article>
+    </li>
+  `;
+}
+
+/**
+ * Sync the select-all checkbox and delete button with the selection
+ */
+function updateBulkActions(visibleItems = querySavedItems(savedItems, filters)) {
+  const visibleSelected = visibleItems.filter(item => selectedIds.has(item.id)).length;
+
+  elements.selectAll.disabled = visibleItems.length === 0;
+  elements.selectAll.checked = visibleItems.length > 0 && visibleSelected === visibleItems.length;
+  elements.selectAll.indeterminate = visibleSelected > 0 && visibleSelected < visibleItems.length;
+
+  elements.deleteSelectedBtn.disabled = selectedIds.size === 0;
+  elements.exportSelectedBtn.disabled = selectedIds.size === 0;
+  elements.exportShownBtn.disabled = visibleItems.length === 0;
+  elements.exportAllBtn.disabled = savedItems.length === 0;
+  elements.deleteSelectedBtn.textContent = selectedIds.size > 0
+    ? `Delete selected (${selectedIds.size})`
+    : 'Delete selected';
+}
+
+/**
+ * Toggle a tag filter
+ */
+function handleTagFilterClick(event) {
+  const button = event.target.closest('.tag-filter');
+  if (!button) return;
+
+  const tag = button.dataset.tag;
+  filters.tags = filters.tags.includes(tag)
+    ? filters.tags.filter(existing => existing !== tag)
+    : [...filters.tags, tag];
+
+  renderLibrary();
+  elements.tagFilters.querySelector(`[data-tag="${CSS.escape(tag)}"]`)?.focus();
+}
+
+/**
+ * Select or deselect every item currently shown
+ */
+function handleSelectAll() {
+  const visibleItems = querySavedItems(savedItems, filters);
+
+  visibleItems.forEach(item => {
+    if (elements.selectAll.checked) {
+      selectedIds.add(item.id);
+    } else {
+      selectedIds.delete(item.id);
+    }
+  });
+
+  elements.savedList.querySelectorAll('.item-select').forEach(checkbox => {
+    checkbox.checked = elements.selectAll.checked;
+  });
+
+  updateBulkActions(visibleItems);
+}
+
+/**
+ * Track a single item's checkbox
+ */
+function handleItemSelect(event) {
+  if (!event.target.classList.contains('item-select')) return;
+
+  const id = event.target.closest('.saved-item').dataset.id;
+
+  if (event.target.checked) {
+    selectedIds.add(id);
+  } else {
+    selectedIds.delete(id);
+  }
+
+  updateBulkActions();
+}
+
+/**
+ * Handle per-item delete and remove-tag buttons
+ */
+async function handleItemClick(event) {
+  const listItem = event.target.closest('.saved-item');
+  if (!listItem) return;
+
+  const item = savedItems.find(saved => saved.id === listItem.dataset.id);
+  if (!item) return;
+
+  if (event.target.closest('.export-item-btn')) {
+    exportItems([item]);
+    return;
+  }
+
+  if (event.target.closest('.delete-item-btn')) {
+    if (confirm('Delete this saved item? This cannot be undone.')) {
+      await deleteItems([item.id]);
+    }
+    return;
+  }
+
+  const removeButton = event.target.closest('.remove-tag');
+  if (removeButton) {
+    await saveTags(item, item.tags.filter(tag => tag !== removeButton.dataset.tag));
+  }
+}
+
+/**
+ * Add a tag from an item's tag form
+ */
+async function handleAddTag(event) {
+  event.preventDefault();
+
+  const listItem = event.target.closest('.saved-item');
+  const item = savedItems.find(saved => saved.id === listItem?.dataset.id);
+  const input = event.target.querySelector('.tag-input');
+  const newTags = normalizeTags(input.value.split(','));
+
+  if (!item || newTags.length === 0) return;
+
+  await saveTags(item, [...item.tags, ...newTags]);
+  document.getElementById(`tag-input-${item.id}`)?.focus();
+}
+
+/**
+ * Delete every selected item after confirmation
+ */
+async function handleDeleteSelected() {
+  const count = selectedIds.size;
+  if (count === 0) return;
+
+  if (!confirm(`Delete ${count} saved ${count === 1 ? 'item' : 'items'}? This cannot be undone.`)) {
+    return;
+  }
+
+  await deleteItems([...selectedIds]);
+}
+
+/**
+ * Download items in the chosen export format
+ */
+function exportItems(items) {
+  if (items.length === 0) return;
+
+  try {
+    const { filename, blob } = createLibraryExport(items, elements.exportFormat.value);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    elements.transferStatus.textContent = `Exported ${items.length} ${items.length === 1 ? 'item' : 'items'} to ${filename}`;
+
+  } catch (error) {
+    console.error('Error exporting saved items:', error);
+    showError(`Could not export: ${error.message}`);
+  }
+}
+
+/**
+ * Import a JSON export chosen by the user
+ */
+async function handleImportFile() {
+  const file = elements.importInput.files[0];
+  if (!file) return;
+
+  try {
+    const items = parseLibraryExport(await file.text());
+    const response = await chrome.runtime.sendMessage({ type: 'IMPORT_SAVED_ITEMS', data: { items } });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Import failed');
+    }
+
+    elements.transferStatus.textContent = formatImportReport(response.report);
+    await loadSavedItems();
+
+  } catch (error) {
+    console.error('Error importing saved items:', error);
+    showError(`Could not import ${file.name}: ${error.message}`);
+  } finally {
+    // Allow importing the same file again
+    elements.importInput.value = '';
+  }
+}
+
+/**
+ * Delete items through the background and refresh the list
+ */
+async function deleteItems(ids) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'DELETE_SAVED_ITEMS', data: { ids } });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Delete failed');
+    }
+
+    ids.forEach(id => selectedIds.delete(id));
+    elements.resultCount.textContent = `Deleted ${response.deleted} ${response.deleted === 1 ? 'item' : 'items'}`;
+    await loadSavedItems();
+    elements.searchInput.focus();
+
+  } catch (error) {
+    console.error('Error deleting saved items:', error);
+    showError(`Could not delete: ${error.message}`);
+  }
+}
+
+/**
+ * Store a new tag list for an item
+ */
+async function saveTags(item, tags) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_SAVED_ITEM',
+      data: { id: item.id, changes: { tags } }
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Update failed');
+    }
+
+    item.tags = response.item.tags;
+    renderLibrary();
+
+  } catch (error) {
+    console.error('Error updating tags:', error);
+    showError(`Could not update tags: ${error.message}`);
+  }
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+  elements.errorDisplay.textContent = message;
+  elements.errorDisplay.classList.remove('hidden');
+}
+
+/**
+ * Hide error message
+ */
+function hideError() {
+  elements.errorDisplay.classList.add('hidden');
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,252 @@
+/**
+ * AURA - AI Universal Reading Assistant - Library Export
+ * Turn saved items into Markdown, JSON and offline HTML files, and read JSON exports back
+ */
+
+const LIBRARY_EXPORT_FORMAT = {
+  NAME: 'aura-saved-library',
+  VERSION: 1
+};
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown', render: exportToMarkdown },
+  json: { extension: 'json', mimeType: 'application/json', render: exportToJSON },
+  html: { extension: 'html', mimeType: 'text/html', render: exportToHTML }
+};
+
+/**
+ * Build an export file for saved items
+ *
+ * Returns { filename, blob } ready to download.
+ */
+function createLibraryExport(items, format) {
+  const exporter = EXPORT_FORMATS[format];
+
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const date = new Date().toISOString().substring(0, 10);
+  const suffix = items.length === 1 ? 'item' : `${items.length}-items`;
+
+  return {
+    filename: `aura-library-${date}-${suffix}.${exporter.extension}`,
+    blob: new Blob([exporter.render(items)], { type: `${exporter.mimeType};charset=utf-8` })
+  };
+}
+
+/**
+ * Lossless JSON export that can be imported again
+ */
+function exportToJSON(items) {
+  return JSON.stringify({
+    format: LIBRARY_EXPORT_FORMAT.NAME,
+    version: LIBRARY_EXPORT_FORMAT.VERSION,
+    exportedAt: new Date().toISOString(),
+    items
+  }, null, 2);
+}
+
+/**
+ * Markdown export with source links, for notes apps and documents
+ */
+function exportToMarkdown(items) {
+  const sections = items.map(item => {
+    const lines = [`## ${getSavedItemTitle(item)}`, ''];
+    const meta = [
+      SAVED_ITEM_TYPE_LABELS[item.type] || item.type,
+      new Date(item.timestamp).toLocaleString(),
+      formatSavedItemLanguage(item)
+    ].filter(Boolean);
+
+    lines.push(`*${meta.join(' · ')}*`, '');
+
+    if (item.url) {
+      lines.push(`Source: [${escapeMarkdownText(item.title || getHostname(item.url))}](<${item.url}>)`, '');
+    }
+    if (item.tags?.length) {
+      lines.push(`Tags: ${item.tags.map(tag => `#${tag}`).join(' ')}`, '');
+    }
+
+    lines.push(item.processedText.trim(), '');
+
+    if (item.originalImage) {
+      lines.push(`![${escapeMarkdownText(item.originalImage.alt)}](<${item.originalImage.url}>)`, '');
+    } else if (item.originalText) {
+      lines.push('**Original text**', '', quoteMarkdown(item.originalText), '');
+    }
+
+    return lines.join('\n');
+  });
+
+  return [
+    '# AURA Saved Library',
+    '',
+    `Exported ${new Date().toLocaleString()} · ${items.length} ${items.length === 1 ? 'item' : 'items'}`,
+    '',
+    sections.join('\n---\n\n')
+  ].join('\n');
+}
+
+/**
+ * Single-file HTML reader that works offline, with styles inlined
+ */
+function exportToHTML(items) {
+  const articles = items.map((item, index) => {
+    const meta = [
+      SAVED_ITEM_TYPE_LABELS[item.type] || item.type,
+      new Date(item.timestamp).toLocaleString(),
+      formatSavedItemLanguage(item)
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    const source = /^https?:/.test(item.url)
+      ? `<p class="source">Source: <a href="${escapeHtml(item.url)}">${escapeHtml(item.title || getHostname(item.url))}</a></p>`
+      : '';
+
+    const tags = item.tags?.length
+      ? `<p class="tags">${item.tags.map(tag => `<span>#${escapeHtml(tag)}</span>`).join(' ')}</p>`
+      : '';
+
+    const original = item.originalImage
+      ? `<figure><img src="${escapeHtml(item.originalImage.url)}" alt="${escapeHtml(item.originalImage.alt)}"><figcaption>Original image${item.originalImage.alt ? `: ${escapeHtml(item.originalImage.alt)}` : ''}</figcaption></figure>`
+      : item.originalText
+        ? `<details><summary>Original text</summary><div class="original">${escapeHtml(item.originalText)}</div></details>`
+        : '';
+
+    return `
+    <article id="item-${index + 1}">
+      <h2>${escapeHtml(getSavedItemTitle(item))}</h2>
+      <p class="meta">${meta}</p>
+      ${source}
+      ${tags}
+      <div class="result">${escapeHtml(item.processedText)}</div>
+      ${original}
+    </article>`;
+  });
+
+  const contents = items.map((item, index) =>
+    `<li><a href="#item-${index + 1}">${escapeHtml(getSavedItemTitle(item))}</a></li>`
+  ).join('\n        ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>AURA Saved Library</title>
+  <style>
+    body { max-width: 760px; margin: 0 auto; padding: 24px; font: 16px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; }
+    header { border-bottom: 4px solid #667eea; margin-bottom: 24px; }
+    h1 { font-size: 24px; margin: 0 0 4px; }
+    h2 { font-size: 19px; margin: 0 0 4px; }
+    article { padding: 16px 0 24px; border-bottom: 1px solid #e9ecef; }
+    .meta, .source, .tags, figcaption { font-size: 13px; color: #666; margin: 4px 0; }
+    .result, .original { white-space: pre-line; }
+    .original { background: #f8f9fa; padding: 8px 12px; border-radius: 4px; }
+    .tags span { background: #f1f3f5; border-radius: 10px; padding: 1px 8px; }
+    img { max-width: 100%; }
+    a { color: #4c5bd4; }
+    nav ol { padding-left: 20px; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>AURA Saved Library</h1>
+    <p class="meta">Exported ${escapeHtml(new Date().toLocaleString())} · ${items.length} ${items.length === 1 ? 'item' : 'items'}</p>
+  </header>
+  <main>
+    <nav aria-label="Contents">
+      <ol>
+        ${contents}
+      </ol>
+    </nav>
+    ${articles.join('\n')}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Read the items out of a JSON export file
+ *
+ * Accepts a full export, a bare array of items, or a savedContent map keyed
+ * by ID. Item-level validation happens on import in the background.
+ */
+function parseLibraryExport(text) {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not valid JSON. Only AURA JSON exports can be imported.');
+  }
+
+  if (Array.isArray(data)) {
+    return data;
+  }
+
+  if (data?.format === LIBRARY_EXPORT_FORMAT.NAME) {
+    if (data.version > LIBRARY_EXPORT_FORMAT.VERSION) {
+      throw new Error('This export was made by a newer version of AURA. Please update the extension first.');
+    }
+    if (!Array.isArray(data.items)) {
+      throw new Error('This export file has no items list');
+    }
+    return data.items;
+  }
+
+  if (data && typeof data === 'object') {
+    return Object.values(data.savedContent || data);
+  }
+
+  throw new Error('This file does not look like an AURA library export');
+}
+
+/**
+ * Describe an import report in a sentence or two
+ */
+function formatImportReport({ added, duplicates, conflicts, invalid }) {
+  const parts = [`Imported ${added.length} ${added.length === 1 ? 'item' : 'items'}.`];
+
+  if (duplicates.length > 0) {
+    parts.push(`${duplicates.length} already saved (tags merged).`);
+  }
+  if (conflicts.length > 0) {
+    const titles = conflicts.map(conflict => `"${conflict.title || conflict.id}"`).join(', ');
+    parts.push(`${conflicts.length} reused the ID of a different saved item and ${conflicts.length === 1 ? 'was' : 'were'} imported as a copy: ${titles}.`);
+  }
+  if (invalid.length > 0) {
+    const details = invalid.map(entry => `#${entry.index + 1} (${entry.errors.join(', ')})`).join('; ');
+    parts.push(`${invalid.length} skipped as invalid: ${details}.`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Quote every line of text as a Markdown blockquote
+ */
+function quoteMarkdown(text) {
+  return text.trim().split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Escape characters that would break Markdown link text
+ */
+function escapeMarkdownText(text) {
+  return String(text || '').replace(/[[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escape HTML to prevent XSS, including quotes since values go into attributes
+ */
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
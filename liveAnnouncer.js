@@ -0,0 +1,59 @@
+/**
+ * AURA - AI Universal Reading Assistant - Live Announcer
+ * Throttled screen reader announcements for text that grows while it streams
+ */
+
+const LIVE_ANNOUNCER_INTERVAL = 2500; // Milliseconds between announcements
+
+/**
+ * Create an announcer that reads newly completed sentences into a live region
+ *
+ * update() may be called for every streamed token; the region only changes
+ * once per interval, so screen readers are not flooded with partial words.
+ */
+function createLiveAnnouncer(region, interval = LIVE_ANNOUNCER_INTERVAL) {
+  let announcedLength = 0;
+  let pendingText = '';
+  let timer = null;
+
+  function flush() {
+    timer = null;
+
+    // Announce up to the last finished sentence or line
+    const freshText = pendingText.substring(announcedLength);
+    const complete = freshText.match(/^[\s\S]*[.!?\n](?=\s|$)/);
+    if (!complete) return;
+
+    announcedLength += complete[0].length;
+    region.textContent = complete[0].trim();
+  }
+
+  function clear() {
+    clearTimeout(timer);
+    timer = null;
+    announcedLength = 0;
+    pendingText = '';
+  }
+
+  return {
+    update(text) {
+      pendingText = text;
+
+      if (!timer) {
+        timer = setTimeout(flush, interval);
+      }
+    },
+
+    finish(message) {
+      // Read whatever was not announced yet, then the closing message
+      const remainingText = pendingText.substring(announcedLength).trim();
+      clear();
+      region.textContent = [remainingText, message].filter(Boolean).join(' ');
+    },
+
+    reset() {
+      clear();
+      region.textContent = '';
+    }
+  };
+}
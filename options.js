@@ -0,0 +1,394 @@
+/**
+ * AURA - AI Universal Reading Assistant - Options Page
+ * Edit userSettings with validation against the settings schema
+ */
+
+// Settings as last loaded or saved
+let currentSettings = null;
+
+// Sites with automatic alt text, as edited in the form
+let autoAltTextSites = [];
+
+// Reads the voice preview
+let previewSpeech = null;
+
+// DOM elements
+let elements = {};
+
+/**
+ * Initialize the options page when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  cacheElements();
+  populateLanguages();
+  populateSimplificationLevels();
+  populateVoices();
+  setupEventListeners();
+  await loadSettings();
+});
+
+/**
+ * Cache DOM elements for better performance
+ */
+function cacheElements() {
+  elements = {
+    form: document.getElementById('settings-form'),
+    preferredLanguage: document.getElementById('preferred-language'),
+    simplificationLevel: document.getElementById('simplification-level'),
+    ttsVoice: document.getElementById('tts-voice'),
+    ttsRate: document.getElementById('tts-rate'),
+    ttsRateValue: document.getElementById('tts-rate-value'),
+    ttsPitch: document.getElementById('tts-pitch'),
+    ttsPitchValue: document.getElementById('tts-pitch-value'),
+    previewVoiceBtn: document.getElementById('preview-voice-btn'),
+    clearCacheBtn: document.getElementById('clear-cache-btn'),
+    autoSave: document.getElementById('auto-save'),
+    defineOnDoubleClick: document.getElementById('define-on-double-click'),
+    firstRun: document.getElementById('first-run'),
+    autoAltTextSites: document.getElementById('auto-alt-text-sites'),
+    localEndpointFields: document.getElementById('local-endpoint-fields'),
+    endpointUrl: document.getElementById('endpoint-url'),
+    endpointModel: document.getElementById('endpoint-model'),
+    endpointTimeout: document.getElementById('endpoint-timeout'),
+    jobTimeout: document.getElementById('job-timeout'),
+    resetBtn: document.getElementById('reset-settings-btn'),
+    status: document.getElementById('settings-status')
+  };
+}
+
+/**
+ * Set up event listeners for all interactive elements
+ */
+function setupEventListeners() {
+  elements.form.addEventListener('submit', handleSave);
+  elements.resetBtn.addEventListener('click', handleReset);
+  elements.autoAltTextSites.addEventListener('click', handleRemoveSite);
+  elements.previewVoiceBtn.addEventListener('click', handlePreviewVoice);
+  elements.clearCacheBtn.addEventListener('click', handleClearCache);
+
+  elements.form.addEventListener('input', (event) => {
+    if (event.target === elements.ttsRate || event.target === elements.ttsPitch) {
+      updateSpeechOutputs();
+    }
+  });
+
+  elements.form.addEventListener('change', (event) => {
+    if (event.target.name === 'aiProvider') {
+      updateLocalEndpointVisibility();
+    }
+    elements.status.textContent = '';
+  });
+
+  // Voices load asynchronously in Chrome
+  if ('speechSynthesis' in window) {
+    speechSynthesis.addEventListener('voiceschanged', () => {
+      populateVoices();
+      if (currentSettings) {
+        selectVoice(currentSettings.ttsVoice);
+      }
+    });
+  }
+}
+
+/**
+ * Fill the preferred language list, sorted by display name
+ */
+function populateLanguages() {
+  const languages = LANGUAGE_CODES
+    .map(code => ({ code, name: getLanguageName(code) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  elements.preferredLanguage.replaceChildren(...languages.map(({ code, name }) => new Option(`${name} (${code})`, code)));
+}
+
+/**
+ * Fill the simplification level list
+ */
+function populateSimplificationLevels() {
+  elements.simplificationLevel.replaceChildren(...Object.entries(SIMPLIFICATION_LEVELS)
+    .map(([level, label]) => new Option(label, level)));
+}
+
+/**
+ * Fill the voice list with the voices installed on this device
+ */
+function populateVoices() {
+  const voices = 'speechSynthesis' in window ? speechSynthesis.getVoices() : [];
+  const options = [new Option('Default voice for the text language', 'default')];
+
+  voices.forEach(voice => {
+    options.push(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI));
+  });
+
+  elements.ttsVoice.replaceChildren(...options);
+}
+
+/**
+ * Select a voice, keeping voices that are not installed right now
+ */
+function selectVoice(voiceURI) {
+  const exists = [...elements.ttsVoice.options].some(option => option.value === voiceURI);
+
+  if (!exists) {
+    elements.ttsVoice.add(new Option(`${voiceURI} (not available on this device)`, voiceURI));
+  }
+
+  elements.ttsVoice.value = voiceURI;
+}
+
+/**
+ * Load settings from the background and show them in the form
+ */
+async function loadSettings() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not load settings');
+    }
+
+    currentSettings = response.settings;
+    fillForm(currentSettings);
+
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    elements.status.textContent = `Could not load settings: ${error.message}`;
+  }
+}
+
+/**
+ * Show settings in the form controls
+ */
+function fillForm(settings) {
+  const form = elements.form;
+
+  elements.preferredLanguage.value = settings.preferredLanguage;
+  selectVoice(settings.ttsVoice);
+  form.elements.summaryLength.value = settings.summaryLength;
+  elements.simplificationLevel.value = settings.simplificationLevel;
+  elements.ttsRate.value = settings.ttsRate;
+  elements.ttsPitch.value = settings.ttsPitch;
+  updateSpeechOutputs();
+  elements.autoSave.checked = settings.autoSave;
+  elements.defineOnDoubleClick.checked = settings.defineOnDoubleClick;
+  elements.firstRun.checked = settings.firstRun;
+  form.elements.aiProvider.value = settings.aiProvider;
+
+  elements.endpointUrl.value = settings.localEndpoint.baseUrl;
+  elements.endpointModel.value = settings.localEndpoint.model;
+  elements.endpointTimeout.value = Math.round(settings.localEndpoint.timeout / 1000);
+  elements.jobTimeout.value = Math.round(settings.jobTimeout / 1000);
+
+  autoAltTextSites = [...settings.autoAltTextSites];
+  renderSiteList();
+
+  updateLocalEndpointVisibility();
+  showFieldErrors({});
+}
+
+/**
+ * Read settings from the form controls
+ */
+function readForm() {
+  const form = elements.form;
+
+  return {
+    preferredLanguage: elements.preferredLanguage.value,
+    ttsVoice: elements.ttsVoice.value,
+    ttsRate: Number(elements.ttsRate.value),
+    ttsPitch: Number(elements.ttsPitch.value),
+    summaryLength: form.elements.summaryLength.value,
+    simplificationLevel: elements.simplificationLevel.value,
+    autoSave: elements.autoSave.checked,
+    defineOnDoubleClick: elements.defineOnDoubleClick.checked,
+    firstRun: elements.firstRun.checked,
+    aiProvider: form.elements.aiProvider.value,
+    autoAltTextSites: [...autoAltTextSites],
+    jobTimeout: Number(elements.jobTimeout.value) * 1000,
+    localEndpoint: {
+      baseUrl: elements.endpointUrl.value.trim(),
+      model: elements.endpointModel.value.trim(),
+      timeout: Number(elements.endpointTimeout.value) * 1000
+    }
+  };
+}
+
+/**
+ * Show the sites with automatic alt text, each with a remove button
+ */
+function renderSiteList() {
+  if (autoAltTextSites.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'No sites yet.';
+    elements.autoAltTextSites.replaceChildren(empty);
+    return;
+  }
+
+  elements.autoAltTextSites.replaceChildren(...autoAltTextSites.map(site => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    const remove = document.createElement('button');
+
+    name.textContent = site;
+    remove.type = 'button';
+    remove.className = 'remove-site-btn';
+    remove.dataset.site = site;
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Remove ${site}`);
+
+    item.append(name, remove);
+    return item;
+  }));
+}
+
+/**
+ * Take a site off the automatic alt text list until the form is saved
+ */
+function handleRemoveSite(event) {
+  const button = event.target.closest('.remove-site-btn');
+  if (!button) return;
+
+  const index = autoAltTextSites.indexOf(button.dataset.site);
+  autoAltTextSites = autoAltTextSites.filter(site => site !== button.dataset.site);
+  renderSiteList();
+
+  // Keep focus in the list instead of losing it with the removed button
+  const buttons = elements.autoAltTextSites.querySelectorAll('.remove-site-btn');
+  (buttons[Math.min(index, buttons.length - 1)] || document.getElementById('save-settings-btn')).focus();
+  elements.status.textContent = `${button.dataset.site} removed. Press Save settings to keep this change.`;
+}
+
+/**
+ * Show the speed and pitch next to their sliders
+ */
+function updateSpeechOutputs() {
+  elements.ttsRateValue.textContent = `${Number(elements.ttsRate.value).toFixed(1)}×`;
+  elements.ttsPitchValue.textContent = `${Number(elements.ttsPitch.value).toFixed(1)}×`;
+}
+
+/**
+ * Read a sample sentence with the voice, speed and pitch in the form
+ */
+async function handlePreviewVoice() {
+  if (!('speechSynthesis' in window)) {
+    elements.status.textContent = 'Speech is not available in this browser.';
+    return;
+  }
+
+  if (!previewSpeech) {
+    previewSpeech = createSpeechEngine({
+      onStateChange: state => {
+        elements.previewVoiceBtn.textContent = state === 'idle' ? 'Try this voice' : 'Stop';
+      },
+      onEnd: ({ error }) => {
+        if (error) elements.status.textContent = error;
+      }
+    });
+  }
+
+  if (previewSpeech.state !== 'idle') {
+    previewSpeech.stop();
+    return;
+  }
+
+  const { ttsVoice, ttsRate, ttsPitch } = readForm();
+  const voice = speechSynthesis.getVoices().find(item => item.voiceURI === ttsVoice);
+
+  await previewSpeech.speak('This is how AURA will read your results aloud.', {
+    language: voice?.lang || 'en',
+    voiceURI: ttsVoice,
+    rate: ttsRate,
+    pitch: ttsPitch
+  });
+}
+
+/**
+ * Forget every cached result so the next actions generate fresh ones
+ */
+async function handleClearCache() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CLEAR_RESULT_CACHE' });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not clear cached results');
+    }
+
+    elements.status.textContent = 'Cached results cleared.';
+
+  } catch (error) {
+    console.error('Error clearing cached results:', error);
+    elements.status.textContent = `Could not clear cached results: ${error.message}`;
+  }
+}
+
+/**
+ * Only show the local server fields when that provider is chosen
+ */
+function updateLocalEndpointVisibility() {
+  const isLocal = elements.form.elements.aiProvider.value === AI_PROVIDERS.LOCAL_HTTP;
+  elements.localEndpointFields.classList.toggle('hidden', !isLocal);
+}
+
+/**
+ * Show validation errors next to their controls
+ */
+function showFieldErrors(errors) {
+  elements.form.querySelectorAll('[data-error-for]').forEach(message => {
+    const key = message.dataset.errorFor;
+    message.textContent = errors[key] || '';
+
+    const group = message.closest('.field');
+    group.querySelectorAll('input, select').forEach(control => {
+      if (errors[key]) {
+        control.setAttribute('aria-invalid', 'true');
+      } else {
+        control.removeAttribute('aria-invalid');
+      }
+    });
+  });
+
+  // Move focus to the first invalid control
+  elements.form.querySelector('[aria-invalid="true"]')?.focus();
+}
+
+/**
+ * Validate and save the form
+ */
+async function handleSave(event) {
+  event.preventDefault();
+
+  const settings = { ...currentSettings, ...readForm() };
+  const { errors } = validateSettings(settings);
+
+  if (Object.keys(errors).length > 0) {
+    showFieldErrors(errors);
+    elements.status.textContent = 'Please fix the highlighted settings.';
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', data: { settings } });
+
+    if (!response || !response.success) {
+      showFieldErrors(response?.errors || {});
+      throw new Error(response?.error || 'Could not save settings');
+    }
+
+    currentSettings = response.settings;
+    showFieldErrors({});
+    elements.status.textContent = 'Settings saved.';
+
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    elements.status.textContent = `Could not save settings: ${error.message}`;
+  }
+}
+
+/**
+ * Put the defaults back into the form without saving yet
+ */
+function handleReset() {
+  fillForm({ ...DEFAULT_SETTINGS, firstRun: false });
+  elements.status.textContent = 'Defaults restored. Press Save settings to keep them.';
+}
@@ -0,0 +1,307 @@
+/**
+ * AURA - AI Universal Reading Assistant - Output Validation
+ * Parse model output into typed structures, check it against the promised
+ * format, and re-prompt, repair or fall back when it does not fit
+ */
+
+const OUTPUT_VALIDATION_CONFIG = {
+  SUMMARY_BULLETS: 3,
+  MAX_BULLET_WORDS: 20,
+  MAX_ALT_LENGTH: 120,
+  MAX_DEFINITION_WORDS: 30,
+  MAX_SYNONYM_WORDS: 3
+};
+
+// How a validated result was obtained, from best to worst
+const VALIDATION_PATHS = {
+  VALID: 'valid',           // The model's first answer fit the format
+  REPROMPTED: 'reprompted', // The model fixed its answer when told what was wrong
+  REPAIRED: 'repaired',     // AURA trimmed or split the answer to fit
+  FALLBACK: 'fallback'      // Nothing fit; the answer is shown as written
+};
+
+const BULLET_MARKER = /^\s*(?:[-*•+]|\d+[.)])\s+/;
+
+/**
+ * Summaries: exactly three bullets of at most twenty words each
+ */
+const SUMMARY_FORMAT = {
+  parse: parseSummaryBullets,
+  check: checkSummaryBullets,
+  repair: repairSummaryBullets,
+  fallback: () => null
+};
+
+/**
+ * Image descriptions: short alt text plus a longer description
+ */
+const DESCRIPTION_FORMAT = {
+  parse: parseImageDescription,
+  check: checkImageDescription,
+  repair: repairImageDescription,
+  fallback: output => {
+    const text = output.replace(/\s+/g, ' ').trim();
+    return text
+      ? { altText: repairImageDescription({ altText: '', longDescription: text }).altText, longDescription: text }
+      : null;
+  }
+};
+
+/**
+ * Word definitions: one short definition plus an optional simpler word
+ */
+const DEFINITION_FORMAT = {
+  parse: parseDefinition,
+  check: checkDefinition,
+  repair: repairDefinition,
+  fallback: output => {
+    const text = output.replace(/\s+/g, ' ').trim();
+    return text ? { definition: text, synonym: '' } : null;
+  }
+};
+
+/**
+ * Make model output fit a format
+ *
+ * The output is parsed and checked. When it breaks the format, reprompt is
+ * called once with the list of problems and should resolve to a new answer;
+ * a failed re-prompt is not fatal. If that does not fix it, the first answer
+ * is repaired, then the re-prompted one; when neither can be, the format's
+ * fallback value is used.
+ *
+ * Returns { value, path, problems }, where problems describes what was wrong
+ * with the first answer.
+ */
+async function enforceOutputFormat(format, output, reprompt) {
+  const value = format.parse(output);
+  const problems = format.check(value);
+
+  if (problems.length === 0) {
+    return { value, path: VALIDATION_PATHS.VALID, problems };
+  }
+
+  // Answers to repair, the first one first
+  const candidates = [value];
+
+  if (reprompt) {
+    try {
+      const retried = format.parse(await reprompt(problems));
+
+      if (format.check(retried).length === 0) {
+        return { value: retried, path: VALIDATION_PATHS.REPROMPTED, problems };
+      }
+      candidates.push(retried);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      console.warn('Re-prompting for a well-formed answer failed:', error);
+    }
+  }
+
+  for (const candidate of candidates) {
+    const repaired = format.repair(candidate);
+    if (format.check(repaired).length === 0) {
+      return { value: repaired, path: VALIDATION_PATHS.REPAIRED, problems };
+    }
+  }
+
+  return { value: format.fallback(output), path: VALIDATION_PATHS.FALLBACK, problems };
+}
+
+/**
+ * Split a summary into its bullet points
+ *
+ * Lines with a list marker are the bullets and anything else, such as an
+ * introduction, is dropped. Without markers every line is a bullet, and a
+ * single paragraph is split into sentences.
+ */
+function parseSummaryBullets(output) {
+  const lines = output
+    .split('\n')
+    .map(line => line.replace(/\*\*|__/g, '').trim())
+    .filter(Boolean);
+
+  const marked = lines.filter(line => BULLET_MARKER.test(line));
+  if (marked.length > 0) {
+    return marked.map(line => line.replace(BULLET_MARKER, '').trim()).filter(Boolean);
+  }
+
+  return lines.length === 1 ? splitIntoSentences(lines[0]) : lines;
+}
+
+/**
+ * List the ways a set of bullets breaks the summary format
+ */
+function checkSummaryBullets(bullets) {
+  const { SUMMARY_BULLETS, MAX_BULLET_WORDS } = OUTPUT_VALIDATION_CONFIG;
+  const problems = [];
+
+  if (bullets.length !== SUMMARY_BULLETS) {
+    problems.push(`There ${bullets.length === 1 ? 'is 1 bullet point' : `are ${bullets.length} bullet points`} instead of ${SUMMARY_BULLETS}.`);
+  }
+
+  bullets.forEach((bullet, index) => {
+    const words = countWords(bullet);
+    if (words > MAX_BULLET_WORDS) {
+      problems.push(`Bullet point ${index + 1} has ${words} words; the limit is ${MAX_BULLET_WORDS}.`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Bring bullets into the summary format without asking the model again
+ *
+ * Too few bullets are made up by splitting multi-sentence bullets, extra
+ * bullets are dropped, and long bullets are cut at the word limit.
+ */
+function repairSummaryBullets(bullets) {
+  const { SUMMARY_BULLETS, MAX_BULLET_WORDS } = OUTPUT_VALIDATION_CONFIG;
+  let repaired = [...bullets];
+
+  while (repaired.length < SUMMARY_BULLETS) {
+    const index = repaired.findIndex(bullet => splitIntoSentences(bullet).length > 1);
+    if (index === -1) break;
+
+    const [first, ...rest] = splitIntoSentences(repaired[index]);
+    repaired.splice(index, 1, first, rest.join(' '));
+  }
+
+  return repaired
+    .slice(0, SUMMARY_BULLETS)
+    .map(bullet => limitWords(bullet, MAX_BULLET_WORDS));
+}
+
+/**
+ * Read alt text and a long description out of a description
+ *
+ * Descriptions are requested as JSON, possibly wrapped in a code fence.
+ * Plain text is split into its first sentence and the rest.
+ */
+function parseImageDescription(output) {
+  const json = output.match(/\{[\s\S]*\}/);
+
+  if (json) {
+    try {
+      const parsed = JSON.parse(json[0]);
+      return {
+        altText: String(parsed.alt_text || parsed.altText || '').replace(/\s+/g, ' ').trim(),
+        longDescription: String(parsed.description || parsed.long_description || '').replace(/\s+/g, ' ').trim()
+      };
+    } catch (error) {
+      // Not JSON after all
+    }
+  }
+
+  const [first = '', ...rest] = splitIntoSentences(output.replace(/\s+/g, ' '));
+  return { altText: first, longDescription: rest.join(' ') };
+}
+
+/**
+ * List the ways a description breaks the alt text format
+ */
+function checkImageDescription(description) {
+  const { MAX_ALT_LENGTH } = OUTPUT_VALIDATION_CONFIG;
+  const problems = [];
+
+  if (!description.altText) {
+    problems.push('The alt text is missing.');
+  } else if (description.altText.length > MAX_ALT_LENGTH) {
+    problems.push(`The alt text has ${description.altText.length} characters; the limit is ${MAX_ALT_LENGTH}.`);
+  }
+
+  if (!description.longDescription) {
+    problems.push('The detailed description is missing.');
+  }
+
+  return problems;
+}
+
+/**
+ * Bring a description into the alt text format without asking the model again
+ *
+ * A missing half is filled from the other one, and long alt text is cut at
+ * a word boundary.
+ */
+function repairImageDescription({ altText, longDescription }) {
+  const { MAX_ALT_LENGTH } = OUTPUT_VALIDATION_CONFIG;
+  let repairedAlt = altText || splitIntoSentences(longDescription)[0] || '';
+
+  if (repairedAlt.length > MAX_ALT_LENGTH) {
+    const cut = repairedAlt.substring(0, MAX_ALT_LENGTH - 1);
+    repairedAlt = `${cut.substring(0, cut.lastIndexOf(' ')) || cut}…`;
+  }
+
+  return {
+    altText: repairedAlt,
+    longDescription: longDescription || altText
+  };
+}
+
+/**
+ * Read a definition and a simpler word out of a definition
+ *
+ * Definitions are requested as JSON. Plain text is taken as the definition.
+ */
+function parseDefinition(output) {
+  const json = output.match(/\{[\s\S]*\}/);
+
+  if (json) {
+    try {
+      const parsed = JSON.parse(json[0]);
+      return {
+        definition: String(parsed.definition || '').replace(/\s+/g, ' ').trim(),
+        synonym: String(parsed.simpler_word || parsed.synonym || '').replace(/\s+/g, ' ').trim()
+      };
+    } catch (error) {
+      // Not JSON after all
+    }
+  }
+
+  return { definition: output.replace(/\s+/g, ' ').trim(), synonym: '' };
+}
+
+/**
+ * List the ways a definition breaks the definition format
+ */
+function checkDefinition({ definition, synonym }) {
+  const { MAX_DEFINITION_WORDS, MAX_SYNONYM_WORDS } = OUTPUT_VALIDATION_CONFIG;
+  const problems = [];
+
+  if (!definition) {
+    problems.push('The definition is missing.');
+  } else if (countWords(definition) > MAX_DEFINITION_WORDS) {
+    problems.push(`The definition has ${countWords(definition)} words; the limit is ${MAX_DEFINITION_WORDS}.`);
+  }
+
+  if (countWords(synonym) > MAX_SYNONYM_WORDS) {
+    problems.push(`The simpler word has ${countWords(synonym)} words; the limit is ${MAX_SYNONYM_WORDS}.`);
+  }
+
+  return problems;
+}
+
+/**
+ * Bring a definition into the definition format without asking the model again
+ *
+ * A long definition is cut to its first sentence, then at the word limit,
+ * and a simpler "word" that is really a phrase is dropped.
+ */
+function repairDefinition({ definition, synonym }) {
+  const { MAX_DEFINITION_WORDS, MAX_SYNONYM_WORDS } = OUTPUT_VALIDATION_CONFIG;
+  const firstSentence = splitIntoSentences(definition)[0] || '';
+
+  return {
+    definition: limitWords(firstSentence, MAX_DEFINITION_WORDS),
+    synonym: countWords(synonym) > MAX_SYNONYM_WORDS ? '' : synonym
+  };
+}
+
+/**
+ * Count the words in a piece of text
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
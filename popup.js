@@ -1,6 +1,9 @@
 /**
  * Multimodal Accessibility Assistant - Popup Script
- * Main user interface and AI processing hub
+ * Main user interface; AI processing runs in the background script
+ *
+ * The side panel loads this same page with ?view=side-panel, which adds live
+ * selection following and per-tab result history.
  */
 
 // DOM Elements
@@ -10,6 +13,26 @@ let elements = {};
 let currentContent = null;
 let currentResults = null;
 let isProcessing = false;
+let lastOperation = null;
+let resultRequest = null;
+let activeStream = null;
+let streamAnnouncer = null;
+let currentTabId = null;
+let currentAudit = null;
+let speech = null;
+let conversation = null;
+let chatStream = null;
+
+// The same interface runs in the popup and the side panel
+const isSidePanel = new URLSearchParams(window.location.search).get('view') === 'side-panel';
+
+// Operations and the result types they produce
+const RESULT_TYPES = {
+  summarize: 'summary',
+  simplify: 'simplification',
+  describe: 'description',
+  translate: 'translation'
+};
 
 /**
  * Initialize the popup when DOM is loaded
@@ -19,12 +42,28 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Cache DOM elements
   cacheElements();
+  streamAnnouncer = createLiveAnnouncer(elements.streamAnnouncer);
+  speech = createSpeechEngine({
+    onStateChange: updateAudioControls,
+    onEnd: ({ error }) => {
+      if (error) showError(error);
+    }
+  });
+  document.body.classList.toggle('side-panel', isSidePanel);
   
   // Set up event listeners
   setupEventListeners();
   
+  if (isSidePanel) {
+    setupSidePanel();
+  }
+  
   // Initialize the interface
   await initializeInterface();
+  
+  if (isSidePanel) {
+    await loadResultHistory();
+  }
 });
 
 /**
@@ -44,6 +83,22 @@ function cacheElements() {
     simplifyBtn: document.getElementById('simplify-btn'),
     describeBtn: document.getElementById('describe-btn'),
     translateBtn: document.getElementById('translate-btn'),
+    readAloudBtn: document.getElementById('read-aloud-btn'),
+    auditImagesBtn: document.getElementById('audit-images-btn'),
+    simplifyLevel: document.getElementById('simplify-level'),
+    
+    // Translation language picker
+    translatePanel: document.getElementById('translate-panel'),
+    translateInputChoice: document.getElementById('translate-input-choice'),
+    recentPairs: document.getElementById('recent-pairs'),
+    recentPairsList: document.getElementById('recent-pairs-list'),
+    sourceLanguage: document.getElementById('source-language'),
+    targetLanguageSearch: document.getElementById('target-language-search'),
+    targetLanguage: document.getElementById('target-language'),
+    translateStartBtn: document.getElementById('translate-start-btn'),
+    translatePageBtn: document.getElementById('translate-page-btn'),
+    bilingualViewBtn: document.getElementById('bilingual-view-btn'),
+    translateCancelBtn: document.getElementById('translate-cancel-btn'),
     
     // Results elements
     resultsSection: document.getElementById('results-section'),
@@ -52,18 +107,70 @@ function cacheElements() {
     // Audio controls
     audioControls: document.getElementById('audio-controls'),
     playAudioBtn: document.getElementById('play-audio-btn'),
+    skipAudioBtn: document.getElementById('skip-audio-btn'),
     stopAudioBtn: document.getElementById('stop-audio-btn'),
+    audioStatus: document.getElementById('audio-status'),
     
     // Save controls
     saveBtn: document.getElementById('save-btn'),
+    applyAltBtn: document.getElementById('apply-alt-btn'),
+    regenerateBtn: document.getElementById('regenerate-btn'),
+    
+    // Automatic alt text for the current site
+    autoAltTextOption: document.getElementById('auto-alt-text-option'),
+    autoAltTextToggle: document.getElementById('auto-alt-text-toggle'),
+    autoAltTextSite: document.getElementById('auto-alt-text-site'),
+    
+    // Model download
+    modelDownload: document.getElementById('model-download'),
+    modelDownloadProgress: document.getElementById('model-download-progress'),
+    modelDownloadStatus: document.getElementById('model-download-status'),
+    modelDownloadBtn: document.getElementById('model-download-btn'),
     
     // Loading and error elements
     loadingIndicator: document.getElementById('loading-indicator'),
+    loadingText: document.getElementById('loading-text'),
+    loadingProgress: document.getElementById('loading-progress'),
+    stopBtn: document.getElementById('stop-btn'),
+    streamAnnouncer: document.getElementById('stream-announcer'),
     errorDisplay: document.getElementById('error-display'),
     errorMessage: document.getElementById('error-message'),
     retryBtn: document.getElementById('retry-btn'),
     
+    // Follow-up questions
+    chatSection: document.getElementById('chat-section'),
+    chatLog: document.getElementById('chat-log'),
+    chatForm: document.getElementById('chat-form'),
+    chatInput: document.getElementById('chat-input'),
+    chatAskBtn: document.getElementById('chat-ask-btn'),
+    chatStopBtn: document.getElementById('chat-stop-btn'),
+    chatError: document.getElementById('chat-error'),
+    chatActions: document.getElementById('chat-actions'),
+    chatResetBtn: document.getElementById('chat-reset-btn'),
+    chatSaveBtn: document.getElementById('chat-save-btn'),
+    
+    // History elements (side panel)
+    historySection: document.getElementById('history-section'),
+    historyList: document.getElementById('history-list'),
+    
+    // Image audit elements
+    auditSection: document.getElementById('audit-section'),
+    auditStatus: document.getElementById('audit-status'),
+    auditProgress: document.getElementById('audit-progress'),
+    auditCancelBtn: document.getElementById('audit-cancel-btn'),
+    auditList: document.getElementById('audit-list'),
+    
+    // Help elements
+    helpSection: document.getElementById('help-section'),
+    helpHeading: document.getElementById('help-heading'),
+    shortcutList: document.getElementById('shortcut-list'),
+    changeShortcutsBtn: document.getElementById('change-shortcuts-btn'),
+    helpCloseBtn: document.getElementById('help-close-btn'),
+    
     // Footer buttons
+    sidePanelBtn: document.getElementById('side-panel-btn'),
+    libraryBtn: document.getElementById('library-btn'),
+    vocabularyBtn: document.getElementById('vocabulary-btn'),
     settingsBtn: document.getElementById('settings-btn'),
     helpBtn: document.getElementById('help-btn')
   };
@@ -78,21 +185,65 @@ function setupEventListeners() {
   elements.simplifyBtn.addEventListener('click', handleSimplify);
   elements.describeBtn.addEventListener('click', handleDescribe);
   elements.translateBtn.addEventListener('click', handleTranslate);
+  elements.readAloudBtn.addEventListener('click', handleReadAloud);
+  elements.auditImagesBtn.addEventListener('click', handleAuditImages);
+  elements.simplifyLevel.addEventListener('change', handleSimplifyLevelChange);
+  
+  // Translation language picker
+  elements.targetLanguageSearch.addEventListener('input', () => renderTargetLanguages());
+  elements.targetLanguageSearch.addEventListener('keydown', handleTargetSearchKeydown);
+  elements.targetLanguage.addEventListener('keydown', handleTargetLanguageKeydown);
+  elements.targetLanguage.addEventListener('dblclick', () => startTranslation());
+  elements.recentPairsList.addEventListener('click', handleRecentPairClick);
+  elements.translateStartBtn.addEventListener('click', () => startTranslation());
+  elements.translatePageBtn.addEventListener('click', handleTranslatePage);
+  elements.bilingualViewBtn.addEventListener('click', handleOpenBilingualReader);
+  elements.translateCancelBtn.addEventListener('click', closeTranslatePanel);
+  elements.translatePanel.addEventListener('keydown', handleTranslatePanelKeydown);
+  
+  // Image audit controls
+  elements.auditCancelBtn.addEventListener('click', handleCancelAudit);
+  elements.auditList.addEventListener('click', handleAuditListClick);
+  chrome.runtime.onMessage.addListener(handleImageAuditMessage);
+  
+  // Model download
+  elements.modelDownloadBtn.addEventListener('click', handleDownloadModel);
+  chrome.runtime.onMessage.addListener(handleModelStatusMessage);
   
   // Audio controls
   elements.playAudioBtn.addEventListener('click', handlePlayAudio);
+  elements.skipAudioBtn.addEventListener('click', handleSkipAudio);
   elements.stopAudioBtn.addEventListener('click', handleStopAudio);
   
   // Save controls
   elements.saveBtn.addEventListener('click', handleSave);
+  elements.applyAltBtn.addEventListener('click', handleApplyAltText);
+  elements.regenerateBtn.addEventListener('click', handleRegenerate);
+  elements.autoAltTextToggle.addEventListener('change', handleAutoAltTextToggle);
+  
+  // Streaming controls
+  elements.stopBtn.addEventListener('click', handleStop);
+  
+  // Follow-up questions
+  elements.chatForm.addEventListener('submit', handleAskQuestion);
+  elements.chatStopBtn.addEventListener('click', () => chatStream?.port.postMessage({ type: 'STOP' }));
+  elements.chatResetBtn.addEventListener('click', handleResetConversation);
+  elements.chatSaveBtn.addEventListener('click', handleSaveConversation);
   
   // Error handling
   elements.retryBtn.addEventListener('click', handleRetry);
   
   // Footer buttons
+  elements.sidePanelBtn.addEventListener('click', handleOpenSidePanel);
+  elements.libraryBtn.addEventListener('click', handleOpenLibrary);
+  elements.vocabularyBtn.addEventListener('click', handleOpenVocabulary);
   elements.settingsBtn.addEventListener('click', handleSettings);
   elements.helpBtn.addEventListener('click', handleHelp);
   
+  // Help
+  elements.changeShortcutsBtn.addEventListener('click', handleChangeShortcuts);
+  elements.helpCloseBtn.addEventListener('click', closeHelp);
+  
   // Keyboard shortcuts
   document.addEventListener('keydown', handleKeyboardShortcuts);
 }
@@ -107,10 +258,19 @@ async function initializeInterface() {
     
     // Get current tab and check for selected content
     await checkSelectedContent();
+    await loadConversation();
+    
+    // An audit may still be running from the context menu or an earlier popup
+    await loadImageAudit();
+    await loadAutoAltTextOption();
+    await loadSimplificationLevel();
     
     // Update UI state
     updateUIState();
     
+    // A result may be waiting from before the popup was closed
+    await resumeJob();
+    
   } catch (error) {
     console.error('Failed to initialize interface:', error);
     showError('Failed to initialize extension. Please try again.');
@@ -118,34 +278,24 @@ async function initializeInterface() {
 }
 
 /**
- * Check Chrome Built-in AI model availability
+ * Check AI model availability through the active provider
  */
 async function checkModelAvailability() {
   try {
     elements.statusText.textContent = 'Checking AI model...';
     elements.statusIcon.className = 'status-icon';
     
-    // Check if AI APIs are available
-    if (!window.ai) {
-      throw new Error('Chrome Built-in AI not available');
+    const response = await chrome.runtime.sendMessage({ type: 'CHECK_MODEL_STATUS' });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not check model status');
     }
     
-    // Check language model availability (for image descriptions)
-    const languageModelAvailability = await window.ai.languageModel?.availability();
-    
-    // Check summarizer availability
-    const summarizerAvailability = await window.ai.summarizer?.availability();
-    
-    // Update status based on availability
-    if (languageModelAvailability === 'readily' && summarizerAvailability === 'readily') {
-      elements.statusText.textContent = 'AI model ready';
-      elements.statusIcon.className = 'status-icon ready';
-    } else if (languageModelAvailability === 'after-download' || summarizerAvailability === 'after-download') {
-      elements.statusText.textContent = 'AI model needs download';
-      elements.statusIcon.className = 'status-icon';
-      // TODO: Implement model download UI in later tasks
-    } else {
-      throw new Error('AI model not available on this device');
+    const { status } = response;
+    renderModelStatus(status);
+    
+    if (status.state === 'unavailable') {
+      throw new Error(status.error || 'AI model not available on this device');
     }
     
   } catch (error) {
@@ -154,7 +304,90 @@ async function checkModelAvailability() {
     elements.statusIcon.className = 'status-icon error';
     
     // Show user-friendly error message
-    showError('Chrome Built-in AI is not available. Please ensure you have Chrome 138+ with AI features enabled.');
+    showError('Chrome Built-in AI is not available. Please ensure you have Chrome 138+ with AI features enabled, or choose another AI provider.');
+  }
+}
+
+/**
+ * Show the model status, and the download offer or progress when a model is missing
+ */
+function renderModelStatus(status) {
+  const percent = Math.round((status.progress?.loaded || 0) * 100);
+  const busy = status.state === 'downloading' || status.state === 'retrying';
+  
+  if (status.state === 'retrying') {
+    elements.statusText.textContent = 'AI model download interrupted';
+    elements.statusIcon.className = 'status-icon';
+  } else if (busy) {
+    // Round so screen readers hear every ten percent rather than every update
+    elements.statusText.textContent = `Downloading AI model... ${Math.floor(percent / 10) * 10}%`;
+    elements.statusIcon.className = 'status-icon';
+  } else if (status.available) {
+    elements.statusText.textContent = status.provider === 'chrome-builtin'
+      ? 'AI model ready'
+      : `${status.providerName} ready`;
+    elements.statusIcon.className = 'status-icon ready';
+  } else if (status.downloadable) {
+    elements.statusText.textContent = 'AI model needs download';
+    elements.statusIcon.className = 'status-icon';
+  } else {
+    elements.statusText.textContent = 'AI model unavailable';
+    elements.statusIcon.className = 'status-icon error';
+  }
+  
+  let note = '';
+  if (status.state === 'retrying') {
+    note = `The download stopped (${status.downloadError}). AURA will try again at ${new Date(status.retryAt).toLocaleTimeString()}.`;
+  } else if (busy) {
+    note = `${percent}% downloaded. You can close this window; the download continues.`;
+  } else if (status.downloadError) {
+    note = status.downloadError;
+  } else if (status.available) {
+    note = 'Some AURA features need another model before they work.';
+  }
+  
+  elements.modelDownload.classList.toggle('hidden', !busy && !status.downloadable);
+  elements.modelDownloadProgress.classList.toggle('hidden', !busy);
+  elements.modelDownloadProgress.value = percent;
+  elements.modelDownloadStatus.textContent = note;
+  elements.modelDownloadBtn.classList.toggle('hidden', status.state === 'downloading');
+  elements.modelDownloadBtn.textContent = status.state === 'retrying' || status.downloadError
+    ? 'Try again now'
+    : 'Download model (about 22 GB)';
+}
+
+/**
+ * Follow model download progress broadcast by the background script
+ */
+function handleModelStatusMessage(message) {
+  if (message.type === 'MODEL_STATUS_UPDATED') {
+    renderModelStatus(message.data.status);
+  }
+}
+
+/**
+ * Start the model download; pressing the button is the user's consent
+ */
+async function handleDownloadModel() {
+  elements.modelDownloadBtn.disabled = true;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'START_MODEL_DOWNLOAD',
+      data: { consent: true }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not start the download');
+    }
+    
+    renderModelStatus(response.status);
+    
+  } catch (error) {
+    console.error('Failed to start the model download:', error);
+    showError(`Could not download the AI model: ${error.message}`);
+  } finally {
+    elements.modelDownloadBtn.disabled = false;
   }
 }
 
@@ -168,16 +401,20 @@ async function checkSelectedContent() {
       type: 'GET_SELECTED_CONTENT'
     });
     
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    currentTabId = tab?.id ?? null;
+    
     if (backgroundResponse && backgroundResponse.success && backgroundResponse.content) {
-      currentContent = backgroundResponse.content;
-      displaySelectedContent(currentContent);
-      enableActionButtons(currentContent.type);
+      applySelectedContent(backgroundResponse.content);
+      
+      // Results handed over from the inline card
+      if (backgroundResponse.results) {
+        displayResults(backgroundResponse.results);
+      }
       return;
     }
     
     // Fallback: try to get content directly from content script
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    
     if (!tab) {
       throw new Error('No active tab found');
     }
@@ -193,13 +430,10 @@ async function checkSelectedContent() {
         });
         
         if (response && response.success && response.content) {
-          currentContent = response.content;
-          displaySelectedContent(currentContent);
-          enableActionButtons(currentContent.type);
+          applySelectedContent(response.content);
         } else {
-          // No content selected
-          displayNoContent();
-          disableActionButtons();
+          // No content selected, offer the whole article instead
+          await loadPageContent(tab);
         }
       } else {
         throw new Error('Content script not ready');
@@ -222,6 +456,34 @@ async function checkSelectedContent() {
   }
 }
 
+/**
+ * Make content the current content and show it
+ */
+function applySelectedContent(content) {
+  currentContent = content;
+  displaySelectedContent(currentContent);
+  updateChatSection();
+  
+  // Buttons come back on their own once processing finishes
+  if (!isProcessing) {
+    enableActionButtons(currentContent.type);
+  }
+}
+
+/**
+ * Load the page's main article as the current content
+ */
+async function loadPageContent(tab) {
+  const response = await chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_PAGE' });
+  
+  if (response && response.success && response.page) {
+    applySelectedContent(response.page);
+  } else {
+    displayNoContent();
+    disableActionButtons();
+  }
+}
+
 /**
  * Display selected content in the popup
  */
@@ -231,12 +493,13 @@ function displaySelectedContent(content) {
   if (type === 'text') {
     const displayText = text.length > 200 ? text.substring(0, 200) + '...' : text;
     const wordCount = text.split(/\s+/).length;
+    const lengthNote = content.truncated ? ' (truncated)' : '';
     
     elements.contentDisplay.innerHTML = `
       <div class="selected-text">
         <div class="content-header">
           <strong>📝 Selected Text</strong>
-          <span class="content-meta">${wordCount} words</span>
+          <span class="content-meta">${wordCount} words${lengthNote}</span>
         </div>
         <div class="content-preview">
           ${escapeHtml(displayText)}
@@ -248,6 +511,25 @@ function displaySelectedContent(content) {
         ` : ''}
       </div>
     `;
+  } else if (type === 'page') {
+    const displayText = text.length > 200 ? text.substring(0, 200) + '...' : text;
+    
+    elements.contentDisplay.innerHTML = `
+      <div class="selected-page">
+        <div class="content-header">
+          <strong>📄 This Page</strong>
+          <span class="content-meta">${content.wordCount} words</span>
+        </div>
+        <div class="page-title">${escapeHtml(content.title || 'Untitled article')}</div>
+        ${content.byline ? `<div class="page-byline">${escapeHtml(content.byline)}</div>` : ''}
+        <div class="content-preview">
+          ${escapeHtml(displayText)}
+        </div>
+        <div class="content-context">
+          <small><em>Nothing selected, so AURA will use the whole article${content.headings.length ? ` (${content.headings.length} sections)` : ''}</em></small>
+        </div>
+      </div>
+    `;
   } else if (type === 'image') {
     const dimensions = width && height ? `${width}×${height}` : 'Unknown size';
     
@@ -282,8 +564,9 @@ function displaySelectedContent(content) {
  */
 function displayNoContent() {
   elements.contentDisplay.innerHTML = `
-    <p class="no-content">No content selected. Highlight text or right-click an image on any webpage.</p>
+    <p class="no-content">No content selected. Highlight text, right-click an image, or open an article page.</p>
   `;
+  elements.chatSection.classList.add('hidden');
 }
 
 /**
@@ -293,10 +576,11 @@ function enableActionButtons(contentType) {
   // Reset all buttons
   disableActionButtons();
   
-  if (contentType === 'text') {
+  if (contentType === 'text' || contentType === 'page') {
     elements.summarizeBtn.disabled = false;
     elements.simplifyBtn.disabled = false;
     elements.translateBtn.disabled = false;
+    elements.readAloudBtn.disabled = false;
   } else if (contentType === 'image') {
     elements.describeBtn.disabled = false;
     elements.translateBtn.disabled = false; // Can translate descriptions
@@ -311,6 +595,7 @@ function disableActionButtons() {
   elements.simplifyBtn.disabled = true;
   elements.describeBtn.disabled = true;
   elements.translateBtn.disabled = true;
+  elements.readAloudBtn.disabled = true;
 }
 
 /**
@@ -335,13 +620,49 @@ function updateUIState() {
 function showLoading(message = 'Processing with AI...') {
   isProcessing = true;
   elements.loadingIndicator.classList.remove('hidden');
-  document.getElementById('loading-text').textContent = message;
+  elements.loadingText.textContent = message;
+  elements.loadingProgress.classList.add('hidden');
   elements.errorDisplay.classList.add('hidden');
   
   // Disable action buttons during processing
   disableActionButtons();
 }
 
+/**
+ * Update the loading indicator with processing progress
+ */
+function updateProgress({ operation, stage, completed, total, part, parts, round }) {
+  if (!isProcessing) {
+    return;
+  }
+  
+  // Jobs wait their turn when other AI operations are already running
+  if (stage === 'queued' || stage === 'running') {
+    elements.loadingText.textContent = stage === 'queued'
+      ? 'Waiting for other AI operations to finish...'
+      : lastOperation?.loadingMessage || 'Processing with AI...';
+    return;
+  }
+  
+  if (!total || total <= 1) {
+    return;
+  }
+  
+  const verbs = { summarize: 'Summarizing', simplify: 'Simplifying', translate: 'Translating' };
+  
+  if (stage === 'chunk') {
+    elements.loadingText.textContent = `${verbs[operation] || 'Processing'} part ${part} of ${parts}...`;
+  } else if (stage === 'merge') {
+    elements.loadingText.textContent = round
+      ? `Merging summaries, round ${round}: part ${part} of ${parts}...`
+      : 'Merging summaries...';
+  }
+  
+  elements.loadingProgress.max = total;
+  elements.loadingProgress.value = completed;
+  elements.loadingProgress.classList.remove('hidden');
+}
+
 /**
  * Hide loading state
  */
@@ -373,21 +694,46 @@ function hideError() {
 
 /**
  * Display results in the results section
+ *
+ * request is the operation that produced the results, so they can be
+ * regenerated; results from elsewhere have none.
  */
-function displayResults(results) {
+function displayResults(results, { streamed = false, request = null } = {}) {
+  // Don't keep reading a result that is no longer shown
+  if (currentResults !== results) {
+    speech.stop();
+  }
   currentResults = results;
+  resultRequest = request;
   
   // Show results section
   elements.resultsSection.classList.remove('hidden');
   
+  // Streamed results were already announced sentence by sentence
+  elements.resultsContent.setAttribute('aria-live', streamed ? 'off' : 'polite');
+  elements.resultsContent.removeAttribute('aria-busy');
+  
   // Display the results content
-  elements.resultsContent.innerHTML = formatResults(results);
+  elements.resultsContent.innerHTML = formatResults(results) +
+    (results.stopped ? '<p class="result-note">Stopped early — this result is incomplete.</p>' : '') +
+    (results.truncated ? '<p class="result-note">This text was too long to summarize in full, so the end may be missing from the summary.</p>' : '') +
+    (results.metadata?.cached ? `<p class="result-note cache-note">⚡ Cached result from ${escapeHtml(new Date(results.metadata.cachedAt).toLocaleString())}</p>` : '') +
+    (results.validation?.path === 'fallback' ? '<p class="result-note">The AI did not answer in the expected format, so this is shown as it came back.</p>' : '');
   
   // Show audio controls if results contain text
   if (results.content) {
     elements.audioControls.classList.remove('hidden');
   }
   
+  updateSaveButton();
+  
+  // Descriptions of an image on the page can be written into it as alt text
+  const canApplyAlt = results.type === RESULT_TYPES.describe && !results.stopped &&
+    currentContent?.type === 'image' && Boolean(currentContent.url);
+  elements.applyAltBtn.classList.toggle('hidden', !canApplyAlt);
+  elements.applyAltBtn.querySelector('.btn-text').textContent = 'Add as Alt Text';
+  elements.regenerateBtn.classList.toggle('hidden', !request);
+  
   // Scroll results into view
   elements.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
@@ -396,7 +742,7 @@ function displayResults(results) {
  * Format results for display
  */
 function formatResults(results) {
-  const { type, content, language } = results;
+  const { type, content, language, sourceLanguage, sourceDetected, bullets, altText, longDescription, level, readability } = results;
   
   let html = '';
   
@@ -405,7 +751,9 @@ function formatResults(results) {
       html = `
         <div class="result-summary">
           <h4>Summary</h4>
-          <div class="summary-content">${escapeHtml(content)}</div>
+          ${bullets
+            ? `<ul class="summary-bullets">${bullets.map(bullet => `<li>${escapeHtml(bullet)}</li>`).join('')}</ul>`
+            : `<div class="summary-content">${escapeHtml(content)}</div>`}
         </div>
       `;
       break;
@@ -413,8 +761,9 @@ function formatResults(results) {
     case 'simplification':
       html = `
         <div class="result-simplification">
-          <h4>Simplified Text</h4>
+          <h4>Simplified Text${SIMPLIFICATION_LEVELS[level] ? ` (${escapeHtml(SIMPLIFICATION_LEVELS[level])})` : ''}</h4>
           <div class="simplified-content">${escapeHtml(content)}</div>
+          ${formatReadability(readability)}
         </div>
       `;
       break;
@@ -423,7 +772,10 @@ function formatResults(results) {
       html = `
         <div class="result-description">
           <h4>Image Description</h4>
-          <div class="description-content">${escapeHtml(content)}</div>
+          ${altText
+            ? `<p class="description-alt"><strong>Alt text:</strong> ${escapeHtml(altText)}</p>
+          <p class="description-long">${escapeHtml(longDescription)}</p>`
+            : `<div class="description-content">${escapeHtml(content)}</div>`}
         </div>
       `;
       break;
@@ -431,8 +783,9 @@ function formatResults(results) {
     case 'translation':
       html = `
         <div class="result-translation">
-          <h4>Translation${language ? ` (${language})` : ''}</h4>
-          <div class="translation-content">${escapeHtml(content)}</div>
+          <h4>Translation${language ? ` (${formatLanguagePair(sourceLanguage, language)})` : ''}</h4>
+          <div class="translation-content"${language ? ` lang="${escapeHtml(language)}"` : ''}>${escapeHtml(content)}</div>
+          ${sourceDetected && sourceLanguage ? `<p class="translation-note">Detected ${escapeHtml(getLanguageName(sourceLanguage))} automatically</p>` : ''}
         </div>
       `;
       break;
@@ -444,80 +797,1513 @@ function formatResults(results) {
   return html;
 }
 
+/**
+ * Compare readability before and after simplifying, as a table
+ */
+function formatReadability(readability) {
+  const { original, simplified } = readability || {};
+  
+  if (!original || !simplified) {
+    return '';
+  }
+  
+  const rows = [
+    ['Grade level', metrics => metrics.grade.toFixed(1)],
+    ['Words per sentence', metrics => metrics.sentenceLength.toFixed(1)],
+    ['Uncommon words', metrics => `${Math.round(metrics.rareWordRatio * 100)}%`]
+  ];
+  
+  const drop = Math.round(original.grade - simplified.grade);
+  const verdict = drop >= 1
+    ? `About ${drop} grade level${drop === 1 ? '' : 's'} easier to read.`
+    : 'Not easier to read by grade level. Try a simpler level.';
+  
+  return `
+    <table class="readability-table">
+      <caption>Readability</caption>
+      <thead>
+        <tr><th scope="col">Measure</th><th scope="col">Before</th><th scope="col">After</th></tr>
+      </thead>
+      <tbody>
+        ${rows.map(([label, format]) => `<tr><th scope="row">${label}</th><td>${format(original)}</td><td>${format(simplified)}</td></tr>`).join('')}
+      </tbody>
+    </table>
+    <p class="result-note">${verdict}</p>
+  `;
+}
+
 /**
  * Escape HTML to prevent XSS
  */
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  
+  // Also safe inside attribute values
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
-// Event Handlers (placeholder implementations for now)
+/**
+ * Stream AI processing of the current content from the background script
+ */
+function processCurrentContent(operation, loadingMessage, options = {}, content = currentContent) {
+  if (!content || isProcessing) {
+    return Promise.resolve();
+  }
+  
+  lastOperation = { operation, loadingMessage, options, content };
+  return followJob({
+    type: 'START',
+    data: { operation, content, options, tabId: currentTabId }
+  });
+}
 
-async function handleSummarize() {
-  console.log('Summarize clicked - will implement in task 5');
-  showError('Summarization feature will be implemented in the next task.');
+/**
+ * Pick up a job started by an earlier popup on this tab
+ *
+ * A job that is still running is followed again; one that finished while
+ * the popup was closed shows its result.
+ */
+async function resumeJob() {
+  if (currentTabId === null || isProcessing) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_JOBS', data: { tabId: currentTabId } });
+    // Questions are picked up again by loadConversation
+    const job = (response?.jobs || []).find(item => item.source === 'popup' && item.operation !== 'ask' &&
+      (['queued', 'running'].includes(item.state) || (item.state === 'completed' && !item.delivered)));
+    
+    if (!job) {
+      return;
+    }
+    
+    lastOperation = {
+      operation: job.operation,
+      loadingMessage: getJobLoadingMessage(job),
+      options: job.options,
+      content: job.content
+    };
+    followJob({ type: 'ATTACH', data: { jobId: job.id } });
+    
+  } catch (error) {
+    console.error('Failed to resume a running job:', error);
+  }
 }
 
-async function handleSimplify() {
-  console.log('Simplify clicked - will implement in task 6');
-  showError('Text simplification feature will be implemented in a future task.');
+/**
+ * Describe what a resumed job is doing
+ */
+function getJobLoadingMessage(job) {
+  const messages = {
+    summarize: 'Summarizing...',
+    simplify: 'Simplifying...',
+    describe: 'Describing image...',
+    translate: job.options?.targetLanguage ? `Translating to ${getLanguageName(job.options.targetLanguage)}...` : 'Translating...'
+  };
+  
+  return messages[job.operation] || 'Processing with AI...';
 }
 
-async function handleDescribe() {
-  console.log('Describe clicked - will implement in task 7');
-  showError('Image description feature will be implemented in a future task.');
+/**
+ * Follow the job for lastOperation over a stream port until it ends
+ *
+ * startMessage is START for a new job or ATTACH for one already running.
+ */
+function followJob(startMessage) {
+  const { operation, loadingMessage, content } = lastOperation;
+  
+  hideError();
+  showLoading(loadingMessage);
+  elements.stopBtn.classList.remove('hidden');
+  streamAnnouncer.reset();
+  
+  let partialContent = '';
+  
+  return new Promise(resolve => {
+    const port = chrome.runtime.connect({ name: 'aura-stream' });
+    
+    const finish = () => {
+      activeStream = null;
+      elements.stopBtn.classList.add('hidden');
+      port.disconnect();
+      resolve();
+    };
+    
+    // Stop following without stopping the job, which keeps running in the background
+    const detach = () => {
+      finish();
+      hideLoading();
+    };
+    
+    activeStream = { port, detach };
+    
+    port.onMessage.addListener(message => {
+      switch (message.type) {
+        case 'PROGRESS':
+          updateProgress(message.data);
+          break;
+          
+        case 'PARTIAL':
+          partialContent = message.data.content;
+          displayPartialResults(operation, partialContent);
+          break;
+          
+        case 'COMPLETE':
+          resultRequest = lastOperation;
+          lastOperation = null;
+          hideLoading();
+          displayResults(message.data.results, { streamed: true, request: resultRequest });
+          recordResultHistory(message.data.results, content);
+          streamAnnouncer.finish('Done.');
+          finish();
+          break;
+          
+        case 'CANCELLED':
+          hideLoading();
+          if (partialContent) {
+            const partialResults = { type: RESULT_TYPES[operation], content: partialContent, stopped: true };
+            displayResults(partialResults, { streamed: true });
+            recordResultHistory(partialResults, content);
+          }
+          streamAnnouncer.finish('Stopped.');
+          finish();
+          break;
+          
+        case 'ERROR':
+          console.error(`Failed to ${operation} content:`, message.error);
+          streamAnnouncer.reset();
+          restoreResults(partialContent);
+          showError(message.error);
+          finish();
+          break;
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      if (activeStream?.port === port) {
+        activeStream = null;
+        elements.stopBtn.classList.add('hidden');
+        showError('Processing stopped unexpectedly. Please try again.');
+        resolve();
+      }
+    });
+    
+    port.postMessage(startMessage);
+  });
 }
 
-async function handleTranslate() {
-  console.log('Translate clicked - will implement in task 8');
-  showError('Translation feature will be implemented in a future task.');
+/**
+ * Put back the result shown before a failed operation replaced it with partial output
+ */
+function restoreResults(partialContent) {
+  if (!partialContent) {
+    return;
+  }
+  
+  if (currentResults) {
+    displayResults(currentResults, { request: resultRequest });
+  } else {
+    elements.resultsContent.innerHTML = '';
+    elements.resultsSection.classList.add('hidden');
+  }
 }
 
-async function handlePlayAudio() {
-  console.log('Play audio clicked - will implement in task 9');
-  showError('Audio playback feature will be implemented in a future task.');
+/**
+ * Render partial streamed output while the model is still generating
+ */
+function displayPartialResults(operation, content) {
+  elements.resultsSection.classList.remove('hidden');
+  
+  // Keep the region quiet while it changes every few milliseconds
+  elements.resultsContent.setAttribute('aria-live', 'off');
+  elements.resultsContent.setAttribute('aria-busy', 'true');
+  elements.resultsContent.innerHTML = formatResults({ type: RESULT_TYPES[operation], content });
+  
+  streamAnnouncer.update(content);
 }
 
-async function handleStopAudio() {
-  console.log('Stop audio clicked - will implement in task 9');
+// Follow-up Questions
+
+/**
+ * Offer questions about text content, dropping a conversation about other content
+ */
+function updateChatSection() {
+  const canAsk = currentContent?.type === 'text' || currentContent?.type === 'page';
+  elements.chatSection.classList.toggle('hidden', !canAsk);
+  
+  if (conversation && !isSameContent(conversation.content, currentContent) && !chatStream) {
+    conversation = null;
+    renderConversation();
+  }
 }
 
-async function handleSave() {
-  console.log('Save clicked - will implement in task 10');
-  showError('Save feature will be implemented in a future task.');
+/**
+ * Check whether two pieces of content are the same text
+ */
+function isSameContent(a, b) {
+  return Boolean(a && b) && a.type === b.type && a.text === b.text;
 }
 
-async function handleRetry() {
-  console.log('Retry clicked');
-  hideError();
-  await initializeInterface();
+/**
+ * Continue this tab's conversation from before the popup was closed
+ *
+ * It is only shown while the same content is selected. A question that is
+ * still being answered is followed again.
+ */
+async function loadConversation() {
+  if (currentTabId === null || chatStream) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CONVERSATION', data: { tabId: currentTabId } });
+    const saved = response?.conversation;
+    
+    if (!saved || !isSameContent(saved.content, currentContent)) {
+      return;
+    }
+    
+    conversation = { id: saved.id, content: saved.content, turns: saved.turns, savedId: null };
+    renderConversation();
+    
+    if (saved.pending) {
+      const jobsResponse = await chrome.runtime.sendMessage({ type: 'GET_JOBS', data: { tabId: currentTabId } });
+      const job = (jobsResponse?.jobs || []).find(item => item.operation === 'ask' &&
+        item.options.conversationId === saved.id && ['queued', 'running'].includes(item.state));
+      
+      if (job) {
+        followQuestion({ type: 'ATTACH', data: { jobId: job.id } }, saved.pending);
+      }
+    }
+    
+  } catch (error) {
+    console.error('Failed to load the conversation:', error);
+  }
 }
 
-async function handleSettings() {
-  console.log('Settings clicked - will implement in future task');
-  showError('Settings feature will be implemented in a future task.');
+async function handleAskQuestion(event) {
+  event.preventDefault();
+  
+  const question = elements.chatInput.value.trim();
+  if (!question || chatStream || !currentContent) {
+    return;
+  }
+  
+  if (!conversation) {
+    conversation = { id: crypto.randomUUID(), content: currentContent, turns: [], savedId: null };
+  }
+  
+  elements.chatInput.value = '';
+  await followQuestion({
+    type: 'START',
+    data: {
+      operation: 'ask',
+      content: conversation.content,
+      tabId: currentTabId,
+      options: {
+        conversationId: conversation.id,
+        question,
+        // Lets the background pick the conversation up again if it was restarted
+        history: conversation.turns.map(({ question: asked, answer }) => ({ question: asked, answer }))
+      }
+    }
+  }, question);
 }
 
-async function handleHelp() {
-  console.log('Help clicked - will implement in future task');
-  showError('Help feature will be implemented in a future task.');
+/**
+ * Stream the answer to a question into the conversation
+ *
+ * startMessage is START for a new question or ATTACH for one already being
+ * answered.
+ */
+function followQuestion(startMessage, question) {
+  const asked = conversation;
+  let partialAnswer = '';
+  
+  showChatError('');
+  elements.chatAskBtn.disabled = true;
+  elements.chatStopBtn.classList.remove('hidden');
+  elements.chatLog.setAttribute('aria-busy', 'true');
+  renderConversation({ question, answer: '' });
+  
+  return new Promise(resolve => {
+    const port = chrome.runtime.connect({ name: 'aura-stream' });
+    
+    const finish = () => {
+      chatStream = null;
+      elements.chatAskBtn.disabled = false;
+      elements.chatStopBtn.classList.add('hidden');
+      elements.chatLog.removeAttribute('aria-busy');
+      port.disconnect();
+      renderConversation();
+      resolve();
+    };
+    
+    // Keep the question running in the background, for when the popup opens again
+    chatStream = { port, detach: finish };
+    
+    port.onMessage.addListener(message => {
+      switch (message.type) {
+        case 'PARTIAL':
+          partialAnswer = message.data.content;
+          renderConversation({ question, answer: partialAnswer });
+          break;
+          
+        case 'COMPLETE': {
+          const { answer, quotes, quotesInferred } = message.data.results;
+          asked.turns.push({ question, answer, quotes, quotesInferred });
+          asked.savedId = null;
+          finish();
+          break;
+        }
+          
+        case 'CANCELLED':
+          if (partialAnswer) {
+            asked.turns.push({ question, answer: partialAnswer, quotes: [], stopped: true });
+            asked.savedId = null;
+          }
+          finish();
+          break;
+          
+        case 'ERROR':
+          console.error('Failed to answer the question:', message.error);
+          finish();
+          elements.chatInput.value = question;
+          showChatError(message.error);
+          break;
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      if (chatStream?.port === port) {
+        finish();
+        showChatError('Answering stopped unexpectedly. Please try again.');
+      }
+    });
+    
+    port.postMessage(startMessage);
+  });
 }
 
 /**
- * Handle keyboard shortcuts
+ * Show the conversation, with the answer being written as pending
  */
-function handleKeyboardShortcuts(event) {
-  // Ctrl+Shift+A to focus on first action button
-  if (event.ctrlKey && event.shiftKey && event.key === 'A') {
-    event.preventDefault();
-    const firstEnabledButton = document.querySelector('.action-btn:not(:disabled)');
-    if (firstEnabledButton) {
-      firstEnabledButton.focus();
-    }
+function renderConversation(pending = null) {
+  const turns = [...(conversation?.turns || []), ...(pending ? [pending] : [])];
+  
+  elements.chatLog.innerHTML = turns.map(formatConversationTurn).join('');
+  elements.chatActions.classList.toggle('hidden', !conversation?.turns.length || Boolean(pending));
+  
+  const saved = Boolean(conversation?.savedId);
+  elements.chatSaveBtn.disabled = saved;
+  elements.chatSaveBtn.textContent = saved ? 'Saved to Library' : 'Save conversation';
+}
+
+/**
+ * Format one question and its answer for the conversation
+ */
+function formatConversationTurn(turn) {
+  const quotes = turn.quotes || [];
+  
+  return `
+    <li class="chat-turn">
+      <p class="chat-question"><span class="sr-only">You asked: </span>${escapeHtml(turn.question)}</p>
+      <div class="chat-answer"><span class="sr-only">Answer: </span>${escapeHtml(turn.answer || 'Thinking...')}</div>
+      ${quotes.length ? `
+        <figure class="chat-sources">
+          <figcaption>${turn.quotesInferred ? 'Closest sentences in the text' : 'From the text'}</figcaption>
+          ${quotes.map(quote => `<blockquote>${escapeHtml(quote.text)}</blockquote>`).join('')}
+        </figure>
+      ` : ''}
+      ${turn.stopped ? '<p class="result-note">Stopped early — this answer is incomplete.</p>' : ''}
+    </li>
+  `;
+}
+
+/**
+ * Write a conversation out as text for the saved library
+ */
+function formatConversationTranscript(turns) {
+  return turns.map(turn => [
+    `Q: ${turn.question}`,
+    `A: ${turn.answer}`,
+    ...(turn.quotes || []).map(quote => `> ${quote.text}`)
+  ].join('\n')).join('\n\n');
+}
+
+async function handleResetConversation() {
+  if (conversation) {
+    await chrome.runtime.sendMessage({ type: 'RESET_CONVERSATION', data: { conversationId: conversation.id } });
+  }
+  
+  conversation = null;
+  showChatError('');
+  renderConversation();
+  elements.chatInput.focus();
+}
+
+async function handleSaveConversation() {
+  if (!conversation?.turns.length || conversation.savedId) {
+    return;
   }
   
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_RESULT',
+      data: {
+        results: { type: 'conversation', content: formatConversationTranscript(conversation.turns) },
+        content: conversation.content
+      }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Saving failed');
+    }
+    
+    conversation.savedId = response.id;
+    renderConversation();
+    
+  } catch (error) {
+    console.error('Failed to save conversation:', error);
+    showChatError(`Could not save this conversation: ${error.message}`);
+  }
+}
+
+/**
+ * Show a problem with the conversation under the question box, or clear it
+ *
+ * Kept apart from the main error display so a summary or translation still
+ * running is not interrupted.
+ */
+function showChatError(message) {
+  elements.chatError.textContent = message;
+  elements.chatError.classList.toggle('hidden', !message);
+}
+
+// Side Panel
+
+/**
+ * Follow the active tab and its selection while the side panel is open
+ */
+function setupSidePanel() {
+  elements.sidePanelBtn.classList.add('hidden');
+  elements.historySection.classList.remove('hidden');
+  
+  chrome.runtime.onMessage.addListener(handleSidePanelMessage);
+  
+  chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+    const currentWindow = await chrome.windows.getCurrent();
+    if (windowId === currentWindow.id && tabId !== currentTabId) {
+      await refreshForActiveTab();
+    }
+  });
+  
+  chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+    if (tabId === currentTabId && changeInfo.status === 'complete') {
+      await refreshForActiveTab();
+    }
+  });
+}
+
+/**
+ * Handle live updates broadcast by the background script
+ */
+function handleSidePanelMessage(message) {
+  if (message.type === 'SELECTION_UPDATED' && message.data.tabId === currentTabId) {
+    applySelectedContent(message.data.content);
+  }
+}
+
+/**
+ * Reload content and history after switching or reloading tabs
+ */
+async function refreshForActiveTab() {
+  // A job for the previous tab keeps running and is picked up on return
+  activeStream?.detach();
+  
+  speech.stop();
+  chatStream?.detach();
+  currentContent = null;
+  currentResults = null;
+  conversation = null;
+  elements.audioControls.classList.add('hidden');
+  
+  await checkSelectedContent();
+  await loadConversation();
+  updateUIState();
+  await loadImageAudit();
+  await loadAutoAltTextOption();
+  
+  const history = await loadResultHistory();
+  if (history.length > 0 && !currentResults) {
+    displayResults(history[0].results);
+  }
+  
+  await resumeJob();
+}
+
+/**
+ * Remember a result in the current tab's history
+ */
+async function recordResultHistory(results, content) {
+  if (currentTabId === null) {
+    return;
+  }
+  
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'ADD_RESULT_HISTORY',
+      data: {
+        tabId: currentTabId,
+        entry: {
+          results,
+          source: {
+            type: content.type,
+            title: content.title || '',
+            preview: (content.text || content.url || '').substring(0, 120)
+          }
+        }
+      }
+    });
+    
+    if (isSidePanel) {
+      await loadResultHistory();
+    }
+  } catch (error) {
+    console.error('Failed to record result history:', error);
+  }
+}
+
+/**
+ * Load and show the current tab's result history
+ */
+async function loadResultHistory() {
+  if (!isSidePanel || currentTabId === null) {
+    return [];
+  }
+  
+  const response = await chrome.runtime.sendMessage({
+    type: 'GET_RESULT_HISTORY',
+    data: { tabId: currentTabId }
+  });
+  
+  const history = response?.success ? response.history : [];
+  renderResultHistory(history);
+  return history;
+}
+
+/**
+ * Render the result history list
+ */
+function renderResultHistory(history) {
+  const labels = {
+    summary: 'Summary',
+    simplification: 'Simplified',
+    description: 'Description',
+    translation: 'Translation'
+  };
+  
+  if (history.length === 0) {
+    elements.historyList.innerHTML = '<li class="no-content">No results for this tab yet.</li>';
+    return;
+  }
+  
+  elements.historyList.innerHTML = history.map(entry => `
+    <li>
+      <button class="history-item" type="button" data-id="${escapeHtml(entry.id)}">
+        <span class="history-meta">${labels[entry.results.type] || 'Result'} · ${new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+        <span class="history-preview">${escapeHtml(entry.results.content.substring(0, 100))}</span>
+      </button>
+    </li>
+  `).join('');
+  
+  elements.historyList.querySelectorAll('.history-item').forEach(button => {
+    button.addEventListener('click', () => {
+      const entry = history.find(item => item.id === button.dataset.id);
+      if (entry) {
+        displayResults(entry.results);
+      }
+    });
+  });
+}
+
+/**
+ * Show the current tab's image audit, if there is one
+ */
+async function loadImageAudit() {
+  if (currentTabId === null) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_IMAGE_AUDIT',
+      data: { tabId: currentTabId }
+    });
+    
+    renderImageAudit(response?.success ? response.audit : null);
+  } catch (error) {
+    console.error('Failed to load image audit:', error);
+  }
+}
+
+/**
+ * Show the automatic alt text switch for the current tab's site
+ */
+async function loadAutoAltTextOption() {
+  elements.autoAltTextOption.classList.add('hidden');
+  
+  if (currentTabId === null) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_AUTO_ALT_TEXT',
+      data: { tabId: currentTabId }
+    });
+    
+    if (response?.success && response.available) {
+      elements.autoAltTextSite.textContent = response.hostname;
+      elements.autoAltTextToggle.checked = response.enabled;
+      elements.autoAltTextOption.classList.remove('hidden');
+    }
+  } catch (error) {
+    console.error('Failed to load automatic alt text setting:', error);
+  }
+}
+
+/**
+ * Fill the simplification level picker and select the saved level
+ */
+async function loadSimplificationLevel() {
+  elements.simplifyLevel.replaceChildren(...Object.entries(SIMPLIFICATION_LEVELS)
+    .map(([level, label]) => new Option(label, level)));
+  elements.simplifyLevel.value = DEFAULT_SETTINGS.simplificationLevel;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    
+    if (response?.success) {
+      elements.simplifyLevel.value = response.settings.simplificationLevel;
+    }
+  } catch (error) {
+    console.error('Failed to load the simplification level:', error);
+  }
+}
+
+/**
+ * Follow audit progress broadcast by the background script
+ */
+function handleImageAuditMessage(message) {
+  if (message.type === 'IMAGE_AUDIT_UPDATED' && message.data.tabId === currentTabId) {
+    renderImageAudit(message.data.audit);
+  }
+}
+
+/**
+ * Render the audit progress and report
+ */
+function renderImageAudit(audit) {
+  currentAudit = audit;
+  elements.auditSection.classList.toggle('hidden', !audit);
+  
+  if (!audit) {
+    return;
+  }
+  
+  const running = audit.status === 'running';
+  elements.auditStatus.textContent = getAuditStatusText(audit);
+  elements.auditProgress.max = Math.max(audit.total, 1);
+  elements.auditProgress.value = audit.total > 0 ? audit.completed : 1;
+  elements.auditProgress.classList.toggle('hidden', !running);
+  elements.auditCancelBtn.classList.toggle('hidden', !running);
+  
+  // Re-rendering replaces the buttons, so put focus back where it was
+  const focused = document.activeElement?.closest?.('#audit-list button');
+  const focusKey = focused && `${focused.dataset.action}:${focused.dataset.auditId}`;
+  
+  if (audit.images.length === 0) {
+    elements.auditList.innerHTML = '<li class="no-content">Every image on this page has alt text that looks meaningful.</li>';
+  } else {
+    elements.auditList.innerHTML = audit.images.map(renderAuditItem).join('');
+  }
+  
+  if (focusKey) {
+    const [action, auditId] = focusKey.split(':');
+    elements.auditList.querySelector(`button[data-action="${action}"][data-audit-id="${CSS.escape(auditId)}"]`)?.focus();
+  }
+}
+
+/**
+ * Summarize audit progress in one sentence
+ */
+function getAuditStatusText(audit) {
+  const count = `${audit.total} image${audit.total === 1 ? '' : 's'}`;
+  const described = audit.images.filter(image => image.status === 'done').length;
+  const failed = audit.images.filter(image => image.status === 'error').length;
+  
+  switch (audit.status) {
+    case 'running':
+      return `Describing image ${Math.min(audit.completed + 1, audit.total)} of ${audit.total}…`;
+    case 'cancelled':
+      return `Audit cancelled. ${count} need better alt text; ${described} described before cancelling.`;
+    default:
+      if (audit.total === 0) {
+        return 'No images need attention.';
+      }
+      return `${count} need better alt text. ${described} described${failed > 0 ? `, ${failed} could not be described` : ''}.`;
+  }
+}
+
+/**
+ * Render one audited image with its issue and suggested alt text
+ */
+function renderAuditItem(image) {
+  const issueLabels = {
+    missing: 'Missing alt text',
+    empty: 'Empty alt text',
+    'low-quality': 'Unhelpful alt text'
+  };
+  const id = escapeHtml(image.auditId);
+  
+  let suggestion;
+  switch (image.status) {
+    case 'done':
+      suggestion = `<p class="audit-suggestion"><span class="audit-label">Suggested:</span> ${escapeHtml(image.suggestion)}</p>`;
+      break;
+    case 'error':
+      suggestion = `<p class="audit-error">Could not describe: ${escapeHtml(image.error)}</p>`;
+      break;
+    case 'describing':
+      suggestion = '<p class="audit-pending">Describing…</p>';
+      break;
+    default:
+      suggestion = '<p class="audit-pending">Waiting</p>';
+  }
+  
+  return `
+    <li class="audit-item">
+      <img class="audit-thumbnail" src="${escapeHtml(image.url)}" alt="" loading="lazy">
+      <div class="audit-details">
+        <p class="audit-issue">${issueLabels[image.issue] || 'Alt text problem'}<span class="sr-only">:</span> <span class="audit-reason">${escapeHtml(image.reason)}</span></p>
+        ${image.alt ? `<p class="audit-current"><span class="audit-label">Current:</span> ${escapeHtml(image.alt)}</p>` : ''}
+        ${suggestion}
+        <div class="audit-actions">
+          <button class="stop-btn" type="button" data-action="show" data-audit-id="${id}">Show on page</button>
+          ${image.status === 'done' ? `<button class="stop-btn" type="button" data-action="copy" data-audit-id="${id}">Copy alt text</button>` : ''}
+          ${image.status === 'done' ? `<button class="stop-btn" type="button" data-action="apply" data-audit-id="${id}">Add to page</button>` : ''}
+        </div>
+      </div>
+    </li>
+  `;
+}
+
+// Translation
+
+/**
+ * Show the language picker with the preferred language selected
+ */
+async function openTranslatePanel() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_TRANSLATION_OPTIONS' });
+  
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Translation options unavailable');
+  }
+  
+  const languages = getSortedLanguages();
+  elements.sourceLanguage.replaceChildren(
+    new Option('Detect language', ''),
+    ...languages.map(code => new Option(getLanguageName(code), code))
+  );
+  
+  elements.targetLanguageSearch.value = '';
+  renderTargetLanguages(response.preferredLanguage);
+  renderRecentPairs(response.recentPairs);
+  
+  // Only ask what to translate when there is both a result and selected text
+  const canChoose = Boolean(currentResults?.content && currentContent?.text);
+  elements.translateInputChoice.classList.toggle('hidden', !canChoose);
+  
+  elements.translatePanel.classList.remove('hidden');
+  elements.translateBtn.setAttribute('aria-expanded', 'true');
+  elements.targetLanguageSearch.focus();
+}
+
+/**
+ * Hide the language picker and return focus to the Translate button
+ */
+function closeTranslatePanel() {
+  elements.translatePanel.classList.add('hidden');
+  elements.translateBtn.setAttribute('aria-expanded', 'false');
+  
+  if (!elements.translateBtn.disabled) {
+    elements.translateBtn.focus();
+  }
+}
+
+/**
+ * Get the supported languages sorted by display name
+ */
+function getSortedLanguages() {
+  return LANGUAGE_CODES
+    .map(code => ({ code, name: getLanguageName(code) }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ code }) => code);
+}
+
+/**
+ * Fill the target list with languages matching the search box
+ *
+ * Keeps the selected language when it still matches, otherwise selects the
+ * first match.
+ */
+function renderTargetLanguages(selected = elements.targetLanguage.value) {
+  const query = elements.targetLanguageSearch.value.trim().toLowerCase();
+  const matches = getSortedLanguages().filter(code => !query ||
+    getLanguageName(code).toLowerCase().includes(query) ||
+    code.toLowerCase().startsWith(query));
+  
+  if (matches.length === 0) {
+    const empty = new Option('No matching languages', '');
+    empty.disabled = true;
+    elements.targetLanguage.replaceChildren(empty);
+    elements.translateStartBtn.disabled = true;
+    elements.translatePageBtn.disabled = true;
+    elements.bilingualViewBtn.disabled = true;
+    return;
+  }
+  
+  elements.targetLanguage.replaceChildren(...matches.map(code => new Option(`${getLanguageName(code)} (${code})`, code)));
+  elements.targetLanguage.value = matches.includes(selected) ? selected : matches[0];
+  elements.translateStartBtn.disabled = false;
+  elements.translatePageBtn.disabled = false;
+  elements.bilingualViewBtn.disabled = false;
+}
+
+/**
+ * Show recently used language pairs as one-click shortcuts
+ */
+function renderRecentPairs(pairs = []) {
+  elements.recentPairs.classList.toggle('hidden', pairs.length === 0);
+  elements.recentPairsList.innerHTML = pairs.map(({ sourceLanguage, targetLanguage }) => `
+    <button class="stop-btn" type="button" data-source="${escapeHtml(sourceLanguage)}" data-target="${escapeHtml(targetLanguage)}">
+      ${escapeHtml(formatLanguagePair(sourceLanguage, targetLanguage))}
+    </button>
+  `).join('');
+}
+
+/**
+ * Describe a language pair, such as "French → English"
+ */
+function formatLanguagePair(sourceLanguage, targetLanguage) {
+  const target = getLanguageName(targetLanguage);
+  return sourceLanguage ? `${getLanguageName(sourceLanguage)} → ${target}` : target;
+}
+
+/**
+ * Get the text chosen for translation: the result or the selected text
+ */
+function getTranslationInput() {
+  const choice = elements.translateInputChoice.querySelector('input:checked')?.value;
+  const useSelection = choice === 'selection' && !elements.translateInputChoice.classList.contains('hidden');
+  
+  if (currentResults?.content && !useSelection) {
+    return { type: 'text', text: getSpeakableText(currentResults) };
+  }
+  
+  return currentContent;
+}
+
+/**
+ * Translate with the picked languages, or with a recent pair
+ */
+async function startTranslation({
+  sourceLanguage = elements.sourceLanguage.value,
+  targetLanguage = elements.targetLanguage.value
+} = {}) {
+  if (!targetLanguage) {
+    return;
+  }
+  
+  const content = getTranslationInput();
+  closeTranslatePanel();
+  
+  if (!content?.text) {
+    showError('Describe the image first, then translate the description.');
+    return;
+  }
+  
+  const options = { targetLanguage, ...(sourceLanguage && { sourceLanguage }) };
+  await processCurrentContent('translate', `Translating to ${getLanguageName(targetLanguage)}...`, options, content);
+}
+
+/**
+ * Translate the whole page in place with the picked languages
+ */
+async function handleTranslatePage() {
+  const targetLanguage = elements.targetLanguage.value;
+  const sourceLanguage = elements.sourceLanguage.value;
+  if (!targetLanguage) {
+    return;
+  }
+  
+  closeTranslatePanel();
+  
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      type: 'TRANSLATE_PAGE',
+      data: { targetLanguage, ...(sourceLanguage && { sourceLanguage }) }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Nothing to translate');
+    }
+    
+    // The page shows its own bar to switch back to the original
+    if (!isSidePanel) {
+      window.close();
+    }
+  } catch (error) {
+    console.error('Failed to translate page:', error);
+    showError('Could not translate this page. Please reload the page and try again.');
+  }
+}
+
+/**
+ * Open the current tab's article in the bilingual reader
+ */
+async function handleOpenBilingualReader() {
+  const targetLanguage = elements.targetLanguage.value;
+  if (!targetLanguage) {
+    return;
+  }
+  
+  if (currentTabId === null) {
+    showError('No page to read. Open an article and try again.');
+    return;
+  }
+  
+  const params = new URLSearchParams({ tabId: currentTabId, target: targetLanguage });
+  if (elements.sourceLanguage.value) {
+    params.set('source', elements.sourceLanguage.value);
+  }
+  
+  closeTranslatePanel();
+  await chrome.tabs.create({ url: chrome.runtime.getURL(`reader.html?${params}`) });
+  
+  if (!isSidePanel) {
+    window.close();
+  }
+}
+
+function handleRecentPairClick(event) {
+  const button = event.target.closest('button[data-target]');
+  if (button) {
+    startTranslation({ sourceLanguage: button.dataset.source, targetLanguage: button.dataset.target });
+  }
+}
+
+function handleTargetSearchKeydown(event) {
+  if (event.key === 'ArrowDown') {
+    event.preventDefault();
+    elements.targetLanguage.focus();
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    startTranslation();
+  }
+}
+
+function handleTargetLanguageKeydown(event) {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    startTranslation();
+  }
+}
+
+function handleTranslatePanelKeydown(event) {
+  if (event.key === 'Escape') {
+    event.stopPropagation();
+    closeTranslatePanel();
+  }
+}
+
+// Event Handlers
+
+async function handleSummarize() {
+  await processCurrentContent('summarize', 'Summarizing...');
+}
+
+async function handleSimplify() {
+  await processCurrentContent('simplify', 'Simplifying...', { level: elements.simplifyLevel.value });
+}
+
+/**
+ * Remember the chosen level as the default for simplifying
+ */
+async function handleSimplifyLevelChange() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_SETTINGS',
+      data: { settings: { simplificationLevel: elements.simplifyLevel.value } }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'The setting could not be changed');
+    }
+    
+  } catch (error) {
+    console.error('Failed to save the simplification level:', error);
+  }
+}
+
+async function handleDescribe() {
+  await processCurrentContent('describe', 'Describing image...');
+}
+
+async function handleTranslate() {
+  if (!elements.translatePanel.classList.contains('hidden')) {
+    closeTranslatePanel();
+    return;
+  }
+  
+  try {
+    await openTranslatePanel();
+  } catch (error) {
+    console.error('Failed to open the language picker:', error);
+    showError('Could not load translation languages. Please try again.');
+  }
+}
+
+async function handleStop() {
+  activeStream?.port.postMessage({ type: 'STOP' });
+}
+
+async function handleReadAloud() {
+  if (!currentContent || !currentContent.text) {
+    return;
+  }
+  
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    // Speak from the page so reading continues after the popup closes, and
+    // so the page can highlight the sentence and word being read
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      type: 'READ_PAGE_ALOUD',
+      data: {
+        source: currentContent.type === 'page' ? 'page' : 'selection',
+        text: currentContent.text,
+        language: currentContent.language
+      }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Nothing to read');
+    }
+    
+    // Get out of the way of the highlighting on the page
+    if (!isSidePanel) {
+      window.close();
+    }
+  } catch (error) {
+    console.error('Failed to read content aloud:', error);
+    showError('Could not read this page aloud. Please reload the page and try again.');
+  }
+}
+
+async function handleAuditImages() {
+  if (currentTabId === null) {
+    showError('No page to audit. Open a web page and try again.');
+    return;
+  }
+  
+  hideError();
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'START_IMAGE_AUDIT',
+      data: { tabId: currentTabId }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'The audit could not start');
+    }
+    
+    renderImageAudit(response.audit);
+    
+  } catch (error) {
+    console.error('Failed to start image audit:', error);
+    showError(`Could not audit this page: ${error.message}`);
+  }
+}
+
+async function handleCancelAudit() {
+  await chrome.runtime.sendMessage({
+    type: 'CANCEL_IMAGE_AUDIT',
+    data: { tabId: currentTabId }
+  });
+}
+
+async function handleAuditListClick(event) {
+  const button = event.target.closest('button[data-action]');
+  const image = currentAudit?.images.find(item => item.auditId === button?.dataset.auditId);
+  
+  if (!image) {
+    return;
+  }
+  
+  if (button.dataset.action === 'apply') {
+    try {
+      await applyAltText({ url: image.url, auditId: image.auditId, altText: image.suggestion, description: image.description });
+      button.textContent = 'Added';
+      elements.auditStatus.textContent = 'Alt text added to the page.';
+    } catch (error) {
+      console.error('Failed to add alt text:', error);
+      showError(`Could not add the alt text: ${error.message}`);
+    }
+    return;
+  }
+  
+  if (button.dataset.action === 'copy') {
+    try {
+      await navigator.clipboard.writeText(image.suggestion);
+      button.textContent = 'Copied';
+      elements.auditStatus.textContent = 'Alt text copied.';
+    } catch (error) {
+      console.error('Failed to copy alt text:', error);
+      showError('Could not copy the alt text. Select it and copy it instead.');
+    }
+    return;
+  }
+  
+  try {
+    const response = await chrome.tabs.sendMessage(currentTabId, {
+      type: 'SHOW_AUDIT_IMAGE',
+      data: { auditId: image.auditId }
+    });
+    
+    if (!response?.found) {
+      showError('This image is no longer on the page.');
+    }
+  } catch (error) {
+    console.error('Failed to show audited image:', error);
+    showError('AURA cannot reach this page. Reload the page and audit it again.');
+  }
+}
+
+async function handleApplyAltText() {
+  try {
+    const response = await applyAltText({
+      url: currentContent.url,
+      altText: currentResults.altText,
+      description: currentResults.longDescription || currentResults.content
+    });
+    
+    elements.applyAltBtn.querySelector('.btn-text').textContent = response.applied > 0
+      ? 'Alt Text Added'
+      : 'Image Not Found on Page';
+    
+  } catch (error) {
+    console.error('Failed to add alt text:', error);
+    showError(`Could not add the alt text: ${error.message}`);
+  }
+}
+
+/**
+ * Ask the background to write alt text into the current tab's page
+ */
+async function applyAltText(data) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'APPLY_ALT_TEXT',
+    data: { ...data, tabId: currentTabId }
+  });
+  
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'The page could not be changed');
+  }
+  
+  return response;
+}
+
+async function handleAutoAltTextToggle() {
+  const enabled = elements.autoAltTextToggle.checked;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_AUTO_ALT_TEXT',
+      data: { tabId: currentTabId, enabled }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'The setting could not be changed');
+    }
+    
+  } catch (error) {
+    console.error('Failed to change automatic alt text:', error);
+    elements.autoAltTextToggle.checked = !enabled;
+    showError(`Could not change automatic alt text: ${error.message}`);
+  }
+}
+
+async function handlePlayAudio() {
+  if (speech.state === 'speaking') {
+    speech.pause();
+    return;
+  }
+  
+  if (speech.state === 'paused') {
+    speech.resume();
+    return;
+  }
+  
+  if (!currentResults || !currentResults.content) {
+    return;
+  }
+  
+  if (!('speechSynthesis' in window)) {
+    showError('Speech is not available in this browser.');
+    return;
+  }
+  
+  hideError();
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    const settings = response?.success ? response.settings : {};
+    
+    await speech.speak(getSpeakableText(currentResults), {
+      language: currentResults.language || currentContent?.language || '',
+      voiceURI: settings.ttsVoice,
+      rate: settings.ttsRate,
+      pitch: settings.ttsPitch
+    });
+  } catch (error) {
+    console.error('Failed to read result aloud:', error);
+    showError('Could not read this result aloud.');
+  }
+}
+
+async function handleSkipAudio() {
+  speech.skip();
+}
+
+async function handleStopAudio() {
+  speech.stop();
+}
+
+/**
+ * Show playback state on the audio buttons and tell screen readers about it
+ */
+function updateAudioControls(state) {
+  const labels = {
+    idle: { icon: '🔊', text: 'Read Aloud', description: 'Listen to the generated content', status: 'Stopped reading.' },
+    speaking: { icon: '⏸️', text: 'Pause', description: 'Pause reading aloud', status: 'Reading aloud.' },
+    paused: { icon: '▶️', text: 'Resume', description: 'Continue reading from the current sentence', status: 'Paused.' }
+  };
+  const label = labels[state];
+  
+  elements.playAudioBtn.querySelector('.btn-icon').textContent = label.icon;
+  elements.playAudioBtn.querySelector('.btn-text').textContent = label.text;
+  document.getElementById('play-desc').textContent = label.description;
+  
+  elements.skipAudioBtn.classList.toggle('hidden', state === 'idle');
+  elements.stopAudioBtn.classList.toggle('hidden', state === 'idle');
+  elements.audioStatus.textContent = label.status;
+  
+  // Hiding the focused Stop or Next button would drop focus to the page
+  if (state === 'idle' && elements.audioControls.contains(document.activeElement)) {
+    elements.playAudioBtn.focus();
+  }
+}
+
+/**
+ * Get the text of a result as it should be spoken
+ *
+ * Image descriptions come back as JSON; read the alt text and description
+ * instead of the braces and keys.
+ */
+function getSpeakableText(results) {
+  if (results.type === RESULT_TYPES.describe) {
+    try {
+      const parsed = JSON.parse(results.content.match(/\{[\s\S]*\}/)?.[0]);
+      return [parsed.alt_text, parsed.description].filter(Boolean).join('\n\n') || results.content;
+    } catch (error) {
+      // Not JSON; read it as it is
+    }
+  }
+  
+  return results.content;
+}
+
+async function handleSave() {
+  if (!currentResults || !currentResults.content || currentResults.savedId) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_RESULT',
+      data: { results: currentResults, content: currentContent }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Saving failed');
+    }
+    
+    currentResults.savedId = response.id;
+    updateSaveButton();
+    
+  } catch (error) {
+    console.error('Failed to save result:', error);
+    showError(`Could not save this result: ${error.message}`);
+  }
+}
+
+/**
+ * Show whether the current result is already in the saved library
+ */
+function updateSaveButton() {
+  const saved = Boolean(currentResults?.savedId);
+  
+  elements.saveBtn.disabled = saved;
+  elements.saveBtn.querySelector('.btn-text').textContent = saved ? 'Saved to Library' : 'Save Result';
+}
+
+/**
+ * Generate the shown result again, bypassing the cache
+ */
+async function handleRegenerate() {
+  if (!resultRequest) {
+    return;
+  }
+  
+  const { operation, loadingMessage, options, content } = resultRequest;
+  await processCurrentContent(operation, loadingMessage, { ...options, regenerate: true }, content);
+}
+
+async function handleOpenLibrary() {
+  await chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+  
+  if (!isSidePanel) {
+    window.close();
+  }
+}
+
+async function handleOpenVocabulary() {
+  await chrome.tabs.create({ url: chrome.runtime.getURL('vocabulary.html') });
+  
+  if (!isSidePanel) {
+    window.close();
+  }
+}
+
+async function handleRetry() {
+  console.log('Retry clicked');
+  hideError();
+  
+  if (lastOperation) {
+    const { operation, loadingMessage, options, content } = lastOperation;
+    await processCurrentContent(operation, loadingMessage, options, content);
+    return;
+  }
+  
+  await initializeInterface();
+}
+
+/**
+ * Open the side panel on this tab
+ *
+ * Chrome only opens it while handling the click, so nothing is awaited first.
+ */
+function handleOpenSidePanel() {
+  if (!chrome.sidePanel?.open) {
+    showError('Could not open the side panel. It needs Chrome 116 or newer.');
+    return;
+  }
+  
+  if (currentTabId === null) {
+    showError('Could not open the side panel for this tab.');
+    return;
+  }
+  
+  chrome.sidePanel.open({ tabId: currentTabId })
+    .then(() => window.close())
+    .catch(error => {
+      console.error('Failed to open side panel:', error);
+      showError(`Could not open the side panel: ${error.message}`);
+    });
+}
+
+async function handleSettings() {
+  await chrome.runtime.openOptionsPage();
+  
+  if (!isSidePanel) {
+    window.close();
+  }
+}
+
+async function handleHelp() {
+  if (!elements.helpSection.classList.contains('hidden')) {
+    closeHelp();
+    return;
+  }
+  
+  await renderShortcuts();
+  elements.helpSection.classList.remove('hidden');
+  elements.helpBtn.setAttribute('aria-expanded', 'true');
+  elements.helpHeading.focus();
+}
+
+/**
+ * List the keyboard shortcuts with the keys currently bound to them
+ *
+ * Keys are read on every opening because users change them on the browser's
+ * shortcuts page while the popup is closed.
+ */
+async function renderShortcuts() {
+  try {
+    const commands = await chrome.commands.getAll();
+    
+    elements.shortcutList.innerHTML = commands.map(command => `
+      <tr>
+        <th scope="row">${escapeHtml(command.name === '_execute_action' ? 'Open AURA' : command.description)}</th>
+        <td>${command.shortcut
+          ? `<kbd>${escapeHtml(command.shortcut)}</kbd>`
+          : '<span class="shortcut-unset">Not set</span>'}</td>
+      </tr>
+    `).join('');
+    
+  } catch (error) {
+    console.error('Failed to load keyboard shortcuts:', error);
+    elements.shortcutList.innerHTML = '<tr><td colspan="2">Keyboard shortcuts could not be loaded.</td></tr>';
+  }
+}
+
+function closeHelp() {
+  elements.helpSection.classList.add('hidden');
+  elements.helpBtn.setAttribute('aria-expanded', 'false');
+  elements.helpBtn.focus();
+}
+
+async function handleChangeShortcuts() {
+  // Extensions cannot rebind their own commands; the browser's page does it
+  await chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  
+  if (!isSidePanel) {
+    window.close();
+  }
+}
+
+/**
+ * Handle keyboard shortcuts inside the popup
+ *
+ * Page-wide shortcuts are the manifest's commands, handled by the background.
+ */
+function handleKeyboardShortcuts(event) {
   // Escape to close error messages
   if (event.key === 'Escape') {
     hideError();
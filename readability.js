@@ -0,0 +1,174 @@
+/**
+ * AURA - AI Universal Reading Assistant - Readability
+ * English readability metrics, to show whether a rewrite got easier to read
+ */
+
+const READABILITY_CONFIG = {
+  MIN_WORDS: 10   // Shorter texts give meaningless scores
+};
+
+// Everyday English words; anything else (after removing common endings) is rare
+const COMMON_WORDS = new Set(`
+a able about above across act add after again against age ago air all almost alone along already also although always am
+among an and animal another answer any anyone anything appear apple are area arm around arrive art as ask at away baby
+back bad bag ball bank base be bear beat beautiful became because become bed been before began begin behind being
+believe bell below best better between big bird bit black blood blow blue board boat body book born both bottom bought
+box boy brain bread break bring brother brought brown build built burn busy but buy by call came can car care carry case
+cat catch cause center certain chair chance change check child children choose church city class clean clear climb close
+clothes cloud cold color come common company complete could count country course cover cross cry cup cut dad dark day
+dead deal dear decide deep did die different difficult dinner do doctor does dog done door down draw dream dress drink
+drive drop dry during each ear early earth easy eat edge egg eight either else end enough even evening ever every
+everyone everything example eye face fact fall family far farm fast father fear feel feet fell felt few field fight
+figure fill final find fine finger finish fire first fish five floor flower fly follow food foot for force forest form
+forward found four free friend from front full fun game garden gave get girl give glad glass go gold gone good got great
+green ground group grow guess had hair half hand happen happy hard has hat have he head hear heard heart heat heavy held
+help her here high hill him his history hit hold hole home hope horse hot hour house how however huge human hundred
+hungry hurt i idea if important in inside instead interest into is it its job join just keep kept key kid kill kind king
+kitchen knew know land language large last late laugh law lay lead learn least leave led left leg less let letter life
+light like line list listen little live long look lost lot loud love low machine made main make man many map mark market
+matter may maybe me mean meet member men middle might mile milk mind minute miss moment money month moon more morning
+most mother mountain mouth move much music must my name near need never new news next nice night nine no noise none nor
+north nose not note nothing notice now number of off offer office often oh oil old on once one only open or order other
+our out outside over own page paint pair paper parent park part party pass past pay people perhaps person pick picture
+piece place plan plant play please point poor possible power present pretty price problem pull push put question quick
+quiet quite rain ran reach read ready real reason red remember rest rich ride right ring rise river road rock room round
+rule run safe said same sat save saw say school sea season seat second see seem seen sell send sense sent set seven
+several shall shape share she ship shoe shop short should shout show side sign simple since sing sister sit six size sky
+sleep slow small smell smile snow so soft some someone something sometimes son song soon sorry sound south space speak
+special spend spring stand star start state stay step still stone stop store story street strong student study such
+sudden summer sun sure surprise table take talk tall teach teacher team tell ten than thank that the their them then
+there these they thing think third this those though thought thousand three through throw time tiny to today together
+told tomorrow too took top touch toward town tree trip trouble true try turn twenty two under understand until up upon
+us use usual very visit voice wait walk wall want war warm was wash watch water way we wear weather week well went were
+west what wheel when where whether which while white who whole why wide wife will win wind window winter wish with
+without woman women wonder wood word work world worry would write wrong year yes yet you young your accept account
+action activity actually address admit adult afraid afternoon agree ahead allow amount angry anyway apart approach argue
+army arrange attack attention aunt autumn available avoid awake aware bake balance basic basket bath battle beach beauty
+bedroom beef beer beg beginning belong bend beside bicycle bike bill birth birthday bite blanket blind block boil bone
+border borrow boss bottle bowl brave breakfast breath bridge bright brush budget bus business butter button cake camera
+camp candle cap capital card career careful carpet castle cattle celebrate cell chain chapter charge cheap cheese
+chicken chief choice circle claim clock cloth club coat coffee coin collect college comfortable compare complain
+computer concern condition contain continue control cook cookie cool copy corner correct cost cotton couch cousin cow
+crazy cream create crime crowd culture cupboard curtain customer damage dance danger daughter death debt deliver depend
+describe desert design desk detail develop dictionary diet dirty discover dish distance divide double doubt dozen drawer
+drug dust duty eager east economy education effect effort elephant empty energy engine enjoy enter entire envelope equal
+escape event exact exam excellent except excited excuse exercise exist expect expensive experience explain express extra
+fail fair famous fan fat fault favorite feather feeling female fence film fix flag flat flight float fold foreign forget
+forgive fork fresh fridge fruit funny furniture future gap gas gate general gentle gift glove goal god government grade
+grandfather grandmother grass gray grey guard guest guide gun habit hall hang hardly hate health healthy hello helpful
+hero hide hobby holiday honest horrible hospital hotel housework hunt hurry husband ice ill imagine improve include
+increase information insect instrument invite iron island item jacket joke journey judge juice jump jungle kick kiss
+knee knife knock ladder lady lake lamp lazy leaf lesson level library lie lift lion lip liquid local lock lonely loose
+lose lucky lunch mad magazine mail male manage manner marry match meal measure meat medicine memory message metal method
+mirror mistake mix modern monkey mood motor mouse movie mud museum narrow nation natural nature neck neighbor nervous
+nest net normal nurse object ocean opinion orange ordinary organize oven pack pain pan pants pencil pepper perfect
+period pet phone photo piano pig pilot pink pipe plastic plate pocket poem police polite pool popular position post pot
+potato pound practice prefer prepare president press prison private prize produce program promise proper protect proud
+provide public punish purple purpose puzzle quarter queen race radio rather reality receive record refuse region relax
+religion remove rent repair repeat reply report require rescue restaurant result return rice risk role roof rope rough
+row rub rubbish sad salt sand scared science score screen search secret seed selfish sentence serious serve shadow shake
+shelf shine shirt shock shoot shoulder shower shut sick silent silly silver sink skill skin skirt slip smart smoke snake
+soap social sock soldier solve soup sour speed spell spoon sport square stair stamp steal stick stomach straight strange
+stranger stream stretch strict stupid subject succeed sugar suggest suit supper support suppose surface sweet swim
+system tail taste taxi tea tear telephone television temperature tent terrible test thick thief thin thirsty ticket tidy
+tie tired title toe toilet tongue tool tooth topic total tour toy traffic train travel treat trousers truck trust truth
+type ugly umbrella uncle uniform unit university upset useful vegetable village vote wake wallet wave weak wedding
+weight welcome wet wild wing wise wolf wooden wool worse worst wrap yard yellow yesterday zero data email internet
+online website
+`.trim().split(/\s+/));
+
+const COMMON_WORD_ENDINGS = ['ies', 'es', 's', 'ed', 'd', 'ing', 'ly', 'er', 'est'];
+
+/**
+ * Measure how hard an English text is to read
+ *
+ * Returns { grade, sentenceLength, rareWordRatio }: the Flesch-Kincaid grade
+ * level, the average number of words per sentence, and the share of words
+ * outside everyday English. Returns null for text too short to score, or
+ * with no English words at all.
+ */
+function measureReadability(text) {
+  const sentences = splitReadabilitySentences(text);
+  const words = sentences.flat();
+
+  if (words.length < READABILITY_CONFIG.MIN_WORDS) {
+    return null;
+  }
+
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  const rareWords = sentences
+    .flatMap(sentenceWords => sentenceWords.filter((word, index) => isRareWord(word, index === 0)))
+    .length;
+  const sentenceLength = words.length / sentences.length;
+
+  return {
+    grade: roundTo(Math.max(0, 0.39 * sentenceLength + 11.8 * (syllables / words.length) - 15.59), 1),
+    sentenceLength: roundTo(sentenceLength, 1),
+    rareWordRatio: roundTo(rareWords / words.length, 2)
+  };
+}
+
+/**
+ * Split text into sentences, each a list of its words
+ *
+ * Line breaks end sentences too, so list items and headings count as one
+ * sentence each.
+ */
+function splitReadabilitySentences(text) {
+  return text
+    .split(/[.!?…]+(?=\s|$)|\n+/)
+    .map(sentence => sentence.match(/[A-Za-z]+(?:['’][A-Za-z]+)*/g) || [])
+    .filter(words => words.length > 0);
+}
+
+/**
+ * Estimate the syllables in an English word
+ */
+function countSyllables(word) {
+  const lower = word.toLowerCase().replace(/['’].*$/, '');
+
+  if (lower.length <= 3) {
+    return 1;
+  }
+
+  const trimmed = lower
+    .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '');
+
+  return Math.max(1, (trimmed.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+/**
+ * Check whether a word is outside everyday English
+ *
+ * Capitalized words inside a sentence are taken to be names and never
+ * count as rare.
+ */
+function isRareWord(word, startsSentence = false) {
+  if (!startsSentence && /^[A-Z]/.test(word)) {
+    return false;
+  }
+
+  const lower = word.toLowerCase().replace(/['’]s$/, '');
+  if (COMMON_WORDS.has(lower)) {
+    return false;
+  }
+
+  return !COMMON_WORD_ENDINGS.some(ending => {
+    if (!lower.endsWith(ending)) return false;
+
+    const stem = lower.slice(0, -ending.length);
+    return COMMON_WORDS.has(stem) ||
+      (ending === 'ies' && COMMON_WORDS.has(`${stem}y`)) ||
+      COMMON_WORDS.has(`${stem}e`) ||
+      (stem.length > 2 && stem.at(-1) === stem.at(-2) && COMMON_WORDS.has(stem.slice(0, -1)));
+  });
+}
+
+/**
+ * Round a number to a number of decimal places
+ */
+function roundTo(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
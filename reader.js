@@ -0,0 +1,509 @@
+/**
+ * AURA - AI Universal Reading Assistant - Bilingual Reader
+ * Show an article paragraph by paragraph next to its translation
+ */
+
+const READER_CONFIG = {
+  LAYOUT_STORAGE_KEY: 'readerLayout',
+  MAX_BATCH_LENGTH: 1500,         // Characters of paragraphs translated per request
+  DETECTION_SAMPLE_LENGTH: 2000
+};
+
+// Reader state
+let page = null;
+let rows = [];
+let originalLanguage = '';
+let translationRun = 0;
+let settings = {};
+let speech = null;
+let speakingSentence = null;
+
+// DOM elements
+let elements = {};
+
+/**
+ * Initialize the reader when DOM is loaded
+ *
+ * The page is opened with ?tabId= for the tab to read, and optionally
+ * &target= and &source= language codes.
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  cacheElements();
+  setupEventListeners();
+
+  speech = createSpeechEngine({
+    onStateChange: handleSpeechStateChange,
+    onEnd: ({ error }) => {
+      if (error) showError(error);
+    }
+  });
+
+  await loadReader();
+});
+
+/**
+ * Cache DOM elements for better performance
+ */
+function cacheElements() {
+  elements = {
+    pageSource: document.getElementById('page-source'),
+    sourceLanguage: document.getElementById('source-language'),
+    targetLanguage: document.getElementById('target-language'),
+    layoutInputs: document.querySelectorAll('input[name="layout"]'),
+    exportBtn: document.getElementById('export-btn'),
+    status: document.getElementById('reader-status'),
+    errorDisplay: document.getElementById('error-display'),
+    reader: document.getElementById('reader'),
+    articleTitle: document.getElementById('article-title'),
+    originalHeading: document.getElementById('original-heading'),
+    translationHeading: document.getElementById('translation-heading'),
+    rows: document.getElementById('reader-rows')
+  };
+}
+
+function setupEventListeners() {
+  elements.sourceLanguage.addEventListener('change', translateRows);
+  elements.targetLanguage.addEventListener('change', translateRows);
+  elements.layoutInputs.forEach(input => input.addEventListener('change', handleLayoutChange));
+  elements.exportBtn.addEventListener('click', handleExport);
+
+  // Sentences are re-rendered with each translation, so listen on the container
+  elements.rows.addEventListener('click', handleSentenceClick);
+}
+
+/**
+ * Extract the article from its tab, then translate it
+ */
+async function loadReader() {
+  const params = new URLSearchParams(window.location.search);
+  const tabId = Number(params.get('tabId'));
+
+  try {
+    const [settingsResponse, stored] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }),
+      chrome.storage.local.get(READER_CONFIG.LAYOUT_STORAGE_KEY)
+    ]);
+
+    settings = settingsResponse?.settings || {};
+    setLayout(stored[READER_CONFIG.LAYOUT_STORAGE_KEY] || 'columns');
+    populateLanguages(params.get('source') || '', params.get('target') || settings.preferredLanguage || 'en');
+
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tabId, { type: 'EXTRACT_PAGE' });
+    } catch (error) {
+      throw new Error('AURA could not reach that page. Reload it and open the bilingual reader again.');
+    }
+
+    page = response?.page;
+    if (!page) {
+      throw new Error('AURA could not find an article on that page.');
+    }
+
+    document.title = `${page.title} - AURA Bilingual Reader`;
+    elements.articleTitle.textContent = page.title;
+    elements.pageSource.innerHTML = /^https?:/.test(page.url)
+      ? `From <a href="${escapeHtml(page.url)}">${escapeHtml(page.siteName || new URL(page.url).hostname)}</a>`
+      : '';
+
+    rows = buildReaderRows(page);
+    originalLanguage = page.language;
+    await translateRows();
+
+  } catch (error) {
+    console.error('Error loading bilingual reader:', error);
+    elements.status.textContent = '';
+    showError(error.message);
+  }
+}
+
+/**
+ * Fill the language lists, sorted by display name
+ */
+function populateLanguages(sourceLanguage, targetLanguage) {
+  const languages = LANGUAGE_CODES
+    .map(code => ({ code, name: getLanguageName(code) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  elements.sourceLanguage.replaceChildren(
+    new Option('Detect language', ''),
+    ...languages.map(({ code, name }) => new Option(name, code))
+  );
+  elements.targetLanguage.replaceChildren(...languages.map(({ code, name }) => new Option(name, code)));
+
+  elements.sourceLanguage.value = LANGUAGE_CODES.includes(sourceLanguage) ? sourceLanguage : '';
+  elements.targetLanguage.value = LANGUAGE_CODES.includes(targetLanguage) ? targetLanguage : 'en';
+}
+
+/**
+ * Turn the article's paragraphs into reader rows, marking headings
+ */
+function buildReaderRows({ paragraphs, headings }) {
+  let nextHeading = 0;
+
+  return paragraphs.map(text => {
+    let level = 0;
+
+    // Headings are listed separately in document order
+    if (headings[nextHeading]?.text === text) {
+      level = headings[nextHeading].level;
+      nextHeading++;
+    }
+
+    return { text, level, translation: '', status: 'pending' };
+  });
+}
+
+/**
+ * Translate every row into the chosen language, a batch at a time
+ *
+ * Changing the languages starts over: the older run's batch is cancelled
+ * and the run stops there.
+ */
+async function translateRows() {
+  if (!page) return;
+
+  const run = ++translationRun;
+  if (run > 1) {
+    chrome.runtime.sendMessage({ type: 'CANCEL_PAGE_TRANSLATION' }).catch(() => {});
+  }
+  const targetLanguage = elements.targetLanguage.value;
+  let sourceLanguage = elements.sourceLanguage.value;
+  let rememberPair = true;
+  let translated = 0;
+
+  speech.stop();
+  hideError();
+  elements.exportBtn.disabled = true;
+  rows.forEach(row => {
+    row.translation = '';
+    row.status = 'pending';
+  });
+  originalLanguage = sourceLanguage || page.language;
+  renderReader();
+
+  for (const batch of getTranslationBatches(rows)) {
+    elements.status.textContent = `Translating paragraph ${translated + 1} of ${rows.length}...`;
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: 'TRANSLATE_PAGE_TEXT',
+        data: {
+          texts: batch.map(row => row.text),
+          sourceLanguage,
+          targetLanguage,
+          sample: sourceLanguage ? '' : page.text.substring(0, READER_CONFIG.DETECTION_SAMPLE_LENGTH),
+          rememberPair
+        }
+      });
+    } catch (error) {
+      response = { success: false, error: 'AURA stopped responding. Please try again.' };
+    }
+
+    if (run !== translationRun) return;
+
+    if (!response?.success) {
+      batch.forEach(row => { row.status = 'failed'; });
+      renderRows(batch);
+      showError(response?.error || 'Translation failed');
+
+      // The same languages would fail for the rest of the article too
+      if (translated === 0) {
+        rows.forEach(row => { row.status = 'failed'; });
+        renderReader();
+        elements.status.textContent = 'Translation failed. The original text is shown.';
+        return;
+      }
+      continue;
+    }
+
+    sourceLanguage = response.sourceLanguage;
+    rememberPair = false;
+
+    // The first detection tells the original column which language it is in
+    if (originalLanguage !== sourceLanguage) {
+      originalLanguage = sourceLanguage;
+      renderReader();
+    }
+
+    // Translations that do not match the rows one to one would land on the
+    // wrong paragraphs, so the whole batch is marked not translated instead
+    const translations = response.translations || [];
+    const matched = translations.length === batch.length;
+    batch.forEach((row, index) => {
+      row.translation = matched ? translations[index] || '' : '';
+      row.status = row.translation ? 'done' : 'failed';
+    });
+    if (!matched) {
+      console.warn(`Got ${translations.length} translations for ${batch.length} paragraphs`);
+    }
+    translated += batch.filter(row => row.status === 'done').length;
+    renderRows(batch);
+  }
+
+  elements.status.textContent = `Translated ${translated} of ${rows.length} paragraphs from ${getLanguageName(sourceLanguage)} to ${getLanguageName(targetLanguage)}.`;
+  elements.exportBtn.disabled = translated === 0;
+}
+
+/**
+ * Group rows into batches of about MAX_BATCH_LENGTH characters
+ */
+function getTranslationBatches(allRows) {
+  const batches = [];
+  let batch = [];
+  let length = 0;
+
+  allRows.forEach(row => {
+    if (batch.length > 0 && length + row.text.length > READER_CONFIG.MAX_BATCH_LENGTH) {
+      batches.push(batch);
+      batch = [];
+      length = 0;
+    }
+    batch.push(row);
+    length += row.text.length;
+  });
+
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+/**
+ * Render all rows and the column headings
+ */
+function renderReader() {
+  const targetLanguage = elements.targetLanguage.value;
+
+  elements.originalHeading.textContent = `Original${originalLanguage ? ` (${getLanguageName(originalLanguage)})` : ''}`;
+  elements.translationHeading.textContent = `Translation (${getLanguageName(targetLanguage)})`;
+
+  elements.rows.innerHTML = rows.map((row, index) => `
+    <div class="reader-row" data-row="${index}">
+      ${formatReaderCells(row)}
+    </div>
+  `).join('');
+}
+
+/**
+ * Re-render the given rows in place
+ */
+function renderRows(changedRows) {
+  changedRows.forEach(row => {
+    const element = elements.rows.querySelector(`[data-row="${rows.indexOf(row)}"]`);
+    if (element) {
+      element.innerHTML = formatReaderCells(row);
+    }
+  });
+}
+
+/**
+ * Format the original and translated cells of a row
+ *
+ * Each cell carries its language so screen readers and speech use the
+ * right pronunciation.
+ */
+function formatReaderCells(row) {
+  const targetLanguage = elements.targetLanguage.value;
+  const tag = row.level ? `h${Math.min(row.level + 2, 6)}` : 'p';
+
+  let translation;
+  switch (row.status) {
+    case 'done':
+      translation = `<${tag}>${formatSentences(row.translation, targetLanguage)}</${tag}>`;
+      break;
+    case 'failed':
+      translation = '<p class="cell-note">Not translated</p>';
+      break;
+    default:
+      translation = '<p class="cell-note">Translating...</p>';
+  }
+
+  return `
+    <div class="reader-cell original"${originalLanguage ? ` lang="${escapeHtml(originalLanguage)}"` : ''}>
+      <${tag}>${formatSentences(row.text, originalLanguage)}</${tag}>
+    </div>
+    <div class="reader-cell translation" lang="${escapeHtml(targetLanguage)}">
+      ${translation}
+    </div>
+  `;
+}
+
+/**
+ * Wrap each sentence in a button that reads it aloud
+ */
+function formatSentences(text, language) {
+  const sentences = splitSpeechSentences(text, language);
+
+  if (sentences.length === 0) {
+    return escapeHtml(text);
+  }
+
+  return sentences
+    .map(sentence => `<button class="sentence" type="button">${escapeHtml(sentence.text)}</button>`)
+    .join(' ');
+}
+
+/**
+ * Read a sentence aloud in the language of its column; a second click stops it
+ */
+function handleSentenceClick(event) {
+  const sentence = event.target.closest('.sentence');
+  if (!sentence) return;
+
+  const isSpeaking = sentence === speakingSentence;
+  clearSpeakingSentence();
+  speech.stop();
+
+  if (isSpeaking) {
+    return;
+  }
+
+  speech.speak(sentence.textContent, {
+    language: sentence.closest('[lang]')?.lang || '',
+    voiceURI: settings.ttsVoice,
+    rate: settings.ttsRate,
+    pitch: settings.ttsPitch
+  });
+
+  speakingSentence = sentence;
+  sentence.classList.add('speaking');
+}
+
+function handleSpeechStateChange(state) {
+  if (state === 'idle') {
+    clearSpeakingSentence();
+  }
+}
+
+function clearSpeakingSentence() {
+  speakingSentence?.classList.remove('speaking');
+  speakingSentence = null;
+}
+
+/**
+ * Switch between side-by-side and interleaved layouts and remember the choice
+ */
+async function handleLayoutChange(event) {
+  setLayout(event.target.value);
+
+  try {
+    await chrome.storage.local.set({ [READER_CONFIG.LAYOUT_STORAGE_KEY]: event.target.value });
+  } catch (error) {
+    console.error('Error saving reader layout:', error);
+  }
+}
+
+function setLayout(layout) {
+  const value = layout === 'interleaved' ? 'interleaved' : 'columns';
+
+  elements.reader.classList.toggle('columns', value === 'columns');
+  elements.reader.classList.toggle('interleaved', value === 'interleaved');
+  elements.layoutInputs.forEach(input => {
+    input.checked = input.value === value;
+  });
+}
+
+/**
+ * Download the bilingual article as a single offline HTML file
+ */
+function handleExport() {
+  try {
+    const blob = new Blob([exportBilingualHTML()], { type: 'text/html;charset=utf-8' });
+    const filename = `aura-bilingual-${new Date().toISOString().substring(0, 10)}-${elements.targetLanguage.value}.html`;
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    elements.status.textContent = `Exported to ${filename}`;
+
+  } catch (error) {
+    console.error('Error exporting bilingual article:', error);
+    showError(`Could not export: ${error.message}`);
+  }
+}
+
+/**
+ * Build the export file, keeping the current layout, with styles inlined
+ */
+function exportBilingualHTML() {
+  const targetLanguage = elements.targetLanguage.value;
+  const interleaved = elements.reader.classList.contains('interleaved');
+  const originalLang = originalLanguage ? ` lang="${escapeHtml(originalLanguage)}"` : '';
+
+  const body = rows.map(row => {
+    const tag = row.level ? `h${Math.min(row.level + 1, 6)}` : 'p';
+    return `
+    <div class="row">
+      <${tag} class="original"${originalLang}>${escapeHtml(row.text)}</${tag}>
+      <${tag} class="translation" lang="${escapeHtml(targetLanguage)}">${escapeHtml(row.translation)}</${tag}>
+    </div>`;
+  }).join('');
+
+  const source = /^https?:/.test(page.url)
+    ? `<p class="meta">Source: <a href="${escapeHtml(page.url)}">${escapeHtml(page.url)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(page.title)} (${escapeHtml(getLanguageName(targetLanguage))})</title>
+  <style>
+    body { max-width: ${interleaved ? '760px' : '1100px'}; margin: 0 auto; padding: 24px; font: 16px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; }
+    header { border-bottom: 4px solid #667eea; margin-bottom: 24px; }
+    h1 { font-size: 24px; margin: 0 0 4px; }
+    .meta { font-size: 13px; color: #666; margin: 4px 0; }
+    .row { display: grid; grid-template-columns: ${interleaved ? '1fr' : '1fr 1fr'}; gap: ${interleaved ? '4px' : '24px'}; padding: 8px 0; border-bottom: 1px solid #e9ecef; }
+    .row > * { margin: 0; }
+    .translation { ${interleaved ? 'padding-left: 12px; border-left: 3px solid #667eea; color: #4a4a6a;' : ''} }
+    a { color: #4c5bd4; }
+    @media (max-width: 640px) { .row { grid-template-columns: 1fr; gap: 4px; } }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(page.title)}</h1>
+    ${source}
+    <p class="meta">${escapeHtml(originalLanguage ? getLanguageName(originalLanguage) : 'Original')} and ${escapeHtml(getLanguageName(targetLanguage))} · Exported ${escapeHtml(new Date().toLocaleString())} from AURA</p>
+  </header>
+  <main>${body}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+  elements.errorDisplay.textContent = message;
+  elements.errorDisplay.classList.remove('hidden');
+}
+
+/**
+ * Hide error message
+ */
+function hideError() {
+  elements.errorDisplay.classList.add('hidden');
+}
+
+/**
+ * Escape HTML to prevent XSS, including quotes since values go into attributes
+ */
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
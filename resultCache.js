@@ -0,0 +1,148 @@
+/**
+ * AURA - AI Universal Reading Assistant - Result Cache
+ * Keep finished AI results in IndexedDB, keyed by a hash of their input, so
+ * repeating an action on the same content returns instantly
+ */
+
+const RESULT_CACHE_CONFIG = {
+  DB_NAME: 'aura-result-cache',
+  DB_VERSION: 1,
+  STORE_NAME: 'results',
+  MAX_BYTES: 10 * 1024 * 1024,   // Least recently used results are evicted past this size
+  MAX_ENTRIES: 1000
+};
+
+let resultCacheDb = null;
+
+/**
+ * Open the cache database, creating its store on first use
+ */
+function openResultCache() {
+  if (!resultCacheDb) {
+    resultCacheDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(RESULT_CACHE_CONFIG.DB_NAME, RESULT_CACHE_CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(RESULT_CACHE_CONFIG.STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastUsed', 'lastUsed');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let the next call try again instead of keeping a failed open
+    resultCacheDb.catch(() => {
+      resultCacheDb = null;
+    });
+  }
+
+  return resultCacheDb;
+}
+
+/**
+ * Resolve once a transaction has committed
+ */
+function completeTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Result cache transaction aborted'));
+  });
+}
+
+/**
+ * Hash everything that affects a result into its cache key
+ *
+ * parts is any JSON value, typically the operation, the input content, the
+ * provider and model, and the settings the operation depends on.
+ */
+async function getResultCacheKey(parts) {
+  const bytes = new TextEncoder().encode(JSON.stringify(parts));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up a cached result and mark it as recently used
+ *
+ * Returns { results, createdAt } or null on a miss. A broken cache counts
+ * as a miss so it never blocks generating a result.
+ */
+async function getCachedResult(key) {
+  try {
+    const db = await openResultCache();
+    const transaction = db.transaction(RESULT_CACHE_CONFIG.STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(RESULT_CACHE_CONFIG.STORE_NAME);
+    let entry = null;
+
+    store.get(key).onsuccess = (event) => {
+      entry = event.target.result || null;
+      if (entry) {
+        store.put({ ...entry, lastUsed: Date.now() });
+      }
+    };
+
+    await completeTransaction(transaction);
+    return entry && { results: entry.results, createdAt: entry.createdAt };
+
+  } catch (error) {
+    console.error('Error reading the result cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Cache a finished result, evicting the least recently used ones when full
+ */
+async function storeCachedResult(key, results) {
+  try {
+    const now = Date.now();
+    const entry = { key, results, createdAt: now, lastUsed: now };
+    entry.size = new TextEncoder().encode(JSON.stringify(entry)).length;
+
+    if (entry.size > RESULT_CACHE_CONFIG.MAX_BYTES) {
+      return;
+    }
+
+    const db = await openResultCache();
+    const transaction = db.transaction(RESULT_CACHE_CONFIG.STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(RESULT_CACHE_CONFIG.STORE_NAME);
+
+    store.put(entry);
+
+    // Walk from newest to oldest; whatever no longer fits is deleted
+    let totalBytes = 0;
+    let count = 0;
+    store.index('lastUsed').openCursor(null, 'prev').onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        return;
+      }
+
+      totalBytes += cursor.value.size || 0;
+      count++;
+
+      if (totalBytes > RESULT_CACHE_CONFIG.MAX_BYTES || count > RESULT_CACHE_CONFIG.MAX_ENTRIES) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+
+    await completeTransaction(transaction);
+
+  } catch (error) {
+    console.error('Error writing the result cache:', error);
+  }
+}
+
+/**
+ * Forget every cached result
+ */
+async function clearResultCache() {
+  const db = await openResultCache();
+  const transaction = db.transaction(RESULT_CACHE_CONFIG.STORE_NAME, 'readwrite');
+
+  transaction.objectStore(RESULT_CACHE_CONFIG.STORE_NAME).clear();
+  await completeTransaction(transaction);
+}
@@ -0,0 +1,500 @@
+/**
+ * AURA - AI Universal Reading Assistant - Saved Library
+ * Saved results: storage, search and quota-aware cleanup
+ */
+
+const SAVED_LIBRARY_CONFIG = {
+  STORAGE_KEY: 'savedContent',
+  HIGH_WATER_MARK: 0.8,   // Start removing old items at 80% of the storage quota
+  LOW_WATER_MARK: 0.6,    // ...and keep removing until usage is back under 60%
+  MAX_TAGS: 20,
+  MAX_TAG_LENGTH: 32
+};
+
+// Writes to the library, one at a time: each reads the whole map and
+// writes it back, so overlapping writes would drop each other's changes
+let savedContentWrites = Promise.resolve();
+
+const SAVED_ITEM_TYPES = ['summary', 'simplification', 'description', 'translation', 'conversation'];
+
+const SAVED_ITEM_TYPE_LABELS = {
+  summary: 'Summary',
+  simplification: 'Simplification',
+  description: 'Image description',
+  translation: 'Translation',
+  conversation: 'Conversation'
+};
+
+const SAVED_SORT_ORDERS = {
+  newest: (a, b) => b.timestamp - a.timestamp,
+  oldest: (a, b) => a.timestamp - b.timestamp,
+  type: (a, b) => a.type.localeCompare(b.type) || b.timestamp - a.timestamp,
+  source: (a, b) => (a.url || '').localeCompare(b.url || '') || b.timestamp - a.timestamp
+};
+
+/**
+ * Build a saved item from a result and the content it was generated from
+ */
+function createSavedItem(results, content = {}, details = {}) {
+  const isImage = content.type === 'image';
+
+  return {
+    id: details.id,
+    timestamp: details.timestamp || Date.now(),
+    type: results.type,
+    originalText: isImage ? '' : (content.text || ''),
+    originalImage: isImage
+      ? {
+        url: content.url,
+        alt: content.alt || '',
+        width: content.width || null,
+        height: content.height || null
+      }
+      : null,
+    processedText: results.content,
+    language: results.language || content.language || '',
+    sourceLanguage: results.sourceLanguage || '',
+    url: (isImage ? content.pageUrl : content.url) || details.sourceUrl || '',
+    title: content.title || '',
+    tags: normalizeTags(details.tags),
+    autoSaved: Boolean(details.autoSaved)
+  };
+}
+
+/**
+ * Clean up a list of tags: trimmed, lower case, unique and bounded
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+
+  const normalized = tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase().substring(0, SAVED_LIBRARY_CONFIG.MAX_TAG_LENGTH))
+    .filter(Boolean);
+
+  return [...new Set(normalized)].slice(0, SAVED_LIBRARY_CONFIG.MAX_TAGS);
+}
+
+/**
+ * Check a saved item against the schema, returning a list of problems
+ */
+function validateSavedItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['not an object'];
+  }
+
+  const errors = [];
+  const optionalStrings = ['originalText', 'language', 'sourceLanguage', 'url', 'title'];
+
+  if (typeof item.id !== 'string' || !item.id.trim()) {
+    errors.push('missing id');
+  }
+  if (!Number.isFinite(item.timestamp) || item.timestamp <= 0) {
+    errors.push('invalid timestamp');
+  }
+  if (!SAVED_ITEM_TYPES.includes(item.type)) {
+    errors.push(`unknown type "${item.type}"`);
+  }
+  if (typeof item.processedText !== 'string' || !item.processedText.trim()) {
+    errors.push('missing processedText');
+  }
+
+  optionalStrings.forEach(field => {
+    if (item[field] !== undefined && item[field] !== null && typeof item[field] !== 'string') {
+      errors.push(`${field} must be text`);
+    }
+  });
+
+  if (item.originalImage && typeof item.originalImage.url !== 'string') {
+    errors.push('originalImage must have a url');
+  }
+  if (item.tags !== undefined && !Array.isArray(item.tags)) {
+    errors.push('tags must be a list');
+  }
+
+  return errors;
+}
+
+/**
+ * Copy only the known fields of a valid saved item
+ */
+function sanitizeSavedItem(item) {
+  return {
+    id: item.id,
+    timestamp: item.timestamp,
+    type: item.type,
+    originalText: item.originalText || '',
+    originalImage: item.originalImage
+      ? {
+        url: item.originalImage.url,
+        alt: String(item.originalImage.alt || ''),
+        width: Number(item.originalImage.width) || null,
+        height: Number(item.originalImage.height) || null
+      }
+      : null,
+    processedText: item.processedText,
+    language: item.language || '',
+    sourceLanguage: item.sourceLanguage || '',
+    url: item.url || '',
+    title: item.title || '',
+    tags: normalizeTags(item.tags),
+    autoSaved: Boolean(item.autoSaved)
+  };
+}
+
+/**
+ * Identify a saved item by its content rather than its ID
+ */
+function getSavedItemFingerprint(item) {
+  return [
+    item.type,
+    item.processedText,
+    item.originalText,
+    item.originalImage?.url || '',
+    item.url
+  ].join('\u0000');
+}
+
+/**
+ * Merge imported items into the library map in place
+ *
+ * Items whose content is already saved are duplicates: only their tags are
+ * merged. An item reusing the ID of different saved content is a conflict:
+ * it is kept under a new ID from createId() so neither version is lost.
+ */
+function mergeSavedItems(savedContent, items, createId) {
+  const fingerprints = new Map(
+    Object.values(savedContent).map(item => [getSavedItemFingerprint(item), item])
+  );
+  const report = { added: [], duplicates: [], conflicts: [] };
+
+  items.forEach(item => {
+    const fingerprint = getSavedItemFingerprint(item);
+    const existing = fingerprints.get(fingerprint);
+
+    if (existing) {
+      existing.tags = normalizeTags([...(existing.tags || []), ...item.tags]);
+      report.duplicates.push(item.id);
+      return;
+    }
+
+    let stored = item;
+    if (savedContent[item.id]) {
+      stored = { ...item, id: createId() };
+      report.conflicts.push({ id: item.id, newId: stored.id, title: item.title });
+    }
+
+    savedContent[stored.id] = stored;
+    fingerprints.set(fingerprint, stored);
+    report.added.push(stored.id);
+  });
+
+  return report;
+}
+
+/**
+ * Title shown for a saved item in the library and in exports
+ */
+function getSavedItemTitle(item) {
+  return item.title || getHostname(item.url) || SAVED_ITEM_TYPE_LABELS[item.type] || 'Untitled';
+}
+
+/**
+ * Describe the language of a saved item, including the source of translations
+ */
+function formatSavedItemLanguage(item) {
+  return item.sourceLanguage && item.language
+    ? `${item.sourceLanguage} → ${item.language}`
+    : item.language || '';
+}
+
+/**
+ * Get the host name of a URL for display
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Filter and sort saved items for the library view
+ *
+ * Every word of the query must appear somewhere in the item, and the item
+ * must carry every selected tag.
+ */
+function querySavedItems(items, { query = '', tags = [], type = '', sort = 'newest' } = {}) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const matches = items.filter(item => {
+    if (type && item.type !== type) {
+      return false;
+    }
+
+    if (tags.length > 0 && !tags.every(tag => item.tags.includes(tag))) {
+      return false;
+    }
+
+    if (terms.length === 0) {
+      return true;
+    }
+
+    const haystack = [
+      item.processedText,
+      item.originalText,
+      item.originalImage?.alt,
+      item.title,
+      item.url,
+      item.tags.join(' ')
+    ].join(' ').toLowerCase();
+
+    return terms.every(term => haystack.includes(term));
+  });
+
+  return matches.sort(SAVED_SORT_ORDERS[sort] || SAVED_SORT_ORDERS.newest);
+}
+
+/**
+ * Collect every tag used in the library, most used first
+ */
+function collectSavedTags(items) {
+  const counts = new Map();
+
+  items.forEach(item => {
+    item.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag]) => tag);
+}
+
+/**
+ * Read the whole saved library keyed by ID
+ */
+async function getSavedContent() {
+  const result = await chrome.storage.local.get([SAVED_LIBRARY_CONFIG.STORAGE_KEY]);
+  return result[SAVED_LIBRARY_CONFIG.STORAGE_KEY] || {};
+}
+
+/**
+ * Write the whole saved library
+ */
+async function writeSavedContent(savedContent) {
+  await chrome.storage.local.set({ [SAVED_LIBRARY_CONFIG.STORAGE_KEY]: savedContent });
+}
+
+/**
+ * Run a read-modify-write of the library after every earlier one finished
+ *
+ * Every change to the library goes through here. Resolves or rejects with
+ * the result of change().
+ */
+function queueSavedContentWrite(change) {
+  const run = savedContentWrites.then(change);
+  savedContentWrites = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Store a saved item, making room first when storage is nearly full
+ *
+ * With options.skipIfSaved, content that is already in the library is not
+ * stored again; the item already saved is returned instead.
+ */
+async function storeSavedItem(item, { skipIfSaved = false } = {}) {
+  return queueSavedContentWrite(async () => {
+    const incomingBytes = measureBytes(item);
+    const savedContent = await getSavedContent();
+
+    if (skipIfSaved) {
+      const fingerprint = getSavedItemFingerprint(item);
+      const existing = Object.values(savedContent).find(saved => getSavedItemFingerprint(saved) === fingerprint);
+      if (existing) {
+        return existing;
+      }
+    }
+
+    await makeRoomForSavedItems(savedContent, incomingBytes);
+    savedContent[item.id] = item;
+
+    try {
+      await writeSavedContent(savedContent);
+    } catch (error) {
+      // Our estimate was off; clear more room and try once more
+      console.warn('Saving hit the storage quota, cleaning up and retrying:', error);
+
+      const retryContent = await getSavedContent();
+      await makeRoomForSavedItems(retryContent, incomingBytes, { force: true });
+      retryContent[item.id] = item;
+      await writeSavedContent(retryContent);
+    }
+
+    return item;
+  });
+}
+
+/**
+ * Validate and merge imported items into the library
+ *
+ * Imports never remove saved items to make room. When the merged library
+ * would pass the high-water mark the import is refused and nothing changes.
+ * Returns the merge report plus the invalid entries by position.
+ */
+async function importSavedItems(items, createId) {
+  const validItems = [];
+  const invalid = [];
+
+  items.forEach((item, index) => {
+    const errors = validateSavedItem(item);
+
+    if (errors.length > 0) {
+      invalid.push({ index, errors });
+    } else {
+      validItems.push(sanitizeSavedItem(item));
+    }
+  });
+
+  return queueSavedContentWrite(async () => {
+    const savedContent = await getSavedContent();
+    const bytesBefore = measureBytes(savedContent);
+
+    // Duplicates only merge tags, so measure what the merge really adds
+    // and never refuse an import that adds no new items
+    const report = mergeSavedItems(savedContent, validItems, createId);
+    const addedBytes = measureBytes(savedContent) - bytesBefore;
+    const { bytesInUse, quota } = await getStorageUsage();
+
+    if (report.added.length > 0 && bytesInUse + addedBytes > quota * SAVED_LIBRARY_CONFIG.HIGH_WATER_MARK) {
+      throw new Error(`Not enough storage space for ${report.added.length} new items. Nothing was imported; delete some saved items or import a smaller file.`);
+    }
+
+    await writeSavedContent(savedContent);
+
+    return { ...report, invalid };
+  });
+}
+
+/**
+ * Remove saved items by ID
+ */
+async function deleteSavedItems(ids) {
+  return queueSavedContentWrite(async () => {
+    const savedContent = await getSavedContent();
+    let deleted = 0;
+
+    ids.forEach(id => {
+      if (savedContent[id]) {
+        delete savedContent[id];
+        deleted++;
+      }
+    });
+
+    await writeSavedContent(savedContent);
+    return deleted;
+  });
+}
+
+/**
+ * Update the editable fields of a saved item
+ */
+async function updateSavedItem(id, changes) {
+  return queueSavedContentWrite(async () => {
+    const savedContent = await getSavedContent();
+    const item = savedContent[id];
+
+    if (!item) {
+      throw new Error('This saved item no longer exists');
+    }
+
+    if (changes.tags) {
+      item.tags = normalizeTags(changes.tags);
+    }
+
+    await writeSavedContent(savedContent);
+    return item;
+  });
+}
+
+/**
+ * Report how much of chrome.storage.local is in use
+ */
+async function getStorageUsage() {
+  const quota = chrome.storage.local.QUOTA_BYTES || 10485760;
+  let bytesInUse;
+
+  if (chrome.storage.local.getBytesInUse) {
+    bytesInUse = await chrome.storage.local.getBytesInUse(null);
+  } else {
+    bytesInUse = measureBytes(await chrome.storage.local.get(null));
+  }
+
+  return { bytesInUse, quota };
+}
+
+/**
+ * Remove the oldest saved items once storage usage passes the high-water mark
+ *
+ * incomingBytes is the size of data about to be written. Returns the IDs of
+ * the items that were removed.
+ */
+async function enforceStorageQuota(incomingBytes = 0, { force = false } = {}) {
+  return queueSavedContentWrite(async () => {
+    const savedContent = await getSavedContent();
+    const removed = await makeRoomForSavedItems(savedContent, incomingBytes, { force });
+
+    if (removed.length > 0) {
+      await writeSavedContent(savedContent);
+    }
+    return removed;
+  });
+}
+
+/**
+ * Remove the oldest items from a library map until incomingBytes fit
+ *
+ * Only changes the map; the queued step that read it writes it back.
+ * Returns the IDs of the items that were removed.
+ */
+async function makeRoomForSavedItems(savedContent, incomingBytes = 0, { force = false } = {}) {
+  const { bytesInUse, quota } = await getStorageUsage();
+  const highWater = quota * SAVED_LIBRARY_CONFIG.HIGH_WATER_MARK;
+  const lowWater = quota * SAVED_LIBRARY_CONFIG.LOW_WATER_MARK;
+
+  if (incomingBytes > lowWater) {
+    throw new Error('Not enough storage space to save this');
+  }
+
+  if (!force && bytesInUse + incomingBytes <= highWater) {
+    return [];
+  }
+
+  const oldestFirst = Object.values(savedContent).sort(SAVED_SORT_ORDERS.oldest);
+  const removed = [];
+  let projectedBytes = bytesInUse + incomingBytes;
+
+  for (const item of oldestFirst) {
+    if (projectedBytes <= lowWater) break;
+
+    projectedBytes -= measureBytes(item);
+    delete savedContent[item.id];
+    removed.push(item.id);
+  }
+
+  if (removed.length > 0) {
+    console.log(`Removing ${removed.length} old saved items to stay under the storage quota`);
+  }
+
+  return removed;
+}
+
+/**
+ * Approximate the stored size of a value in bytes
+ */
+function measureBytes(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
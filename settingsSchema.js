@@ -0,0 +1,249 @@
+/**
+ * AURA - AI Universal Reading Assistant - Settings Schema
+ * Defaults, validation and versioned migrations for userSettings
+ *
+ * To add a setting: add it to SETTINGS_SCHEMA, bump SETTINGS_VERSION and add
+ * a migration for the new version that fills it in for existing installs.
+ */
+
+const SETTINGS_VERSION = 7;
+
+const SUMMARY_LENGTHS = ['short', 'medium', 'long'];
+
+// Reading levels text can be simplified to, with their display names
+const SIMPLIFICATION_LEVELS = {
+  'eli5': 'Explain like I\'m 5',
+  'middle-school': 'Middle school',
+  'plain-language': 'Plain language',
+  'expert-glossary': 'Expert, with glossary'
+};
+
+// Speech rate and pitch, as multiples of the voice's normal speed and pitch
+const SPEECH_RANGE = { min: 0.5, max: 2 };
+
+// Limits on how long one AI operation may run, in milliseconds
+const JOB_TIMEOUT_RANGE = { min: 10000, max: 600000 };
+
+// Limit on the number of sites with automatic alt text
+const MAX_AUTO_ALT_TEXT_SITES = 500;
+
+// Languages offered for translation and the preferred language
+const LANGUAGE_CODES = [
+  'ar', 'bg', 'bn', 'cs', 'da', 'de', 'el', 'en', 'es', 'fi', 'fr', 'he', 'hi', 'hr', 'hu',
+  'id', 'it', 'ja', 'kn', 'ko', 'lt', 'mr', 'nl', 'no', 'pl', 'pt', 'ro', 'ru', 'sk', 'sl',
+  'sv', 'ta', 'te', 'th', 'tr', 'uk', 'vi', 'zh', 'zh-Hant'
+];
+
+const SETTINGS_SCHEMA = {
+  preferredLanguage: {
+    default: 'en',
+    validate: value => LANGUAGE_CODES.includes(value) ? null : 'Choose a supported language'
+  },
+  ttsVoice: {
+    default: 'default',
+    validate: value => typeof value === 'string' && value.trim() && value.length <= 200
+      ? null
+      : 'Choose a voice'
+  },
+  ttsRate: {
+    default: 1,
+    validate: value => validateSpeechSetting(value, 'Speed')
+  },
+  ttsPitch: {
+    default: 1,
+    validate: value => validateSpeechSetting(value, 'Pitch')
+  },
+  summaryLength: {
+    default: 'short',
+    validate: value => SUMMARY_LENGTHS.includes(value) ? null : 'Choose short, medium or long'
+  },
+  simplificationLevel: {
+    default: 'eli5',
+    validate: value => Object.hasOwn(SIMPLIFICATION_LEVELS, value) ? null : 'Choose a simplification level'
+  },
+  autoSave: {
+    default: false,
+    validate: validateBooleanSetting
+  },
+  defineOnDoubleClick: {
+    default: false,
+    validate: validateBooleanSetting
+  },
+  firstRun: {
+    default: true,
+    validate: validateBooleanSetting
+  },
+  aiProvider: {
+    default: AI_PROVIDER_DEFAULTS.provider,
+    validate: value => Object.values(AI_PROVIDERS).includes(value) ? null : 'Choose an AI provider'
+  },
+  localEndpoint: {
+    default: AI_PROVIDER_DEFAULTS.localEndpoint,
+    validate: validateLocalEndpointSetting
+  },
+  autoAltTextSites: {
+    default: [],
+    validate: validateSiteListSetting
+  },
+  jobTimeout: {
+    default: 180000,
+    validate: value => Number.isInteger(value) && value >= JOB_TIMEOUT_RANGE.min && value <= JOB_TIMEOUT_RANGE.max
+      ? null
+      : `The time limit must be between ${JOB_TIMEOUT_RANGE.min / 1000} and ${JOB_TIMEOUT_RANGE.max / 1000} seconds`
+  }
+};
+
+const DEFAULT_SETTINGS = {
+  ...Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default])
+  ),
+  settingsVersion: SETTINGS_VERSION
+};
+
+// Each migration upgrades settings from the previous version to its key
+const SETTINGS_MIGRATIONS = {
+  // Version 1 had no settingsVersion; version 2 adds the AI provider choice
+  2: settings => ({
+    ...settings,
+    aiProvider: settings.aiProvider || AI_PROVIDER_DEFAULTS.provider,
+    localEndpoint: { ...AI_PROVIDER_DEFAULTS.localEndpoint, ...settings.localEndpoint }
+  }),
+  // Version 3 adds sites where images get alt text automatically
+  3: settings => ({
+    ...settings,
+    autoAltTextSites: Array.isArray(settings.autoAltTextSites) ? settings.autoAltTextSites : []
+  }),
+  // Version 4 adds speech speed and pitch
+  4: settings => ({
+    ...settings,
+    ttsRate: settings.ttsRate ?? 1,
+    ttsPitch: settings.ttsPitch ?? 1
+  }),
+  // Version 5 adds the time limit for AI operations
+  5: settings => ({
+    ...settings,
+    jobTimeout: settings.jobTimeout ?? 180000
+  }),
+  // Version 6 adds the simplification level
+  6: settings => ({
+    ...settings,
+    simplificationLevel: settings.simplificationLevel || 'eli5'
+  }),
+  // Version 7 adds definitions on double-click
+  7: settings => ({
+    ...settings,
+    defineOnDoubleClick: settings.defineOnDoubleClick ?? false
+  })
+};
+
+/**
+ * Check settings against the schema
+ *
+ * Returns the settings with invalid values replaced by defaults, and the
+ * validation error for each invalid key. Unknown keys are kept so settings
+ * written by a newer version survive a downgrade.
+ */
+function validateSettings(settings = {}) {
+  const sanitized = { ...settings };
+  const errors = {};
+
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, rule]) => {
+    if (settings[key] === undefined) {
+      sanitized[key] = rule.default;
+      return;
+    }
+
+    const error = rule.validate(settings[key]);
+    if (error) {
+      errors[key] = error;
+      sanitized[key] = rule.default;
+    }
+  });
+
+  return { settings: sanitized, errors };
+}
+
+/**
+ * Upgrade stored settings to the current schema version
+ */
+function migrateSettings(stored = {}) {
+  const fromVersion = stored.settingsVersion || 1;
+  let settings = { ...stored };
+
+  for (let version = fromVersion + 1; version <= SETTINGS_VERSION; version++) {
+    settings = SETTINGS_MIGRATIONS[version](settings);
+  }
+
+  return {
+    ...validateSettings(settings).settings,
+    settingsVersion: Math.max(fromVersion, SETTINGS_VERSION)
+  };
+}
+
+/**
+ * Validate a true/false setting
+ */
+function validateBooleanSetting(value) {
+  return typeof value === 'boolean' ? null : 'Must be on or off';
+}
+
+/**
+ * Validate a speech rate or pitch multiplier
+ */
+function validateSpeechSetting(value, label) {
+  return typeof value === 'number' && value >= SPEECH_RANGE.min && value <= SPEECH_RANGE.max
+    ? null
+    : `${label} must be between ${SPEECH_RANGE.min}× and ${SPEECH_RANGE.max}×`;
+}
+
+/**
+ * Validate a list of site hostnames
+ */
+function validateSiteListSetting(value) {
+  if (!Array.isArray(value)) {
+    return 'Must be a list of sites';
+  }
+
+  if (value.length > MAX_AUTO_ALT_TEXT_SITES) {
+    return `No more than ${MAX_AUTO_ALT_TEXT_SITES} sites can be listed`;
+  }
+
+  const invalid = value.find(site => typeof site !== 'string' || !/^[a-z0-9.-]+$|^\[[0-9a-f:.]+\]$/i.test(site));
+  return invalid === undefined ? null : `"${invalid}" is not a site name`;
+}
+
+/**
+ * Validate the local AI endpoint settings
+ */
+function validateLocalEndpointSetting(value) {
+  if (!value || typeof value !== 'object') {
+    return 'Enter the local endpoint settings';
+  }
+
+  try {
+    validateLocalEndpoint(value.baseUrl);
+  } catch (error) {
+    return error.message;
+  }
+
+  if (typeof value.model !== 'string' || !value.model.trim()) {
+    return 'Enter the model name';
+  }
+
+  if (!Number.isInteger(value.timeout) || value.timeout < 1000 || value.timeout > 600000) {
+    return 'The timeout must be between 1 and 600 seconds';
+  }
+
+  return null;
+}
+
+/**
+ * Get the display name of a language code in the user's language
+ */
+function getLanguageName(code) {
+  try {
+    return new Intl.DisplayNames([navigator.language, 'en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
@@ -0,0 +1,381 @@
+/**
+ * AURA - AI Universal Reading Assistant - Speech Engine
+ * Sentence-by-sentence text-to-speech with voice choice, pause/resume and skipping
+ */
+
+const SPEECH_CONFIG = {
+  MAX_CHUNK_LENGTH: 220,     // Chrome stalls on long utterances, so longer sentences are split
+  VOICE_LOAD_TIMEOUT: 1500,  // Voices load asynchronously; don't wait longer than this
+  DEFAULT_RATE: 1,
+  DEFAULT_PITCH: 1
+};
+
+// Scripts that identify a language well enough to pick a voice
+const SPEECH_SCRIPT_LANGUAGES = [
+  { pattern: /[぀-ヿ]/, language: 'ja' },
+  { pattern: /[가-힯]/, language: 'ko' },
+  { pattern: /[一-鿿]/, language: 'zh' },
+  { pattern: /[Ѐ-ӿ]/, language: 'ru' },
+  { pattern: /[؀-ۿ]/, language: 'ar' },
+  { pattern: /[֐-׿]/, language: 'he' },
+  { pattern: /[Ͱ-Ͽ]/, language: 'el' },
+  { pattern: /[฀-๿]/, language: 'th' },
+  { pattern: /[ऀ-ॿ]/, language: 'hi' },
+  { pattern: /[ঀ-৿]/, language: 'bn' },
+  { pattern: /[஀-௿]/, language: 'ta' },
+  { pattern: /[ఀ-౿]/, language: 'te' },
+  { pattern: /[ಀ-೿]/, language: 'kn' }
+];
+
+/**
+ * Create a speech engine that reads text one sentence at a time
+ *
+ * Callbacks:
+ * - onStateChange(state) when playback becomes 'speaking', 'paused' or 'idle'
+ * - onSentence({ index, total, text, start, end }) when a sentence starts
+ * - onBoundary({ sentenceIndex, start, length }) for each spoken word, with
+ *   offsets into the whole text
+ * - onEnd({ completed, error }) when reading stops for good
+ */
+function createSpeechEngine({
+  onStateChange = () => {},
+  onSentence = () => {},
+  onBoundary = () => {},
+  onEnd = () => {}
+} = {}) {
+  let sentences = [];
+  let index = 0;
+  let state = 'idle';
+  let voice = null;
+  let options = {};
+
+  // Bumped whenever speech is cancelled, so events from old utterances are ignored
+  let generation = 0;
+
+  function setState(next) {
+    if (state === next) return;
+    state = next;
+    onStateChange(state);
+  }
+
+  function cancelSpeech() {
+    generation++;
+    window.speechSynthesis.cancel();
+  }
+
+  function finish(details) {
+    sentences = [];
+    index = 0;
+    setState('idle');
+    onEnd(details);
+  }
+
+  function speakSentence() {
+    if (index >= sentences.length) {
+      finish({ completed: true });
+      return;
+    }
+
+    const run = generation;
+    const sentenceIndex = index;
+    const sentence = sentences[sentenceIndex];
+    const utterance = new SpeechSynthesisUtterance(sentence.text);
+
+    if (voice) {
+      utterance.voice = voice;
+    }
+    utterance.lang = options.language || voice?.lang || '';
+    utterance.rate = options.rate;
+    utterance.pitch = options.pitch;
+
+    utterance.onstart = () => {
+      if (run !== generation) return;
+      onSentence({ index: sentenceIndex, total: sentences.length, ...sentence });
+    };
+
+    utterance.onboundary = (event) => {
+      if (run !== generation || event.name !== 'word') return;
+      onBoundary({
+        sentenceIndex,
+        start: sentence.start + event.charIndex,
+        length: event.charLength || getWordLength(sentence.text, event.charIndex)
+      });
+    };
+
+    utterance.onend = () => {
+      if (run !== generation) return;
+      index++;
+      speakSentence();
+    };
+
+    utterance.onerror = (event) => {
+      if (run !== generation || event.error === 'interrupted' || event.error === 'canceled') return;
+
+      console.error('Speech synthesis error:', event.error);
+      finish({ completed: false, error: getSpeechErrorMessage(event.error) });
+    };
+
+    window.speechSynthesis.speak(utterance);
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+
+    /**
+     * Start reading text, replacing anything being read now
+     *
+     * settings holds language, voiceURI ('default' for automatic), rate and pitch.
+     */
+    async speak(text, settings = {}) {
+      this.stop();
+
+      const language = settings.language || guessSpeechLanguage(text);
+      const chunks = splitSpeechSentences(text, language);
+      if (chunks.length === 0) return;
+
+      const run = generation;
+      const voices = await loadSpeechVoices();
+
+      // Another speak() or stop() happened while voices loaded
+      if (run !== generation) return;
+
+      sentences = chunks;
+      index = 0;
+      voice = chooseSpeechVoice(voices, { voiceURI: settings.voiceURI, language });
+      options = {
+        language,
+        rate: settings.rate || SPEECH_CONFIG.DEFAULT_RATE,
+        pitch: settings.pitch || SPEECH_CONFIG.DEFAULT_PITCH
+      };
+
+      setState('speaking');
+      speakSentence();
+    },
+
+    /**
+     * Pause at the current sentence
+     *
+     * speechSynthesis.pause() never resumes with some Chrome voices, so the
+     * sentence is cancelled and read again from its start on resume.
+     */
+    pause() {
+      if (state !== 'speaking') return;
+      cancelSpeech();
+      setState('paused');
+    },
+
+    resume() {
+      if (state !== 'paused') return;
+      setState('speaking');
+      speakSentence();
+    },
+
+    /**
+     * Move to the next sentence, or back to an earlier one with a negative step
+     */
+    skip(step = 1) {
+      if (state === 'idle') return;
+
+      cancelSpeech();
+      index = Math.max(0, index + step);
+
+      if (index >= sentences.length) {
+        finish({ completed: true });
+      } else if (state === 'speaking') {
+        speakSentence();
+      }
+    },
+
+    stop() {
+      cancelSpeech();
+      if (state !== 'idle') {
+        finish({ completed: false });
+      }
+    }
+  };
+}
+
+/**
+ * Split text into sentences short enough to speak reliably
+ *
+ * Returns [{ text, start, end }] with offsets into the original text, so
+ * callers can highlight what is being read.
+ */
+function splitSpeechSentences(text, language) {
+  if (!text) return [];
+
+  const segments = [];
+
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    let segmenter;
+    try {
+      segmenter = new Intl.Segmenter(language || undefined, { granularity: 'sentence' });
+    } catch (error) {
+      segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+    }
+
+    for (const { segment, index } of segmenter.segment(text)) {
+      segments.push({ text: segment, start: index });
+    }
+  } else {
+    for (const match of text.matchAll(/[^.!?\n]+(?:[.!?]+["')\]]*|\n+|$)/g)) {
+      segments.push({ text: match[0], start: match.index });
+    }
+  }
+
+  const sentences = [];
+
+  segments.forEach(segment => {
+    // Keep offsets pointing at the sentence itself, not surrounding whitespace
+    const leading = segment.text.length - segment.text.trimStart().length;
+    const trimmed = segment.text.trim();
+
+    // Skip bullets, separators and other text with nothing to say
+    if (!/[\p{L}\p{N}]/u.test(trimmed)) return;
+
+    splitLongSentence(trimmed).forEach(piece => {
+      const start = segment.start + leading + piece.offset;
+      sentences.push({ text: piece.text, start, end: start + piece.text.length });
+    });
+  });
+
+  return sentences;
+}
+
+/**
+ * Break a sentence longer than the chunk limit at clause breaks or spaces
+ */
+function splitLongSentence(sentence) {
+  const pieces = [];
+  let offset = 0;
+
+  while (sentence.length - offset > SPEECH_CONFIG.MAX_CHUNK_LENGTH) {
+    const slice = sentence.substring(offset, offset + SPEECH_CONFIG.MAX_CHUNK_LENGTH);
+    const clauseBreak = Math.max(...[', ', '; ', ': ', ' — ', ' – '].map(mark => slice.lastIndexOf(mark)));
+    const wordBreak = slice.lastIndexOf(' ');
+
+    // Prefer a clause break unless it would leave a tiny piece
+    let cut = clauseBreak > SPEECH_CONFIG.MAX_CHUNK_LENGTH / 3 ? clauseBreak + 1 : wordBreak;
+    if (cut <= 0) {
+      cut = SPEECH_CONFIG.MAX_CHUNK_LENGTH;
+    }
+
+    const piece = sentence.substring(offset, offset + cut);
+    pieces.push({ text: piece.trim(), offset: offset + piece.length - piece.trimStart().length });
+    offset += cut;
+
+    // Start the next piece at its first word
+    while (sentence[offset] === ' ') offset++;
+  }
+
+  pieces.push({ text: sentence.substring(offset).trim(), offset });
+  return pieces.filter(piece => piece.text);
+}
+
+/**
+ * Wait for the browser's voice list, which is empty until it loads
+ */
+function loadSpeechVoices() {
+  const voices = window.speechSynthesis.getVoices();
+  if (voices.length > 0) {
+    return Promise.resolve(voices);
+  }
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(window.speechSynthesis.getVoices()), SPEECH_CONFIG.VOICE_LOAD_TIMEOUT);
+
+    window.speechSynthesis.addEventListener('voiceschanged', () => {
+      clearTimeout(timer);
+      resolve(window.speechSynthesis.getVoices());
+    }, { once: true });
+  });
+}
+
+/**
+ * Pick the voice to read a language with
+ *
+ * The chosen voice is used when it speaks the language. Otherwise the best
+ * voice for the language wins: an exact region match, then the system
+ * default, then voices that work offline. Returns null when no voice speaks
+ * the language, leaving the browser to choose from utterance.lang.
+ */
+function chooseSpeechVoice(voices, { voiceURI, language }) {
+  const chosen = voiceURI && voiceURI !== 'default'
+    ? voices.find(voice => voice.voiceURI === voiceURI)
+    : null;
+
+  if (!language) {
+    return chosen || null;
+  }
+
+  if (chosen && voiceSpeaksLanguage(chosen, language)) {
+    return chosen;
+  }
+
+  const wanted = normalizeSpeechLanguage(language);
+  const score = voice => (normalizeSpeechLanguage(voice.lang) === wanted ? 4 : 0) +
+    (voice.default ? 2 : 0) +
+    (voice.localService ? 1 : 0);
+
+  return voices
+    .filter(voice => voiceSpeaksLanguage(voice, language))
+    .sort((a, b) => score(b) - score(a))[0] || null;
+}
+
+/**
+ * Check whether a voice speaks a language, ignoring the region
+ */
+function voiceSpeaksLanguage(voice, language) {
+  const voiceLanguage = normalizeSpeechLanguage(voice.lang);
+  const wanted = normalizeSpeechLanguage(language);
+
+  // Traditional Chinese is spoken by the Taiwan and Hong Kong voices
+  if (wanted === 'zh-hant') {
+    return ['zh-tw', 'zh-hk'].includes(voiceLanguage);
+  }
+
+  return voiceLanguage.split('-')[0] === wanted.split('-')[0];
+}
+
+/**
+ * Lower-case a language tag and use hyphens, as some platforms report en_US
+ */
+function normalizeSpeechLanguage(language) {
+  return (language || '').replace(/_/g, '-').toLowerCase();
+}
+
+/**
+ * Guess the language of text from its script, or '' for Latin and mixed text
+ */
+function guessSpeechLanguage(text) {
+  const sample = (text || '').substring(0, 500);
+  return SPEECH_SCRIPT_LANGUAGES.find(({ pattern }) => pattern.test(sample))?.language || '';
+}
+
+/**
+ * Measure the word starting at an index, for browsers without charLength
+ */
+function getWordLength(text, charIndex) {
+  const match = text.substring(charIndex).match(/^[\p{L}\p{N}'’-]+/u);
+  return match ? match[0].length : 0;
+}
+
+/**
+ * Explain a speech synthesis error code
+ */
+function getSpeechErrorMessage(code) {
+  switch (code) {
+    case 'language-unavailable':
+    case 'voice-unavailable':
+      return 'No voice on this device can read this language';
+    case 'not-allowed':
+      return 'The browser blocked speech. Click Read Aloud again.';
+    case 'audio-busy':
+    case 'audio-hardware':
+      return 'The audio device is busy or unavailable';
+    default:
+      return 'Reading aloud stopped because of a speech error';
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * AURA - AI Universal Reading Assistant - Summary Pipeline
+ * Map-reduce summarization so long selections and pages are processed in full
+ */
+
+const SUMMARY_PIPELINE_CONFIG = {
+  CHUNK_LENGTH: 4000   // Characters per chunk sent to the model
+};
+
+const MERGE_CONTEXT = 'These are bullet-point summaries of consecutive parts of one document. Merge them into a single summary of the whole document.';
+
+/**
+ * Split text into chunks on paragraph and sentence boundaries
+ */
+function splitTextIntoChunks(text, maxLength = SUMMARY_PIPELINE_CONFIG.CHUNK_LENGTH) {
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+
+  // Break oversized paragraphs into sentences, and oversized sentences into words
+  const pieces = [];
+  paragraphs.forEach(paragraph => {
+    if (paragraph.length <= maxLength) {
+      pieces.push(paragraph);
+      return;
+    }
+
+    const sentences = paragraph.match(/[^.!?]+(?:[.!?]+["')\]]*\s*|$)/g) || [paragraph];
+    sentences.forEach(sentence => {
+      pieces.push(...splitOnWhitespace(sentence.trim(), maxLength));
+    });
+  });
+
+  // Pack pieces greedily into chunks
+  const chunks = [];
+  let current = '';
+
+  pieces.forEach(piece => {
+    const separator = current ? '\n\n' : '';
+
+    if (current && current.length + separator.length + piece.length > maxLength) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current += separator + piece;
+    }
+  });
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Hard-split a run of text on whitespace as a last resort
+ */
+function splitOnWhitespace(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text ? [text] : [];
+  }
+
+  const parts = [];
+  let current = '';
+
+  text.split(/\s+/).forEach(word => {
+    if (current && current.length + word.length + 1 > maxLength) {
+      parts.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+
+  if (current) {
+    parts.push(current);
+  }
+
+  return parts;
+}
+
+/**
+ * Summarize text of any length with a provider
+ *
+ * Short text goes straight to the model. Long text is split into chunks
+ * (map), each chunk is summarized, and the chunk summaries are merged into
+ * the final summary (reduce). Merging repeats until the summaries fit into
+ * one request. onProgress receives { stage, completed, total } plus
+ * { part, parts } while chunks are being summarized, and { round, part, parts }
+ * for each group in every merge round before the last. Only the final
+ * summary is streamed to options.onChunk.
+ *
+ * Returns { summary, truncated }. truncated is set when the model stopped
+ * shortening the merged summaries before they fit, so the final summary
+ * could only see their beginning.
+ */
+async function summarizeLongText(provider, text, options = {}, onProgress = () => {}) {
+  const chunkLength = options.chunkLength || SUMMARY_PIPELINE_CONFIG.CHUNK_LENGTH;
+  const finalOptions = {
+    type: options.type || 'key-points',
+    length: options.length || 'short',
+    context: options.context,
+    signal: options.signal,
+    onChunk: options.onChunk
+  };
+
+  if (text.length <= chunkLength) {
+    onProgress({ stage: 'summarize', completed: 0, total: 1 });
+    const summary = await provider.summarize(text, finalOptions);
+    onProgress({ stage: 'summarize', completed: 1, total: 1 });
+    return { summary, truncated: false };
+  }
+
+  const chunks = splitTextIntoChunks(text, chunkLength);
+  const total = chunks.length + 1;
+  const chunkSummaries = [];
+
+  // Map: summarize each chunk in order
+  for (let i = 0; i < chunks.length; i++) {
+    options.signal?.throwIfAborted();
+    onProgress({ stage: 'chunk', completed: i, total, part: i + 1, parts: chunks.length });
+
+    chunkSummaries.push(await provider.summarize(chunks[i], {
+      type: 'key-points',
+      length: 'short',
+      context: options.context,
+      signal: options.signal
+    }));
+  }
+
+  // Reduce: merge chunk summaries until they fit into a single request
+  let merged = chunkSummaries.join('\n\n');
+  let round = 0;
+
+  while (merged.length > chunkLength) {
+    const groups = splitTextIntoChunks(merged, chunkLength);
+    const groupSummaries = [];
+    round++;
+
+    for (let i = 0; i < groups.length; i++) {
+      options.signal?.throwIfAborted();
+      onProgress({ stage: 'merge', completed: chunks.length, total, round, part: i + 1, parts: groups.length });
+
+      groupSummaries.push(await provider.summarize(groups[i], {
+        type: 'key-points',
+        length: 'short',
+        context: MERGE_CONTEXT,
+        signal: options.signal
+      }));
+    }
+
+    // Another round would not get any shorter either
+    const reduced = groupSummaries.join('\n\n');
+    if (reduced.length >= merged.length) break;
+
+    merged = reduced;
+  }
+
+  const truncated = merged.length > chunkLength;
+  if (truncated) {
+    console.warn(`Merged summaries stopped shrinking at ${merged.length} characters; summarizing the first ${chunkLength}`);
+  }
+
+  options.signal?.throwIfAborted();
+  onProgress({ stage: 'merge', completed: chunks.length, total });
+
+  const summary = await provider.summarize(merged.substring(0, chunkLength), {
+    ...finalOptions,
+    context: [MERGE_CONTEXT, options.context].filter(Boolean).join(' ')
+  });
+
+  onProgress({ stage: 'merge', completed: total, total });
+  return { summary, truncated };
+}
+
+/**
+ * Apply a per-chunk transform (rewrite, translate) to text of any length
+ *
+ * Unlike summaries, transformed chunks are simply joined back together in order.
+ * transform(chunk, onChunk) receives a chunk callback when options.onChunk is
+ * set, so every chunk streams on top of the chunks already finished.
+ */
+async function transformLongText(text, transform, options = {}, onProgress = () => {}) {
+  const chunkLength = options.chunkLength || SUMMARY_PIPELINE_CONFIG.CHUNK_LENGTH;
+
+  if (text.length <= chunkLength) {
+    return transform(text, options.onChunk);
+  }
+
+  const chunks = splitTextIntoChunks(text, chunkLength);
+  const results = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    options.signal?.throwIfAborted();
+    onProgress({ stage: 'chunk', completed: i, total: chunks.length, part: i + 1, parts: chunks.length });
+
+    const onChunk = options.onChunk
+      ? partial => options.onChunk([...results, partial].join('\n\n'))
+      : undefined;
+
+    results.push(await transform(chunks[i], onChunk));
+  }
+
+  onProgress({ stage: 'done', completed: chunks.length, total: chunks.length });
+  return results.join('\n\n');
+}
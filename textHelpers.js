@@ -0,0 +1,21 @@
+/**
+ * AURA - AI Universal Reading Assistant - Text Helpers
+ * Sentence and word handling shared by output validation, grounded chat and the fake provider
+ */
+
+/**
+ * Split text into trimmed sentences
+ */
+function splitIntoSentences(text) {
+  return (text.match(/[^.!?]+[.!?]*/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Limit a sentence to a number of words
+ */
+function limitWords(sentence, maxWords) {
+  const words = sentence.split(/\s+/);
+  return words.length > maxWords ? words.slice(0, maxWords).join(' ') + '…' : sentence;
+}
@@ -0,0 +1,257 @@
+/**
+ * AURA - AI Universal Reading Assistant - Vocabulary Page
+ * Review, search, pronounce and remove looked-up words
+ */
+
+// Vocabulary state
+let entries = [];
+let filters = {
+  query: '',
+  sort: 'recent'
+};
+let speech = null;
+
+// DOM elements
+let elements = {};
+
+/**
+ * Initialize the vocabulary page when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  cacheElements();
+  setupEventListeners();
+  await loadVocabulary();
+
+  // Keep the page current when words are looked up meanwhile
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[VOCABULARY_CONFIG.STORAGE_KEY]) {
+      loadVocabulary();
+    }
+  });
+});
+
+/**
+ * Cache DOM elements for better performance
+ */
+function cacheElements() {
+  elements = {
+    vocabularyCount: document.getElementById('vocabulary-count'),
+    searchInput: document.getElementById('search-input'),
+    sortSelect: document.getElementById('sort-select'),
+    resultCount: document.getElementById('result-count'),
+    vocabularyList: document.getElementById('vocabulary-list'),
+    emptyState: document.getElementById('empty-state'),
+    errorDisplay: document.getElementById('error-display')
+  };
+}
+
+/**
+ * Set up event listeners for all interactive elements
+ */
+function setupEventListeners() {
+  elements.searchInput.addEventListener('input', () => {
+    filters.query = elements.searchInput.value;
+    renderVocabulary();
+  });
+
+  elements.sortSelect.addEventListener('change', () => {
+    filters.sort = elements.sortSelect.value;
+    renderVocabulary();
+  });
+
+  // Entry buttons are re-rendered often, so listen on the list itself
+  elements.vocabularyList.addEventListener('click', handleEntryClick);
+}
+
+/**
+ * Load the vocabulary list from the background
+ */
+async function loadVocabulary() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_VOCABULARY' });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not load your words');
+    }
+
+    entries = response.entries;
+    elements.vocabularyCount.textContent = entries.length === 1
+      ? '1 word looked up'
+      : `${entries.length} words looked up`;
+
+    renderVocabulary();
+    hideError();
+
+  } catch (error) {
+    console.error('Error loading vocabulary:', error);
+    showError(`Could not load your words: ${error.message}`);
+  }
+}
+
+/**
+ * Render the filtered word list
+ */
+function renderVocabulary() {
+  const visibleEntries = queryVocabulary(entries, filters);
+
+  elements.vocabularyList.innerHTML = visibleEntries.map(formatEntry).join('');
+  elements.emptyState.classList.toggle('hidden', entries.length > 0);
+
+  elements.resultCount.textContent = entries.length === 0
+    ? ''
+    : `Showing ${visibleEntries.length} of ${entries.length}`;
+}
+
+/**
+ * Format one word for the list
+ */
+function formatEntry(entry) {
+  const termId = `term-${entry.id}`;
+  const date = new Date(entry.lastLookedUp);
+  const sourceLink = /^https?:/.test(entry.url)
+    ? `<a href="${escapeHtml(entry.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(entry.title || getHostname(entry.url))}</a>`
+    : '';
+  const lookups = entry.lookups === 1 ? 'Looked up once' : `Looked up ${entry.lookups} times`;
+  const lang = entry.language ? ` lang="${escapeHtml(entry.language)}"` : '';
+
+  return `
+    <li class="saved-item" data-id="${escapeHtml(entry.id)}">
+      <article aria-labelledby="${escapeHtml(termId)}">
+        <div class="item-header">
+          <h3 id="${escapeHtml(termId)}" class="item-title term"${lang}>${escapeHtml(entry.term)}</h3>
+          ${entry.synonym ? `<span class="synonym">simpler: <span${lang}>${escapeHtml(entry.synonym)}</span></span>` : ''}
+          <time datetime="${date.toISOString()}">${escapeHtml(date.toLocaleDateString())}</time>
+        </div>
+
+        <p class="item-result">${escapeHtml(entry.definition)}</p>
+        ${entry.sentence ? `<p class="item-sentence"${lang}>“${escapeHtml(entry.sentence)}”</p>` : ''}
+
+        <p class="item-meta">
+          ${[sourceLink, entry.language ? escapeHtml(getLanguageName(entry.language)) : '', lookups].filter(Boolean).join(' · ')}
+        </p>
+
+        <div class="item-actions">
+          <button type="button" class="pronounce-btn" aria-label="Pronounce ${escapeHtml(entry.term)}">Pronounce</button>
+          <button type="button" class="delete-item-btn" aria-label="Remove ${escapeHtml(entry.term)}">Remove</button>
+        </div>
+      </article>
+    </li>
+  `;
+}
+
+/**
+ * Handle per-entry pronounce and remove buttons
+ */
+async function handleEntryClick(event) {
+  const listItem = event.target.closest('.saved-item');
+  if (!listItem) return;
+
+  const entry = entries.find(item => item.id === listItem.dataset.id);
+  if (!entry) return;
+
+  if (event.target.closest('.pronounce-btn')) {
+    await pronounce(entry);
+    return;
+  }
+
+  if (event.target.closest('.delete-item-btn')) {
+    await removeEntry(entry);
+  }
+}
+
+/**
+ * Say a word with the reading voice from settings
+ */
+async function pronounce(entry) {
+  if (!('speechSynthesis' in window)) {
+    showError('Speech is not available in this browser.');
+    return;
+  }
+
+  if (!speech) {
+    speech = createSpeechEngine({
+      onEnd: ({ error }) => {
+        if (error) showError(error);
+      }
+    });
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    const settings = response?.success ? response.settings : {};
+
+    await speech.speak(entry.term, {
+      language: entry.language,
+      voiceURI: settings.ttsVoice,
+      rate: settings.ttsRate,
+      pitch: settings.ttsPitch
+    });
+
+  } catch (error) {
+    console.error('Failed to pronounce word:', error);
+    showError(`Could not pronounce ${entry.term}.`);
+  }
+}
+
+/**
+ * Remove a word through the background and refresh the list
+ */
+async function removeEntry(entry) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'DELETE_VOCABULARY_ENTRIES',
+      data: { ids: [entry.id] }
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Remove failed');
+    }
+
+    await loadVocabulary();
+    elements.resultCount.textContent = `Removed ${entry.term}`;
+    elements.searchInput.focus();
+
+  } catch (error) {
+    console.error('Error removing vocabulary entry:', error);
+    showError(`Could not remove ${entry.term}: ${error.message}`);
+  }
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+  elements.errorDisplay.textContent = message;
+  elements.errorDisplay.classList.remove('hidden');
+}
+
+/**
+ * Hide error message
+ */
+function hideError() {
+  elements.errorDisplay.classList.add('hidden');
+}
+
+/**
+ * Get the host name of a URL for display
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Escape HTML to prevent XSS, including quotes since values go into attributes
+ */
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
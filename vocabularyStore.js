@@ -0,0 +1,113 @@
+/**
+ * AURA - AI Universal Reading Assistant - Vocabulary Store
+ * Words and phrases the user looked up, with their definitions
+ */
+
+const VOCABULARY_CONFIG = {
+  STORAGE_KEY: 'vocabulary',
+  MAX_ENTRIES: 1000   // Least recently looked up words are forgotten first
+};
+
+// Writes to the list, one at a time: each reads the whole list and writes it
+// back, so overlapping writes would drop each other's words
+let vocabularyWrites = Promise.resolve();
+
+const VOCABULARY_SORT_ORDERS = {
+  recent: (a, b) => b.lastLookedUp - a.lastLookedUp,
+  alphabetical: (a, b) => a.term.localeCompare(b.term),
+  lookups: (a, b) => b.lookups - a.lookups || b.lastLookedUp - a.lastLookedUp
+};
+
+/**
+ * Get the vocabulary list, most recently looked up first
+ */
+async function getVocabulary() {
+  const result = await chrome.storage.local.get(VOCABULARY_CONFIG.STORAGE_KEY);
+  return result[VOCABULARY_CONFIG.STORAGE_KEY] || [];
+}
+
+/**
+ * Add a looked-up word to the vocabulary list
+ *
+ * Looking up a word that is already listed moves it to the top, counts the
+ * lookup and keeps the newest definition and example sentence.
+ */
+async function addToVocabulary({ term, definition, synonym = '', sentence = '', language = '', url = '', title = '' }) {
+  const normalized = term.trim().toLowerCase();
+  if (!normalized || !definition) {
+    return null;
+  }
+
+  return queueVocabularyWrite(async () => {
+    const entries = await getVocabulary();
+    const previous = entries.find(entry => entry.normalized === normalized && entry.language === language);
+    const now = Date.now();
+
+    const entry = {
+      id: previous?.id || `${now.toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      term: term.trim(),
+      normalized,
+      definition,
+      synonym,
+      sentence,
+      language,
+      url,
+      title,
+      lookups: (previous?.lookups || 0) + 1,
+      firstLookedUp: previous?.firstLookedUp || now,
+      lastLookedUp: now
+    };
+
+    const updated = [entry, ...entries.filter(item => item !== previous)]
+      .slice(0, VOCABULARY_CONFIG.MAX_ENTRIES);
+
+    await chrome.storage.local.set({ [VOCABULARY_CONFIG.STORAGE_KEY]: updated });
+    return entry;
+  });
+}
+
+/**
+ * Remove words from the vocabulary list by ID
+ */
+async function deleteFromVocabulary(ids) {
+  const remove = new Set(ids);
+
+  return queueVocabularyWrite(async () => {
+    const entries = await getVocabulary();
+    const remaining = entries.filter(entry => !remove.has(entry.id));
+
+    await chrome.storage.local.set({ [VOCABULARY_CONFIG.STORAGE_KEY]: remaining });
+    return entries.length - remaining.length;
+  });
+}
+
+/**
+ * Run a change to the list after every earlier one has been written
+ *
+ * Resolves or rejects with the result of change().
+ */
+function queueVocabularyWrite(change) {
+  const run = vocabularyWrites.then(change);
+  vocabularyWrites = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Filter and sort vocabulary entries for the vocabulary page
+ *
+ * Every word of the query must appear in the term, its definition, its
+ * simpler word, the sentence it was found in or the page's title.
+ */
+function queryVocabulary(entries, { query = '', sort = 'recent' } = {}) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const matches = entries.filter(entry => {
+    const haystack = [entry.term, entry.definition, entry.synonym, entry.sentence, entry.title]
+      .join(' ')
+      .toLowerCase();
+
+    return terms.every(term => haystack.includes(term));
+  });
+
+  return matches.sort(VOCABULARY_SORT_ORDERS[sort] || VOCABULARY_SORT_ORDERS.recent);
+}